@@ -5,8 +5,12 @@ Provides text-to-speech conversion via Model Context Protocol (MCP)
 Compatible with VS Code MCP clients
 """
 import asyncio
+import json
 import sys
 import os
+import re
+import tempfile
+import xml.etree.ElementTree as ET
 import edge_tts
 from mcp.server import Server
 from mcp.server.stdio import stdio_server
@@ -15,6 +19,177 @@ import mcp.types as types
 # Initialize MCP server
 server = Server("edge-tts")
 
+# SSML keyword values mapped to the signed adjustments edge-tts accepts
+PROSODY_KEYWORDS = {
+    "rate": {"x-slow": "-50%", "slow": "-25%", "medium": "+0%", "default": "+0%", "fast": "+25%", "x-fast": "+50%"},
+    "volume": {"silent": "-100%", "x-soft": "-50%", "soft": "-25%", "medium": "+0%", "default": "+0%", "loud": "+25%", "x-loud": "+50%"},
+    "pitch": {"x-low": "-20Hz", "low": "-10Hz", "medium": "+0Hz", "default": "+0Hz", "high": "+10Hz", "x-high": "+20Hz"},
+}
+
+# Emphasis levels approximated with rate/volume changes
+EMPHASIS_LEVELS = {
+    "strong": {"rate": "-10%", "volume": "+20%"},
+    "moderate": {"rate": "-5%", "volume": "+10%"},
+    "reduced": {"rate": "+5%", "volume": "-10%"},
+    "none": {},
+}
+
+# Edge TTS MP3 output format, used for generated silence
+SAMPLE_RATE = 24000
+BITRATE = "48k"
+
+# Word boundary offsets arrive in 100-nanosecond ticks
+TICKS_PER_MS = 10_000
+# 48 kbit/s constant bitrate, used to place SSML segments on the timeline
+MP3_BYTES_PER_MS = 6
+
+
+def parse_break_time(value: str) -> float:
+    """Convert an SSML break time ("500ms", "2s") to seconds"""
+    match = re.fullmatch(r"\s*(\d+(?:\.\d+)?)\s*(ms|s)\s*", value or "")
+    if not match:
+        return 0.5
+    amount = float(match.group(1))
+    return amount / 1000 if match.group(2) == "ms" else amount
+
+
+def normalize_prosody(name: str, value: str, fallback: str) -> str:
+    """Map an SSML prosody attribute to an edge-tts adjustment string"""
+    if not value:
+        return fallback
+    return PROSODY_KEYWORDS[name].get(value.strip().lower(), value.strip())
+
+
+def ssml_to_segments(ssml: str, voice: str, rate: str, pitch: str, volume: str) -> list[dict]:
+    """
+    Flatten an SSML document into speech segments and pauses.
+    Edge TTS escapes caller markup, so each run of text with the same
+    voice and prosody is synthesized separately.
+    """
+    root = ET.fromstring(ssml)
+    segments: list[dict] = []
+
+    def add_text(text: str, ctx: dict):
+        text = re.sub(r"\s+", " ", text or "").strip()
+        if not text:
+            return
+        last = segments[-1] if segments else None
+        if not re.search(r"\w", text):
+            # Bare punctuation cannot be synthesized alone; attach it to the previous run
+            if last and last["type"] == "speech":
+                last["text"] += text
+            return
+        if last and last["type"] == "speech" and all(last[k] == ctx[k] for k in ("voice", "rate", "pitch", "volume")):
+            last["text"] += " " + text
+        else:
+            segments.append({"type": "speech", "text": text, **ctx})
+
+    def walk(element, ctx: dict):
+        tag = element.tag.split("}")[-1]
+        ctx = dict(ctx)
+
+        if tag == "break":
+            segments.append({"type": "pause", "seconds": parse_break_time(element.get("time", "500ms"))})
+            return
+        if tag == "say-as" and element.get("interpret-as") in ("characters", "spell-out"):
+            add_text(" ".join(c for c in "".join(element.itertext()) if not c.isspace()), ctx)
+            return
+        if tag == "sub":
+            add_text(element.get("alias") or "".join(element.itertext()), ctx)
+            return
+
+        if tag == "voice" and element.get("name"):
+            ctx["voice"] = element.get("name")
+        elif tag == "prosody":
+            for key in ("rate", "pitch", "volume"):
+                ctx[key] = normalize_prosody(key, element.get(key), ctx[key])
+        elif tag == "emphasis":
+            ctx.update(EMPHASIS_LEVELS.get(element.get("level", "moderate"), {}))
+
+        add_text(element.text, ctx)
+        for child in element:
+            walk(child, ctx)
+            add_text(child.tail, ctx)
+
+    walk(root, {"voice": voice, "rate": rate, "pitch": pitch, "volume": volume})
+    return segments
+
+
+def create_communicate(text: str, voice: str, rate: str, pitch: str, volume: str, word_boundaries: bool = False):
+    """Create an edge-tts Communicate, asking for word boundary events when needed"""
+    if word_boundaries:
+        try:
+            # edge-tts 7+ emits sentence boundaries unless told otherwise
+            return edge_tts.Communicate(text, voice, rate=rate, volume=volume, pitch=pitch, boundary="WordBoundary")
+        except TypeError:
+            # Older releases always emit word boundaries
+            pass
+    return edge_tts.Communicate(text, voice, rate=rate, volume=volume, pitch=pitch)
+
+
+async def save_with_boundaries(communicate, output_file: str, offset_ms: float = 0) -> list[dict]:
+    """Stream audio to a file, collecting word timings (milliseconds)"""
+    words = []
+    with open(output_file, "wb") as f:
+        async for chunk in communicate.stream():
+            if chunk["type"] == "audio":
+                f.write(chunk["data"])
+            elif chunk["type"] == "WordBoundary":
+                words.append({
+                    "text": chunk["text"],
+                    "offset": round(offset_ms + chunk["offset"] / TICKS_PER_MS),
+                    "duration": round(chunk["duration"] / TICKS_PER_MS)
+                })
+    return words
+
+
+async def run_ffmpeg(*args: str):
+    """Run ffmpeg quietly, raising on failure"""
+    process = await asyncio.create_subprocess_exec(
+        "ffmpeg", "-y", "-loglevel", "error", *args,
+        stdout=asyncio.subprocess.DEVNULL,
+        stderr=asyncio.subprocess.PIPE
+    )
+    _, stderr = await process.communicate()
+    if process.returncode != 0:
+        raise RuntimeError(f"ffmpeg failed: {stderr.decode(errors='replace')[:300]}")
+
+
+async def synthesize_ssml(ssml: str, voice: str, rate: str, pitch: str, volume: str, output_file: str) -> tuple[int, list[dict]]:
+    """Render SSML to a single MP3, returning the number of segments and word timings"""
+    segments = ssml_to_segments(ssml, voice, rate, pitch, volume)
+    if not any(segment["type"] == "speech" for segment in segments):
+        raise ValueError("SSML contains no text to speak")
+
+    words = []
+    offset_ms = 0.0
+
+    with tempfile.TemporaryDirectory() as work_dir:
+        parts = []
+        for index, segment in enumerate(segments):
+            part = os.path.join(work_dir, f"part-{index}.mp3")
+            if segment["type"] == "pause":
+                await run_ffmpeg(
+                    "-f", "lavfi", "-i", f"anullsrc=r={SAMPLE_RATE}:cl=mono",
+                    "-t", str(segment["seconds"]), "-b:a", BITRATE, part
+                )
+                offset_ms += segment["seconds"] * 1000
+            else:
+                communicate = create_communicate(
+                    segment["text"], segment["voice"],
+                    segment["rate"], segment["pitch"], segment["volume"], word_boundaries=True
+                )
+                words.extend(await save_with_boundaries(communicate, part, offset_ms))
+                offset_ms += os.path.getsize(part) / MP3_BYTES_PER_MS
+            parts.append(part)
+
+        list_file = os.path.join(work_dir, "parts.txt")
+        with open(list_file, "w") as f:
+            f.writelines(f"file '{part}'\n" for part in parts)
+        await run_ffmpeg("-f", "concat", "-safe", "0", "-i", list_file, "-c", "copy", output_file)
+
+    return len(segments), words
+
 @server.list_tools()
 async def list_tools() -> list[types.Tool]:
     """List available tools for the MCP client"""
@@ -38,6 +213,31 @@ async def list_tools() -> list[types.Tool]:
                         "type": "string",
                         "description": "Output file path (optional, defaults to /tmp/output.mp3)",
                         "default": "/tmp/output.mp3"
+                    },
+                    "rate": {
+                        "type": "string",
+                        "description": "Speaking rate adjustment (e.g., +10%, -20%)",
+                        "default": "+0%"
+                    },
+                    "pitch": {
+                        "type": "string",
+                        "description": "Pitch adjustment (e.g., +5Hz, -10Hz)",
+                        "default": "+0Hz"
+                    },
+                    "volume": {
+                        "type": "string",
+                        "description": "Volume adjustment (e.g., +10%, -50%)",
+                        "default": "+0%"
+                    },
+                    "ssml": {
+                        "type": "boolean",
+                        "description": "Treat text as an SSML document (<speak>, <voice>, <prosody>, <break>, <emphasis>, <say-as>, <sub>)",
+                        "default": False
+                    },
+                    "word_boundaries": {
+                        "type": "boolean",
+                        "description": "Also return per-word timings (offset and duration in ms) as a JSON text content",
+                        "default": False
                     }
                 },
                 "required": ["text"]
@@ -52,6 +252,12 @@ async def list_tools() -> list[types.Tool]:
                     "language": {
                         "type": "string",
                         "description": "Filter by language code (e.g., en-US, es-ES). Optional."
+                    },
+                    "format": {
+                        "type": "string",
+                        "enum": ["text", "json"],
+                        "description": "text for a readable list (first 50), json for the full structured catalog",
+                        "default": "text"
                     }
                 }
             }
@@ -66,6 +272,11 @@ async def call_tool(name: str, arguments: dict) -> list[types.TextContent]:
         text = arguments.get("text", "")
         voice = arguments.get("voice", "en-US-AriaNeural")
         output_file = arguments.get("output_file", "/tmp/output.mp3")
+        rate = arguments.get("rate", "+0%")
+        pitch = arguments.get("pitch", "+0Hz")
+        volume = arguments.get("volume", "+0%")
+        is_ssml = arguments.get("ssml", False)
+        word_boundaries = arguments.get("word_boundaries", False)
         
         if not text:
             return [types.TextContent(
@@ -78,20 +289,33 @@ async def call_tool(name: str, arguments: dict) -> list[types.TextContent]:
             os.makedirs(os.path.dirname(output_file), exist_ok=True)
             
             # Generate speech
-            communicate = edge_tts.Communicate(text, voice)
-            await communicate.save(output_file)
+            words = []
+            if is_ssml:
+                segment_count, words = await synthesize_ssml(text, voice, rate, pitch, volume, output_file)
+            elif word_boundaries:
+                communicate = create_communicate(text, voice, rate, pitch, volume, word_boundaries=True)
+                words = await save_with_boundaries(communicate, output_file)
+            else:
+                communicate = edge_tts.Communicate(text, voice, rate=rate, volume=volume, pitch=pitch)
+                await communicate.save(output_file)
             
             # Get file size
             file_size = os.path.getsize(output_file)
+            ssml_line = f"🧩 SSML segments: {segment_count}\n" if is_ssml else ""
             
-            return [types.TextContent(
+            content = [types.TextContent(
                 type="text",
                 text=f"✅ Text-to-speech conversion successful!\n\n"
                      f"📝 Text: \"{text[:100]}{'...' if len(text) > 100 else ''}\"\n"
                      f"🎤 Voice: {voice}\n"
+                     f"🎚️ Prosody: rate {rate}, pitch {pitch}, volume {volume}\n"
+                     f"{ssml_line}"
                      f"💾 Output: {output_file}\n"
                      f"📊 Size: {file_size:,} bytes"
             )]
+            if word_boundaries:
+                content.append(types.TextContent(type="text", text=json.dumps({"wordBoundaries": words})))
+            return content
             
         except Exception as e:
             return [types.TextContent(
@@ -101,6 +325,7 @@ async def call_tool(name: str, arguments: dict) -> list[types.TextContent]:
     
     elif name == "list_voices":
         language_filter = arguments.get("language")
+        output_format = arguments.get("format", "text")
         
         try:
             voices = await edge_tts.list_voices()
@@ -108,6 +333,19 @@ async def call_tool(name: str, arguments: dict) -> list[types.TextContent]:
             if language_filter:
                 voices = [v for v in voices if v.get("Locale", "").startswith(language_filter)]
             
+            if output_format == "json":
+                catalog = [{
+                    "shortName": v.get("ShortName"),
+                    "name": v.get("Name"),
+                    "locale": v.get("Locale"),
+                    "gender": v.get("Gender"),
+                    "friendlyName": v.get("FriendlyName"),
+                    "styles": v.get("StyleList", []),
+                    "personalities": v.get("VoiceTag", {}).get("VoicePersonalities", []),
+                    "categories": v.get("VoiceTag", {}).get("ContentCategories", [])
+                } for v in voices]
+                return [types.TextContent(type="text", text=json.dumps(catalog))]
+            
             # Format voice list
             voice_list = []
             for v in voices[:50]:  # Limit to first 50
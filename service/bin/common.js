@@ -0,0 +1,379 @@
+// common.js - Shared plumbing for the edge-* command line tools and client/cli.js
+// Options, input from arguments/files/stdin, and the two backends: a running
+// service (through the client SDK) or the utilities called in-process (--local)
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { createEdgeTtsClient, createDockerClient } = require('../client');
+
+// Options every tool accepts
+const COMMON_OPTIONS = {
+  local: { type: 'boolean' },
+  url: { type: 'string' },
+  'api-key': { type: 'string' },
+  timeout: { type: 'string' },
+  retries: { type: 'string' },
+  file: { type: 'string', short: 'f' },
+  json: { type: 'boolean' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Speech options (edge-say and the client CLI's speak/synthesize)
+const SPEECH_FLAGS = {
+  voice: { type: 'string' },
+  rate: { type: 'string' },
+  pitch: { type: 'string' },
+  volume: { type: 'string' },
+  format: { type: 'string' },
+  priority: { type: 'string' },
+  'no-wait': { type: 'boolean' }
+};
+
+// Summary options (edge-summarize and the client CLI's summarize)
+const SUMMARY_FLAGS = {
+  'max-length': { type: 'string' },
+  style: { type: 'string' },
+  model: { type: 'string' }
+};
+
+const COMMON_USAGE = `Common options:
+  --local                    Call the utilities in-process instead of a running service
+  --url <url>                Service URL (EDGE_TTS_URL / DOCKER_SERVICE_URL)
+  --api-key <key>            API key (SERVICE_API_KEY)
+  --timeout <ms>             Request timeout (default 60000)
+  --retries <n>              Retries for 429/503 and refused connections (default 2)
+  -f, --file <path>          Read input from a file (default: argument, else stdin)
+  --json                     Print the full result as JSON
+  -v, --verbose              Show service logs on stderr (--local)
+  -h, --help                 Show this help
+
+Exit codes: 0 success, 1 failure, 2 usage error`;
+
+/**
+ * Error for bad command line usage (exit code 2)
+ * @param {string} message - Error message
+ * @returns {Error} Error with code USAGE
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.code = 'USAGE';
+  return error;
+}
+
+/**
+ * Error for invalid input, matching the services' 400 responses
+ * @param {string} message - Error message
+ * @param {Array<{field: string, message: string}>} details - Field errors
+ * @returns {Error} Error with code INVALID_ARGUMENTS
+ */
+function invalidArguments(message, details) {
+  const error = new Error(message);
+  error.code = 'INVALID_ARGUMENTS';
+  error.details = details;
+  return error;
+}
+
+/**
+ * Parse the command line
+ * @param {object} options - Tool-specific parseArgs options
+ * @param {string} usage - Tool usage text (printed for --help and usage errors)
+ * @returns {{values: object, positionals: string[]}} Parsed arguments
+ */
+function parseCommandLine(options, usage) {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: { ...COMMON_OPTIONS, ...options }, allowPositionals: true });
+  } catch (err) {
+    console.error(`❌ ${err.message}\n\n${usage}\n\n${COMMON_USAGE}`);
+    process.exit(2);
+  }
+
+  if (parsed.values.help) {
+    console.log(`${usage}\n\n${COMMON_USAGE}`);
+    process.exit(0);
+  }
+
+  return parsed;
+}
+
+/**
+ * Parse an optional integer option
+ * @param {string|undefined} value - Option value
+ * @param {string} name - Option name for the error message
+ * @returns {number|undefined} Integer
+ */
+function integerOption(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw usageError(`--${name} must be an integer`);
+  }
+  return number;
+}
+
+/**
+ * Drop undefined values so the service applies its defaults
+ * @param {object} object - Options object
+ * @returns {object} Object without undefined values
+ */
+function defined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Read the input: --file, then positional arguments, then stdin (also for "-")
+ * @param {object} values - Parsed options
+ * @param {string[]} positionals - Positional arguments
+ * @returns {string} Input text
+ */
+function readInput(values, positionals) {
+  if (values.file) {
+    return fs.readFileSync(values.file, 'utf8');
+  }
+  if (positionals.length > 0 && positionals[0] !== '-') {
+    return positionals.join(' ');
+  }
+  if (process.stdin.isTTY && positionals[0] !== '-') {
+    throw usageError('No input: pass it as an argument, with --file, or on stdin');
+  }
+  return fs.readFileSync(0, 'utf8');
+}
+
+/**
+ * Read the input as text, rejecting empty input
+ * @param {object} values - Parsed options
+ * @param {string[]} positionals - Positional arguments
+ * @param {string} emptyMessage - Usage error for empty input
+ * @returns {string} Trimmed text
+ */
+function readText(values, positionals, emptyMessage) {
+  const text = readInput(values, positionals).trim();
+  if (!text) {
+    throw usageError(emptyMessage);
+  }
+  return text;
+}
+
+/**
+ * Read a script plan ({ scripts: [...] } or an array) from --file, the first
+ * positional argument, or stdin
+ * @param {object} values - Parsed options
+ * @param {string[]} positionals - Positional arguments
+ * @returns {Array<object>} Scripts
+ */
+function readPlan(values, positionals) {
+  const planFile = values.file || (positionals[0] !== '-' ? positionals[0] : undefined);
+  if (!planFile && process.stdin.isTTY && positionals[0] !== '-') {
+    throw usageError('No plan: pass a JSON file or pipe it on stdin');
+  }
+
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(planFile || 0, 'utf8'));
+  } catch (err) {
+    throw usageError(`Invalid plan: ${err.message}`);
+  }
+  return Array.isArray(plan) ? plan : plan.scripts;
+}
+
+/**
+ * Speech options for speak/synthesize from SPEECH_FLAGS
+ * @param {object} values - Parsed options
+ * @returns {object} Speech options
+ */
+function speechOptions(values) {
+  return defined({
+    voice: values.voice,
+    rate: values.rate,
+    pitch: values.pitch,
+    volume: values.volume,
+    format: values.format,
+    priority: values.priority,
+    wait: values['no-wait'] ? false : undefined
+  });
+}
+
+/**
+ * Summary options from SUMMARY_FLAGS
+ * @param {object} values - Parsed options
+ * @returns {object} Summary options
+ */
+function summaryOptions(values) {
+  return defined({
+    maxLength: integerOption(values['max-length'], 'max-length'),
+    style: values.style,
+    model: values.model
+  });
+}
+
+/**
+ * Options for the client SDK from the command line
+ * @param {object} values - Parsed options
+ * @returns {object} Client options
+ */
+function clientOptions(values) {
+  return defined({
+    baseUrl: values.url,
+    apiKey: values['api-key'],
+    timeoutMs: integerOption(values.timeout, 'timeout'),
+    retries: integerOption(values.retries, 'retries')
+  });
+}
+
+/**
+ * Print a result line on stdout (console.log is redirected in --local mode)
+ * @param {string} text - Text to print
+ */
+function output(text) {
+  process.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+}
+
+/**
+ * Keep stdout for results when the utilities run in-process: their logs go
+ * to stderr with --verbose and are dropped otherwise
+ * @param {boolean} verbose - Show logs
+ */
+function quietConsole(verbose) {
+  const log = verbose ? console.error : () => {};
+  console.log = log;
+  console.info = log;
+  console.warn = verbose ? console.warn : () => {};
+}
+
+/**
+ * Load the service configuration for in-process use
+ * @param {string} service - 'edge-tts' or 'docker'
+ * @returns {object} Service configuration ({ ...values, settings })
+ */
+function loadLocalConfig(service) {
+  const { loadConfig } = require('../utils/config');
+  const { configureMcp } = require('../utils/mcp');
+  const { configureDockerAI } = require('../utils/docker-ai');
+
+  const settings = loadConfig(service);
+  configureMcp({ timeout: settings.values.mcpTimeoutMs });
+  configureDockerAI(settings.values.ai);
+  return { ...settings.values, settings };
+}
+
+/**
+ * Edge TTS backend: speak and summarize through a running service, or the
+ * same methods the service uses when local is set
+ * @param {object} values - Parsed options
+ * @returns {object} Backend with speak, summarize and close
+ */
+function createEdgeTtsBackend(values) {
+  if (!values.local) {
+    const client = createEdgeTtsClient(clientOptions(values));
+    return { speak: client.speak, summarize: client.summarize, close: () => {} };
+  }
+
+  quietConsole(values.verbose);
+  const { createStats } = require('../utils/stats');
+  const { createMethods } = require('../utils/methods');
+  const { closeAllClients } = require('../utils/mcp');
+  const { validateArgs } = require('../utils/validation');
+  const { METHOD_SCHEMAS } = require('../utils/request-schemas');
+
+  const config = loadLocalConfig('edge-tts');
+  const methods = createMethods({ ...config, inDocker: fs.existsSync('/.dockerenv') }, createStats());
+
+  // The routes validate input before it reaches the methods; do the same here
+  const validated = name => (...args) => {
+    const errors = validateArgs(METHOD_SCHEMAS[name], args);
+    if (errors.length > 0) {
+      return Promise.reject(invalidArguments(`Invalid arguments: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`, errors));
+    }
+    return methods[name](...args);
+  };
+
+  return { speak: validated('speak'), summarize: validated('summarize'), close: closeAllClients };
+}
+
+/**
+ * Docker backend: executeScripts through a running service or in-process
+ * @param {object} values - Parsed options
+ * @returns {object} Backend with executeScripts and close
+ */
+function createDockerBackend(values) {
+  if (!values.local) {
+    const client = createDockerClient(clientOptions(values));
+    return { executeScripts: client.executeScripts, close: () => {} };
+  }
+
+  quietConsole(values.verbose);
+  const { createDockerStats } = require('../utils/docker-stats');
+  const { createDockerMethods } = require('../utils/docker-methods');
+  const { closeAllClients } = require('../utils/mcp');
+  const { validate, formatErrors } = require('../utils/schema');
+  const { DOCKER_ROUTES } = require('../utils/request-schemas');
+
+  const methods = createDockerMethods(loadLocalConfig('docker'), createDockerStats());
+
+  return {
+    executeScripts: (scripts) => {
+      const errors = validate(DOCKER_ROUTES['POST /execute'].body, { scripts }, '');
+      if (errors.length > 0) {
+        return Promise.reject(invalidArguments(`Invalid request: ${formatErrors(errors)}`, errors));
+      }
+      return methods.executeScripts(scripts);
+    },
+    close: closeAllClients
+  };
+}
+
+/**
+ * Run a tool's main function: print errors, close backends and exit with
+ * 0 (success), 1 (failure) or 2 (usage error)
+ * @param {Function} main - async (track) => exit code (0 when omitted); track(backend) closes it on exit
+ */
+function runTool(main) {
+  let backend = null;
+
+  /**
+   * Remember the backend so it is closed on exit
+   * @param {object} created - Backend
+   * @returns {object} The same backend
+   */
+  const track = (created) => {
+    backend = created;
+    return created;
+  };
+
+  main(track).then(
+    (code = 0) => code,
+    (err) => {
+      console.error(`❌ ${err.message}`);
+      if (err.details) {
+        console.error(JSON.stringify(err.details, null, 2));
+      }
+      return err.code === 'USAGE' ? 2 : 1;
+    }
+  ).then((code) => {
+    if (backend) backend.close();
+
+    // Let stdout drain before exiting; only force it if something keeps the process alive
+    process.exitCode = code;
+    setTimeout(() => process.exit(code), 2000).unref();
+  });
+}
+
+module.exports = {
+  SPEECH_FLAGS,
+  SUMMARY_FLAGS,
+  parseCommandLine,
+  integerOption,
+  defined,
+  readInput,
+  readText,
+  readPlan,
+  speechOptions,
+  summaryOptions,
+  clientOptions,
+  output,
+  usageError,
+  createEdgeTtsBackend,
+  createDockerBackend,
+  runTool
+};
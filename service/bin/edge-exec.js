@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// edge-exec - Run a script plan ({ scripts: [...] } or an array) on docker-service
+//   edge-exec plan.json
+//   echo '[{"type":"bash","content":"npm test"}]' | edge-exec --local
+// Exits 1 if any script fails, so it can gate git hooks
+
+const fs = require('fs');
+const { parseCommandLine, readPlan, output, createDockerBackend, runTool } = require('./common');
+
+const USAGE = `Usage: edge-exec [plan.json | -] [options]
+
+Runs the scripts in the plan (a file, or stdin) in order and prints each
+script's status and output. Script types: bash, pws, code, speak,
+speak-interpret, speak-summary (see GET /docs on docker-service).`;
+
+/**
+ * Read a captured output file, if it is reachable from here
+ * @param {string|undefined} file - Output file path
+ * @returns {string} Contents, or '' if unreadable
+ */
+function readOutput(file) {
+  try {
+    return file ? fs.readFileSync(file, 'utf8') : '';
+  } catch (err) {
+    return '';
+  }
+}
+
+runTool(async (track) => {
+  const { values, positionals } = parseCommandLine({}, USAGE);
+
+  const scripts = readPlan(values, positionals);
+
+  const backend = track(createDockerBackend(values));
+  const results = await backend.executeScripts(scripts);
+  const failed = results.filter(result => !result.success).length;
+
+  if (values.json) {
+    output(JSON.stringify(results, null, 2));
+    return failed > 0 ? 1 : 0;
+  }
+
+  results.forEach((result, i) => {
+    const label = `[${i + 1}] ${scripts[i].type}`;
+    const outcome = result.exitCode !== undefined ? `exit ${result.exitCode}` : (result.error || 'done');
+    output(`${result.success ? '✅' : '❌'} ${label} (${outcome})`);
+
+    const stdout = readOutput(result.stdoutFile);
+    if (stdout) output(stdout);
+
+    const stderr = result.success ? '' : readOutput(result.stderrFile);
+    if (stderr) process.stderr.write(stderr.endsWith('\n') ? stderr : `${stderr}\n`);
+  });
+
+  if (failed > 0) {
+    console.error(`⚠️  ${failed} of ${results.length} script(s) failed`);
+  }
+  return failed > 0 ? 1 : 0;
+});
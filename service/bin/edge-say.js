@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// edge-say - Speak text through Edge TTS
+//   edge-say "Build finished" --voice en-GB-RyanNeural --rate=+10%
+//   edge-say --file notes.txt
+//   git log -1 --format=%s | edge-say --no-wait
+
+const { SPEECH_FLAGS, parseCommandLine, readText, speechOptions, output, createEdgeTtsBackend, runTool } = require('./common');
+
+const USAGE = `Usage: edge-say [text...] [options]
+
+Speaks the text (or --file, or stdin) and prints the voice used.
+
+Speech options:
+  --voice <name>             Voice short name, e.g. en-US-AriaNeural
+  --rate, --pitch, --volume  Prosody, e.g. --rate=-10% --pitch=+5Hz (use = for negative values)
+  --format <text|ssml|markup>
+                             Input format (default text)
+  --priority <urgent|high|normal|low>
+                             Queue priority
+  --no-wait                  Return once queued instead of after playback`;
+
+runTool(async (track) => {
+  const { values, positionals } = parseCommandLine(SPEECH_FLAGS, USAGE);
+  const text = readText(values, positionals, 'Nothing to say: the input is empty');
+
+  const backend = track(createEdgeTtsBackend(values));
+  const result = await backend.speak(text, speechOptions(values));
+
+  if (values.json) {
+    output(JSON.stringify(result, null, 2));
+  } else {
+    output(`🔊 ${result.played ? 'Spoke' : 'Queued'} ${text.length} chars with ${result.voice}`);
+  }
+});
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+// edge-summarize - Summarize text with the local Docker AI model
+//   edge-summarize < build.log
+//   edge-summarize --file notes.md --max-length 40 --style "bullet points"
+//   edge-summarize < release-notes.txt | edge-say
+
+const { SUMMARY_FLAGS, parseCommandLine, readText, summaryOptions, output, createEdgeTtsBackend, runTool } = require('./common');
+
+const USAGE = `Usage: edge-summarize [text...] [options]
+
+Summarizes the text (or --file, or stdin) and prints the summary.
+
+Summary options:
+  --max-length <words>       Maximum summary length in words (default 100)
+  --style <style>            Summary style, e.g. concise, "bullet points"
+  --model <model>            Docker AI model (default from the configuration)`;
+
+runTool(async (track) => {
+  const { values, positionals } = parseCommandLine(SUMMARY_FLAGS, USAGE);
+  const text = readText(values, positionals, 'Nothing to summarize: the input is empty');
+
+  const backend = track(createEdgeTtsBackend(values));
+  const result = await backend.summarize(text, summaryOptions(values));
+
+  output(values.json ? JSON.stringify(result, null, 2) : result.summary);
+});
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// cli.js - Command line wrapper around the client SDK
+// Prints JSON results; speak, summarize and exec go through the same backends
+// and input handling as the edge-say, edge-summarize and edge-exec tools
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { createEdgeTtsClient } = require('./index');
+const {
+  SPEECH_FLAGS,
+  SUMMARY_FLAGS,
+  integerOption,
+  defined,
+  readText,
+  readPlan,
+  speechOptions,
+  summaryOptions,
+  clientOptions,
+  output,
+  usageError,
+  createEdgeTtsBackend,
+  createDockerBackend,
+  runTool
+} = require('../bin/common');
+
+const USAGE = `Usage: node client/cli.js <command> [arguments] [options]
+
+Commands:
+  speak <text|->             Speak text (- or no text reads stdin)
+  synthesize <text|-> --out <file>
+                             Save synthesized audio to a file
+  summarize <text|->         Summarize text with Docker AI
+  voices                     List voices (--locale, --gender, --q)
+  play <filePath>            Play an MP3 file on the service host
+  exec <file.json|->         Run scripts ({ scripts: [...] } or an array) on docker-service
+  call <method> [json...]    Call any edge-tts method through /rpc
+
+Options:
+  --url <url>                Service URL (EDGE_TTS_URL or DOCKER_SERVICE_URL)
+  --api-key <key>            API key (SERVICE_API_KEY)
+  --timeout <ms>             Per-attempt timeout (default 60000)
+  --retries <n>              Retries for 429/503 and refused connections (default 2)
+  --voice, --rate, --pitch, --volume, --format, --priority
+                             Speech options (use --rate=-10% for negative values)
+  --no-wait                  Queue speech and return immediately
+  --audio-format <fmt>       mp3, wav, ogg, opus or pcm (synthesize)
+  --sample-rate <hz>         Output sample rate (synthesize)
+  --max-length <words>, --style <style>, --model <model>
+                             Summary options
+  --locale, --gender, --q    Voice filters
+  -h, --help                 Show this help
+
+Exit codes: 0 success, 1 failure, 2 usage error`;
+
+const OPTIONS = {
+  url: { type: 'string' },
+  'api-key': { type: 'string' },
+  timeout: { type: 'string' },
+  retries: { type: 'string' },
+  ...SPEECH_FLAGS,
+  ...SUMMARY_FLAGS,
+  out: { type: 'string', short: 'o' },
+  'audio-format': { type: 'string' },
+  'sample-rate': { type: 'string' },
+  locale: { type: 'string' },
+  gender: { type: 'string' },
+  q: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Run one command
+ * @param {string} command - Command name
+ * @param {string[]} args - Positional arguments after the command
+ * @param {object} values - Parsed options
+ * @param {Function} track - Registers a backend so it is closed on exit
+ * @returns {Promise<any>} Result to print
+ */
+async function run(command, args, values, track) {
+  switch (command) {
+    case 'speak':
+      return track(createEdgeTtsBackend(values)).speak(readText(values, args, 'No text given'), speechOptions(values));
+
+    case 'synthesize': {
+      if (!values.out) {
+        throw usageError('synthesize needs --out <file>');
+      }
+      const result = await createEdgeTtsClient(clientOptions(values)).synthesize(readText(values, args, 'No text given'), defined({
+        ...speechOptions(values),
+        audioFormat: values['audio-format'],
+        sampleRate: integerOption(values['sample-rate'], 'sample-rate')
+      }));
+      fs.writeFileSync(values.out, result.audio);
+      return { file: values.out, bytes: result.audio.length, audioId: result.audioId, contentType: result.contentType, voice: result.voice, cached: result.cached };
+    }
+
+    case 'summarize':
+      return track(createEdgeTtsBackend(values)).summarize(readText(values, args, 'No text given'), summaryOptions(values));
+
+    case 'voices':
+      return createEdgeTtsClient(clientOptions(values)).listVoices(defined({ locale: values.locale, gender: values.gender, q: values.q }));
+
+    case 'play':
+      if (!args[0]) {
+        throw usageError('play needs a file path');
+      }
+      return createEdgeTtsClient(clientOptions(values)).playMp3(args[0], defined({ priority: values.priority }));
+
+    case 'exec':
+      return track(createDockerBackend(values)).executeScripts(readPlan(values, args));
+
+    case 'call': {
+      if (!args[0]) {
+        throw usageError('call needs a method name');
+      }
+      const methodArgs = args.slice(1).map(arg => JSON.parse(arg));
+      return createEdgeTtsClient(clientOptions(values)).call(args[0], ...methodArgs);
+    }
+
+    default:
+      throw usageError(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+runTool(async (track) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    console.error(`❌ ${err.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  const [command, ...args] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    console.log(USAGE);
+    process.exit(parsed.values.help ? 0 : 2);
+  }
+
+  const result = await run(command, args, parsed.values, track);
+  output(JSON.stringify(result, null, 2));
+});
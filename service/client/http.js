@@ -0,0 +1,167 @@
+// http.js - HTTP transport for the service clients
+// Base URL, API key, timeouts and retries with backoff
+
+const axios = require('axios');
+
+// Status codes that mean "try again later". A gateway error (502/504) may
+// arrive after the service ran the request, so only idempotent methods retry
+// those; the services answer 429 and 503 before doing any work.
+const RETRY_STATUSES = [429, 502, 503, 504];
+const RETRY_STATUSES_NON_IDEMPOTENT = [429, 503];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+// Connection errors raised before the request reached the service
+const RETRY_ERRORS = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+// Error codes by response status, matching the codes the services throw
+const STATUS_CODES = {
+  400: 'INVALID_ARGUMENTS',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  503: 'UNAVAILABLE'
+};
+
+/**
+ * Error for a failed service call
+ * @param {string} message - Error message
+ * @param {object} info - { code, status?, details?, body? }
+ * @returns {Error} Error with code, status and details
+ */
+function clientError(message, info) {
+  const error = new Error(message);
+  error.code = info.code;
+  error.status = info.status;
+  error.details = info.details;
+  error.body = info.body;
+  return error;
+}
+
+/**
+ * Turn an axios error into a client error
+ * @param {Error} err - axios error
+ * @param {string} label - "METHOD /path" for the message
+ * @returns {Error} Client error
+ */
+function toClientError(err, label) {
+  if (!err.response) {
+    const code = err.code === 'ECONNABORTED' ? 'TIMEOUT' : (err.code || 'NETWORK_ERROR');
+    return clientError(`${label} failed: ${err.message}`, { code });
+  }
+
+  const { status } = err.response;
+  let body = err.response.data;
+
+  // Binary requests receive their error bodies as buffers too
+  if (Buffer.isBuffer(body) || body instanceof ArrayBuffer) {
+    try {
+      body = JSON.parse(Buffer.from(body).toString('utf8'));
+    } catch (parseErr) {
+      body = undefined;
+    }
+  }
+
+  const message = body && body.error ? body.error : `HTTP ${status}`;
+  return clientError(`${label} failed (${status}): ${message}`, {
+    code: STATUS_CODES[status] || 'SERVICE_ERROR',
+    status,
+    details: body && body.details,
+    body
+  });
+}
+
+/**
+ * Create an HTTP client for one service
+ * @param {object} options - Client options
+ * @param {string} options.baseUrl - Service URL, e.g. http://localhost:3000
+ * @param {string} options.apiKey - API key sent as a bearer token
+ * @param {number} options.timeoutMs - Per-attempt timeout (default 60000)
+ * @param {number} options.retries - Retries for 429/503 (and 502/504 on idempotent methods) and refused connections (default 2)
+ * @param {number} options.retryDelayMs - First backoff delay, doubled per retry (default 500)
+ * @param {number} options.maxRetryDelayMs - Longest wait between attempts, including Retry-After (default 30000)
+ * @returns {object} Client with request()
+ */
+function createHttpClient(options = {}) {
+  const {
+    baseUrl,
+    apiKey,
+    timeoutMs = 60000,
+    retries = 2,
+    retryDelayMs = 500,
+    maxRetryDelayMs = 30000
+  } = options;
+
+  if (!baseUrl) {
+    throw clientError('baseUrl is required', { code: 'INVALID_ARGUMENTS' });
+  }
+
+  const instance = axios.create({
+    baseURL: baseUrl.replace(/\/+$/, ''),
+    timeout: timeoutMs,
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+  });
+
+  /**
+   * Delay before the next attempt
+   * @param {Error} err - axios error of the failed attempt
+   * @param {string} method - HTTP method of the request
+   * @param {number} attempt - Attempt number (0-based)
+   * @returns {number|null} Delay in ms, or null if the error is not retryable
+   */
+  function retryDelay(err, method, attempt) {
+    if (attempt >= retries) return null;
+
+    if (!err.response) {
+      return RETRY_ERRORS.includes(err.code) ? Math.min(retryDelayMs * 2 ** attempt, maxRetryDelayMs) : null;
+    }
+
+    const statuses = IDEMPOTENT_METHODS.includes(method.toUpperCase()) ? RETRY_STATUSES : RETRY_STATUSES_NON_IDEMPOTENT;
+    if (!statuses.includes(err.response.status)) return null;
+
+    const retryAfter = parseInt(err.response.headers['retry-after'], 10);
+    const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : retryDelayMs * 2 ** attempt;
+    return Math.min(delay, maxRetryDelayMs);
+  }
+
+  return {
+    baseUrl: instance.defaults.baseURL,
+
+    /**
+     * Send a request, retrying transient failures
+     * @param {string} method - HTTP method
+     * @param {string} path - Path, e.g. /speak
+     * @param {object} request - { query?, body?, binary? }
+     * @returns {Promise<{data: any, headers: object, status: number}>} Response
+     */
+    request: async (method, path, request = {}) => {
+      const label = `${method} ${path}`;
+
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const response = await instance.request({
+            method,
+            url: path,
+            params: request.query,
+            data: request.body,
+            responseType: request.binary ? 'arraybuffer' : 'json'
+          });
+
+          const data = request.binary ? Buffer.from(response.data) : response.data;
+          return { data, headers: response.headers, status: response.status };
+        } catch (err) {
+          const delay = retryDelay(err, method, attempt);
+          if (delay === null) {
+            throw toClientError(err, label);
+          }
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createHttpClient
+};
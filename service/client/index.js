@@ -0,0 +1,214 @@
+// index.js - Client SDK for edge-tts-service-2 and docker-service-2
+// Methods mirror the services' own methods, so callers can switch between
+// calling a service over HTTP and calling the utilities in-process
+
+const { createHttpClient } = require('./http');
+
+const DEFAULT_EDGE_TTS_URL = process.env.EDGE_TTS_URL || 'http://localhost:3000';
+const DEFAULT_DOCKER_SERVICE_URL = process.env.DOCKER_SERVICE_URL || 'http://localhost:3007';
+
+/**
+ * @typedef {object} ClientOptions
+ * @property {string} [baseUrl] - Service URL (defaults from EDGE_TTS_URL / DOCKER_SERVICE_URL)
+ * @property {string} [apiKey] - API key (defaults from SERVICE_API_KEY)
+ * @property {number} [timeoutMs] - Per-attempt timeout (default 60000)
+ * @property {number} [retries] - Retries for rate limits, unavailable services and refused connections (default 2)
+ * @property {number} [retryDelayMs] - First backoff delay (default 500)
+ */
+
+/**
+ * @typedef {object} SpeechOptions
+ * @property {string} [voice] - Voice short name, e.g. en-US-AriaNeural
+ * @property {boolean} [fallback] - Fall back to the default voice if the voice is unknown
+ * @property {string|number} [rate] - Speaking rate, e.g. "+10%"
+ * @property {string|number} [pitch] - Pitch, e.g. "+5Hz"
+ * @property {string|number} [volume] - Volume, e.g. "-10%"
+ * @property {'text'|'ssml'|'markup'} [format] - Input format
+ * @property {'urgent'|'high'|'normal'|'low'} [priority] - Queue priority
+ * @property {boolean} [wait] - Wait for playback to finish (default true)
+ * @property {boolean} [cache] - Use the synthesis cache
+ * @property {'mp3'|'wav'|'ogg'|'opus'|'pcm'|'raw'} [audioFormat] - Output format (synthesize)
+ * @property {number} [sampleRate] - Output sample rate (synthesize)
+ */
+
+/**
+ * @typedef {object} SpeakResult
+ * @property {boolean} success - Whether speech was queued or played
+ * @property {string} voice - Voice used
+ * @property {string} queueId - Playback queue id
+ * @property {boolean} played - Whether playback finished (false when wait is false)
+ * @property {string} [audioId] - Id for GET /audio/:id, once synthesized
+ */
+
+/**
+ * @typedef {object} SynthesizeResult
+ * @property {Buffer} audio - Audio bytes
+ * @property {string} audioId - Id for GET /audio/:id
+ * @property {string} contentType - Content type of the audio
+ * @property {string} voice - Voice used
+ * @property {boolean} cached - Whether the audio came from the cache
+ */
+
+/**
+ * @typedef {object} ScriptResult
+ * @property {boolean} success - Whether the script succeeded
+ * @property {number} [exitCode] - Exit code (bash, pws and code scripts)
+ * @property {string} [stdoutFile] - Host file holding stdout
+ * @property {string} [stderrFile] - Host file holding stderr
+ * @property {string} [error] - Why the script could not run
+ * @property {string} timestamp - When the script finished
+ */
+
+/**
+ * Fill in defaults shared by both clients
+ * @param {ClientOptions} options - Caller options
+ * @param {string} defaultUrl - Default base URL
+ * @returns {object} HTTP client
+ */
+function httpClientFor(options, defaultUrl) {
+  return createHttpClient({
+    ...options,
+    baseUrl: options.baseUrl || defaultUrl,
+    apiKey: options.apiKey === undefined ? process.env.SERVICE_API_KEY : options.apiKey
+  });
+}
+
+/**
+ * Create a client for edge-tts-service-2
+ * @param {ClientOptions} options - Client options
+ * @returns {object} Edge TTS client
+ */
+function createEdgeTtsClient(options = {}) {
+  const http = httpClientFor(options, DEFAULT_EDGE_TTS_URL);
+  const json = async (method, path, request) => (await http.request(method, path, request)).data;
+
+  return {
+    baseUrl: http.baseUrl,
+
+    /**
+     * Speak text through the playback queue
+     * @param {string} text - Text to speak
+     * @param {SpeechOptions} speechOptions - Voice, prosody, format and queue options
+     * @returns {Promise<SpeakResult>} Speech result
+     */
+    speak: (text, speechOptions) => json('POST', '/speak', { body: { text, options: speechOptions } }),
+
+    /**
+     * Synthesize text without playing it
+     * @param {string} text - Text to synthesize
+     * @param {SpeechOptions} speechOptions - Speech options, plus audioFormat and sampleRate
+     * @returns {Promise<SynthesizeResult>} Audio bytes and metadata
+     */
+    synthesize: async (text, speechOptions) => {
+      const { data, headers } = await http.request('POST', '/synthesize', { body: { text, options: speechOptions }, binary: true });
+      return {
+        audio: data,
+        audioId: headers['x-audio-id'],
+        contentType: headers['content-type'],
+        voice: headers['x-voice'],
+        cached: headers['x-cached'] === 'true'
+      };
+    },
+
+    /**
+     * Fetch previously generated audio
+     * @param {string} id - Audio id from speak or synthesize
+     * @param {object} audioOptions - { format?, sampleRate? }
+     * @returns {Promise<Buffer>} Audio bytes
+     */
+    getAudio: async (id, audioOptions = {}) => {
+      const { data } = await http.request('GET', `/audio/${encodeURIComponent(id)}`, { query: audioOptions, binary: true });
+      return data;
+    },
+
+    /**
+     * Summarize text using Docker AI
+     * @param {string} text - Text to summarize
+     * @param {object} aiOptions - { maxLength?, style?, model? }
+     * @returns {Promise<object>} Summary result
+     */
+    summarize: (text, aiOptions) => json('POST', '/summarize', { body: { text, options: aiOptions } }),
+
+    /**
+     * List voices from the catalog
+     * @param {object} filters - { locale?, gender?, q?, refresh? }
+     * @returns {Promise<object>} Voice catalog
+     */
+    listVoices: (filters = {}) => json('GET', '/voices', { query: filters }),
+
+    /**
+     * Details for a single voice
+     * @param {string} name - Voice short name
+     * @returns {Promise<object>} Voice details
+     */
+    getVoice: name => json('GET', `/voices/${encodeURIComponent(name)}`),
+
+    /**
+     * Play an existing MP3 file on the service host
+     * @param {string} filePath - Host or container path of the MP3
+     * @param {object} playbackOptions - { player?, priority? }
+     * @returns {Promise<object>} Playback result
+     */
+    playMp3: (filePath, playbackOptions) => json('POST', '/play-mp3', { body: { filePath, options: playbackOptions } }),
+
+    /**
+     * Call any service method through POST /rpc
+     * @param {string} method - Method name (see x-rpc-methods in /openapi.json)
+     * @param {...any} args - Positional arguments
+     * @returns {Promise<any>} Method result
+     */
+    call: async (method, ...args) => (await json('POST', '/rpc', { body: { method, args } })).result,
+
+    /**
+     * Health check and statistics
+     * @returns {Promise<object>} Health
+     */
+    health: () => json('GET', '/health'),
+
+    /**
+     * Prometheus metrics (needs the read scope)
+     * @returns {Promise<string>} Text exposition format
+     */
+    metrics: async () => (await http.request('GET', '/metrics', { binary: true })).data.toString('utf8')
+  };
+}
+
+/**
+ * Create a client for docker-service-2
+ * @param {ClientOptions} options - Client options
+ * @returns {object} Docker service client
+ */
+function createDockerClient(options = {}) {
+  const http = httpClientFor(options, DEFAULT_DOCKER_SERVICE_URL);
+
+  return {
+    baseUrl: http.baseUrl,
+
+    /**
+     * Execute scripts on the service host
+     * @param {Array<object>} scripts - Scripts ({ type, path?, content?, text?, params?, expectation?, ... })
+     * @returns {Promise<ScriptResult[]>} One result per script
+     */
+    executeScripts: async (scripts) => {
+      const { data } = await http.request('POST', '/execute', { body: { scripts } });
+      return data.results;
+    },
+
+    /**
+     * Health check and statistics
+     * @returns {Promise<object>} Health
+     */
+    health: async () => (await http.request('GET', '/health')).data,
+
+    /**
+     * Prometheus metrics (needs the read scope)
+     * @returns {Promise<string>} Text exposition format
+     */
+    metrics: async () => (await http.request('GET', '/metrics', { binary: true })).data.toString('utf8')
+  };
+}
+
+module.exports = {
+  createEdgeTtsClient,
+  createDockerClient
+};
@@ -7,51 +7,94 @@ const express = require('express');
 const { createDockerStats } = require('./utils/docker-stats');
 const { createDockerMethods } = require('./utils/docker-methods');
 const { setupDockerRoutes } = require('./utils/docker-routes');
+const { closeAllClients, configureMcp } = require('./utils/mcp');
+const { configureDockerAI } = require('./utils/docker-ai');
+const { loadConfig, reportConfigError } = require('./utils/config');
+const { createAuth } = require('./utils/auth');
+const { createRateLimiter } = require('./utils/rate-limit');
+const { createMcpServer, serveStdio } = require('./utils/mcp-server');
+const { createDockerTools } = require('./utils/mcp-tools');
 
-// Configuration
-const PORT = process.env.PORT || 3007;
-const HOST = process.env.HOST || '0.0.0.0';
-const TEMP_DIR = process.env.TEMP_DIR || 'C:\\temp';
+// --mcp-stdio: run as an MCP server on stdin/stdout (for editor agents) instead of HTTP
+const MCP_STDIO = process.argv.includes('--mcp-stdio');
+
+// Configuration: defaults < CONFIG_FILE (JSON/YAML) < environment variables
+let settings;
+try {
+  settings = loadConfig('docker');
+} catch (err) {
+  reportConfigError(err);
+  process.exit(1);
+}
+
+const PORT = settings.values.port;
+const HOST = settings.values.host;
+const TEMP_DIR = settings.values.tempDir;
+
+configureMcp({ timeout: settings.values.mcpTimeoutMs });
+configureDockerAI(settings.values.ai);
 
 // Initialize Express app
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: settings.values.maxBodyBytes }));
+app.set('debug', settings.values.debug);
 
 // Create statistics tracker
 const stats = createDockerStats();
 
 // Create service configuration
 const config = {
-  tempDir: TEMP_DIR
+  ...settings.values,
+  settings: settings
 };
 
 // Create service methods
 const methods = createDockerMethods(config, stats);
 
+// API key authentication (disabled when no keys are configured; script
+// execution then stays limited to clients on this machine)
+const auth = createAuth({ keys: config.auth.keys, realm: 'docker-service', localOnlyScopes: ['execute'] }, stats);
+
+// Per-client rate limits for expensive routes
+const limiter = createRateLimiter({ limits: config.rateLimits });
+
 // Setup routes
-setupDockerRoutes(app, methods, stats);
-
-// Start server
-app.listen(PORT, HOST, () => {
-  console.log('');
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log('  ⚙️  Docker Script Execution Service v2.0');
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log(`  Listening:     http://${HOST}:${PORT}`);
-  console.log(`  From Docker:   http://host.docker.internal:${PORT}`);
-  console.log(`  Temp Dir:      ${TEMP_DIR}`);
-  console.log(`  Started:       ${new Date().toISOString()}`);
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log('');
-  console.log('📜 Script Types:');
-  console.log('   • bash - Execute bash scripts');
-  console.log('   • pws/powershell - Execute PowerShell scripts');
-  console.log('');
-  console.log('🎯 Ready to execute scripts...');
-  console.log('📊 Stats: http://localhost:' + PORT + '/stats');
-  console.log('❌ Stop: Ctrl+C');
-  console.log('');
-});
+setupDockerRoutes(app, methods, stats, auth, limiter);
+
+if (MCP_STDIO) {
+  const stdio = serveStdio(createMcpServer({ name: 'docker-service', version: '2.0.0', tools: createDockerTools(methods) }));
+  stdio.on('close', () => {
+    closeAllClients();
+    process.exit(0);
+  });
+} else {
+  // Start server
+  app.listen(PORT, HOST, () => {
+    console.log('');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('  ⚙️  Docker Script Execution Service v2.0');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`  Listening:     http://${HOST}:${PORT}`);
+    console.log(`  From Docker:   http://host.docker.internal:${PORT}`);
+    console.log(`  Temp Dir:      ${TEMP_DIR}`);
+    console.log(`  Auth:          ${auth.enabled ? `${config.auth.keys.length} API key(s)` : 'disabled (no API keys configured)'}`);
+    console.log(`  Started:       ${new Date().toISOString()}`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('');
+    if (!auth.enabled && HOST !== '127.0.0.1' && HOST !== 'localhost') {
+      console.warn('[⚠️ ] No API keys configured: /execute only accepts requests from localhost. Configure API keys to run scripts remotely.');
+      console.log('');
+    }
+    console.log('📜 Script Types:');
+    console.log('   • bash - Execute bash scripts');
+    console.log('   • pws/powershell - Execute PowerShell scripts');
+    console.log('');
+    console.log('🎯 Ready to execute scripts...');
+    console.log('📊 Stats: http://localhost:' + PORT + '/stats');
+    console.log('❌ Stop: Ctrl+C');
+    console.log('');
+  });
+}
 
 // Graceful shutdown
 process.on('SIGINT', () => {
@@ -1,5 +1,7 @@
-// docker-service.js - General-purpose script execution service
+// docker-service.js - General-purpose script execution service (legacy)
 // Executes bash/PowerShell scripts with parameter passing and output capture
+// No API keys: script execution is only accepted from this machine. Use
+// docker-service-2.js (npm run start:docker) for authenticated remote use.
 
 const express = require('express');
 const fs = require('fs').promises;
@@ -15,7 +17,7 @@ const app = express();
 app.use(express.json());
 
 const PORT = process.env.PORT || 3007;
-const HOST = process.env.HOST || '0.0.0.0';
+const HOST = process.env.HOST || '127.0.0.1';
 const TEMP_DIR = process.env.TEMP_DIR || 'C:\\temp';
 
 // Statistics
@@ -166,8 +168,22 @@ async function executeScripts(scripts) {
   return results;
 }
 
+/**
+ * Reject script execution from other machines: this service has no authentication
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function localOnly(req, res, next) {
+  const address = req.socket.remoteAddress || '';
+  if (address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1') {
+    return next();
+  }
+  res.status(403).json({ error: 'Script execution is only allowed from localhost on the legacy service; use docker-service-2.js with API keys' });
+}
+
 // POST endpoint for executing scripts
-app.post('/execute', async (req, res) => {
+app.post('/execute', localOnly, async (req, res) => {
   stats.totalRequests++;
 
   const { scripts } = req.body;
@@ -205,7 +221,7 @@ app.post('/execute', async (req, res) => {
 });
 
 // GET endpoint for executing from file (Copilot integration)
-app.get('/execute-from-file', async (req, res) => {
+app.get('/execute-from-file', localOnly, async (req, res) => {
   stats.totalRequests++;
 
   const { filePath } = req.query;
@@ -330,6 +346,8 @@ app.listen(PORT, HOST, () => {
   console.log(`  Started:       ${new Date().toISOString()}`);
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log('');
+  console.warn('[⚠️ ] Legacy service without API keys: /execute only accepts local requests. Use docker-service-2.js instead.');
+  console.log('');
   console.log('📜 Script Types:');
   console.log('   • bash - Execute bash scripts');
   console.log('   • pws/powershell - Execute PowerShell scripts');
@@ -8,75 +8,110 @@ const fsSync = require('fs');
 const { createStats } = require('./utils/stats');
 const { createMethods } = require('./utils/methods');
 const { setupRoutes } = require('./utils/routes');
-const { callEdgeTts } = require('./utils/mcp');
-
-// Configuration
-const PORT = process.env.PORT || 3000;
-const HOST = process.env.HOST || '0.0.0.0';
-const DEFAULT_VOICE = process.env.EDGE_TTS_VOICE || 'en-US-AriaNeural';
-const CONTAINER_NAME = 'edge-tts';
-const TEMP_DIR = process.env.TEMP_DIR || 'C:\\temp';
+const { closeAllClients, configureMcp } = require('./utils/mcp');
+const { configureDockerAI } = require('./utils/docker-ai');
+const { loadConfig, reportConfigError } = require('./utils/config');
+const { createAuth } = require('./utils/auth');
+const { createRateLimiter } = require('./utils/rate-limit');
+const { createMcpServer, serveStdio } = require('./utils/mcp-server');
+const { createEdgeTtsTools } = require('./utils/mcp-tools');
+
+// --mcp-stdio: run as an MCP server on stdin/stdout (for editor agents) instead of HTTP
+const MCP_STDIO = process.argv.includes('--mcp-stdio');
+
+// Configuration: defaults < CONFIG_FILE (JSON/YAML) < environment variables
+let settings;
+try {
+  settings = loadConfig('edge-tts');
+} catch (err) {
+  reportConfigError(err);
+  process.exit(1);
+}
+
+const PORT = settings.values.port;
+const HOST = settings.values.host;
+const DEFAULT_VOICE = settings.values.defaultVoice;
+const AUDIO_PLAYER = settings.values.audioPlayer;
 const IN_DOCKER = process.env.IN_DOCKER || fsSync.existsSync('/.dockerenv');
 
+configureMcp({ timeout: settings.values.mcpTimeoutMs });
+configureDockerAI(settings.values.ai);
+
 // Initialize Express app
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: settings.values.maxBodyBytes }));
+app.set('debug', settings.values.debug);
 
 // Create statistics tracker
 const stats = createStats();
 
 // Create service configuration
 const config = {
-  containerName: CONTAINER_NAME,
-  defaultVoice: DEFAULT_VOICE,
-  tempDir: TEMP_DIR,
-  inDocker: IN_DOCKER
+  ...settings.values,
+  inDocker: IN_DOCKER,
+  settings: settings
 };
 
 // Create service methods
 const methods = createMethods(config, stats);
 
+// API key authentication (disabled when no keys are configured)
+const auth = createAuth({ keys: config.auth.keys, realm: 'edge-tts' }, stats);
+
+// Per-client rate limits for expensive routes
+const limiter = createRateLimiter({ limits: config.rateLimits });
+
 // Setup routes
-setupRoutes(app, methods, stats);
-
-// Start server
-app.listen(PORT, HOST, async () => {
-  console.log('');
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log('  🎙️  Edge TTS Service - MCP Proxy v2.0');
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log(`  Listening:     http://${HOST}:${PORT}`);
-  console.log(`  From Docker:   http://host.docker.internal:${PORT}`);
-  console.log(`  Backend:       edge-tts-mcp (Docker)`);
-  console.log(`  Default Voice: ${DEFAULT_VOICE}`);
-  console.log(`  Started:       ${new Date().toISOString()}`);
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log('');
-
-  // Test MCP connection on startup
-  try {
-    console.log('🔍 Testing Edge TTS MCP server connection...');
-    await callEdgeTts(CONTAINER_NAME, 'speak', { text: 'Test', voice: DEFAULT_VOICE });
-    console.log('✅ Edge TTS MCP server is accessible');
-    console.log('🎧 Waiting for vocalization requests...');
-    console.log('📊 Stats: http://localhost:' + PORT + '/stats');
-    console.log('❌ Stop: Ctrl+C');
+setupRoutes(app, methods, stats, auth, limiter);
+
+if (MCP_STDIO) {
+  const stdio = serveStdio(createMcpServer({ name: 'edge-tts-service', version: '2.0.0', tools: createEdgeTtsTools(methods) }));
+  stdio.on('close', () => {
+    closeAllClients();
+    process.exit(0);
+  });
+} else {
+  // Start server
+  app.listen(PORT, HOST, async () => {
+    console.log('');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('  🎙️  Edge TTS Service - MCP Proxy v2.0');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`  Listening:     http://${HOST}:${PORT}`);
+    console.log(`  From Docker:   http://host.docker.internal:${PORT}`);
+    console.log(`  Backend:       edge-tts-mcp (Docker)`);
+    console.log(`  Default Voice: ${DEFAULT_VOICE}`);
+    console.log(`  Audio Player:  ${AUDIO_PLAYER}`);
+    console.log(`  Auth:          ${auth.enabled ? `${config.auth.keys.length} API key(s)` : 'disabled (no API keys configured)'}`);
+    console.log(`  Started:       ${new Date().toISOString()}`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('');
 
-    // Test speech on startup
+    // Test MCP connection on startup
     try {
-      await methods.speak('Edge T T S service version 2 started');
-      console.log('🔊 Startup speech test successful');
+      console.log('🔍 Discovering Edge TTS MCP server tools...');
+      const { count } = await methods.listTools({ refresh: true });
+      console.log(`✅ Edge TTS MCP server is accessible (${count} tools)`);
+      console.log('🎧 Waiting for vocalization requests...');
+      console.log('📊 Stats: http://localhost:' + PORT + '/stats');
+      console.log('❌ Stop: Ctrl+C');
+      console.log('');
+
+      // Test speech on startup
+      try {
+        await methods.speak('Edge {spell:TTS} service version 2 started', { format: 'markup' });
+        console.log('🔊 Startup speech test successful');
+      } catch (err) {
+        console.warn('[⚠️ ] Startup speech test failed:', err.message);
+      }
     } catch (err) {
-      console.warn('[⚠️ ] Startup speech test failed:', err.message);
+      console.error('[✗] Failed to connect to Edge TTS MCP server:', err.message);
+      console.error('    Make sure edge-tts-mcp Docker image is built');
+      console.error('    Service will continue, but speech requests will fail');
     }
-  } catch (err) {
-    console.error('[✗] Failed to connect to Edge TTS MCP server:', err.message);
-    console.error('    Make sure edge-tts-mcp Docker image is built');
-    console.error('    Service will continue, but speech requests will fail');
-  }
-  console.log('');
-});
+    console.log('');
+  });
+}
 
 // Graceful shutdown
 process.on('SIGINT', () => {
@@ -84,10 +119,12 @@ process.on('SIGINT', () => {
   const currentStats = stats.getStats();
   console.log(`📊 Final stats: ${currentStats.totalSpoken} messages spoken, ${currentStats.errors} errors`);
 
-  methods.speak('Edge T T S service version 2 stopped').then(() => {
+  methods.speak('Edge {spell:TTS} service version 2 stopped', { format: 'markup' }).then(() => {
+    closeAllClients();
     console.log('✓ Shutdown complete');
     process.exit(0);
   }).catch(() => {
+    closeAllClients();
     console.log('✓ Shutdown complete (speech unavailable)');
     process.exit(0);
   });
@@ -7,6 +7,7 @@ const fsSync = require('fs');
 const path = require('path');
 const { spawn, exec } = require('child_process');
 const { promisify } = require('util');
+const { errorBody } = require('./utils/validation');
 
 const execAsync = promisify(exec);
 
@@ -19,6 +20,8 @@ const DEFAULT_VOICE = process.env.EDGE_TTS_VOICE || 'en-US-AriaNeural';
 const CONTAINER_NAME = 'edge-tts';
 const TEMP_DIR = process.env.TEMP_DIR || 'C:\\temp';
 const IN_DOCKER = process.env.IN_DOCKER || fsSync.existsSync('/.dockerenv');
+// Include stack traces in error responses (same switch as the modular services)
+const DEBUG = ['true', '1', 'yes'].includes((process.env.SERVICE_DEBUG || '').toLowerCase());
 
 // Statistics
 let stats = {
@@ -463,7 +466,7 @@ app.post('/rpc', async (req, res) => {
       res.json({ result });
     } catch (err) {
       stats.errors++;
-      res.status(500).json({ error: err.message, stack: err.stack });
+      res.status(500).json(errorBody(err, DEBUG));
     }
   } else {
     res.status(404).json({
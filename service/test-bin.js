@@ -0,0 +1,171 @@
+// test-bin.js - Test the edge-say, edge-summarize and edge-exec command line tools
+// Starts edge-tts-service-2 (with an API key) and docker-service-2 against a fake
+// docker CLI, then runs the tools as child processes: input from arguments and
+// stdin, --json output, and exit codes 0 (success), 1 (failure) and 2 (usage)
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { startService } = require('./test-fixtures/service');
+
+// Configuration
+const EDGE_TTS_PORT = process.env.TEST_PORT || 3989;
+const DOCKER_PORT = process.env.TEST_DOCKER_PORT || 3988;
+const EDGE_TTS_URL = `http://localhost:${EDGE_TTS_PORT}`;
+const DOCKER_URL = `http://localhost:${DOCKER_PORT}`;
+const SPEAK_KEY = 'bin-test-speak-key';
+
+/**
+ * Run a tool and collect its output
+ * @param {string} tool - Tool name in bin/ (e.g. 'edge-say')
+ * @param {string[]} args - Command line arguments
+ * @param {string} input - Text written to stdin (stdin is closed either way)
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Exit code and output
+ */
+function runBin(tool, args, input = '') {
+  // Keep the caller's service settings out of the tools' defaults
+  const env = { ...process.env };
+  ['EDGE_TTS_URL', 'DOCKER_SERVICE_URL', 'SERVICE_API_KEY'].forEach(name => delete env[name]);
+
+  const child = spawn(process.execPath, [path.join(__dirname, 'bin', `${tool}.js`), ...args], { env });
+
+  let stdout = '';
+  let stderr = '';
+  child.stdout.on('data', (chunk) => { stdout += chunk; });
+  child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`${tool} did not exit`));
+    }, 30000);
+
+    child.on('error', reject);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr });
+    });
+
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Expect a tool run to exit with a code
+ * @param {object} run - Result of runBin
+ * @param {number} code - Expected exit code
+ * @returns {object} The same run
+ */
+function expectExit(run, code) {
+  if (run.code !== code) {
+    throw new Error(`expected exit ${code}, got ${run.code}: ${run.stderr.trim() || run.stdout.trim()}`);
+  }
+  return run;
+}
+
+async function testBin() {
+  console.log('🧪 Test: edge-say, edge-summarize and edge-exec');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const say = ['--url', EDGE_TTS_URL, '--api-key', SPEAK_KEY];
+  const exec = ['--url', DOCKER_URL];
+
+  const checks = [
+    ['edge-say speaks its arguments', async () => {
+      const { stdout } = expectExit(await runBin('edge-say', ['Build', 'finished', ...say]), 0);
+      if (!stdout.includes('Spoke 14 chars with en-US-AriaNeural')) throw new Error(stdout);
+    }],
+    ['edge-say reads stdin and prints --json', async () => {
+      const { stdout } = expectExit(await runBin('edge-say', [...say, '--json', '--no-wait'], 'Hello from stdin\n'), 0);
+      const result = JSON.parse(stdout);
+      if (result.length !== 16 || result.played !== false || !result.queueId) throw new Error(stdout);
+    }],
+    ['--timeout and --retries are accepted and passed to the client', async () => {
+      // Nothing listens on port 1: with no retries the refusal is reported at once
+      const started = Date.now();
+      const { stderr } = expectExit(await runBin('edge-say', ['Hello', '--url', 'http://127.0.0.1:1', '--retries', '0', '--timeout', '5000']), 1);
+      if (!stderr.includes('❌') || Date.now() - started > 10000) throw new Error(stderr);
+    }],
+    ['service errors exit 1', async () => {
+      const { stderr } = expectExit(await runBin('edge-say', ['Hello', '--url', EDGE_TTS_URL, '--api-key', 'wrong-key']), 1);
+      if (!stderr.includes('❌')) throw new Error(stderr);
+    }],
+    ['usage errors exit 2', async () => {
+      expectExit(await runBin('edge-say', ['Hello', '--no-such-flag']), 2);
+      expectExit(await runBin('edge-say', ['Hello', ...say, '--retries', 'two']), 2);
+      const empty = expectExit(await runBin('edge-say', say, '   \n'), 2);
+      if (!empty.stderr.includes('Nothing to say')) throw new Error(empty.stderr);
+      expectExit(await runBin('edge-summarize', say, ''), 2);
+      expectExit(await runBin('edge-exec', exec, 'not json'), 2);
+    }],
+    ['--help prints the usage and exits 0', async () => {
+      const { stdout } = expectExit(await runBin('edge-summarize', ['--help']), 0);
+      if (!stdout.includes('Usage: edge-summarize') || !stdout.includes('--retries <n>')) throw new Error(stdout);
+    }],
+    ['edge-exec runs a plan from stdin and prints the output', async () => {
+      const plan = JSON.stringify([{ type: 'bash', content: 'echo bin-test-output' }]);
+      const { stdout } = expectExit(await runBin('edge-exec', [...exec, '-'], plan), 0);
+      if (!stdout.includes('✅ [1] bash (exit 0)') || !stdout.includes('bin-test-output')) throw new Error(stdout);
+    }],
+    ['edge-exec exits 1 when a script fails, also with --json', async () => {
+      const plan = JSON.stringify({ scripts: [{ type: 'bash', content: 'echo ok' }, { type: 'bash', content: 'exit 3' }] });
+
+      const text = expectExit(await runBin('edge-exec', exec, plan), 1);
+      if (!text.stdout.includes('❌ [2] bash (exit 3)') || !text.stderr.includes('1 of 2 script(s) failed')) throw new Error(text.stdout + text.stderr);
+
+      const { stdout } = expectExit(await runBin('edge-exec', [...exec, '--json'], plan), 1);
+      const results = JSON.parse(stdout);
+      if (results.length !== 2 || !results[0].success || results[1].exitCode !== 3) throw new Error(stdout);
+    }],
+    ['invalid plans are rejected by the service schema with exit 1', async () => {
+      const { stderr } = expectExit(await runBin('edge-exec', exec, JSON.stringify([{ type: 'fortran' }])), 1);
+      if (!stderr.includes('❌')) throw new Error(stderr);
+    }]
+  ];
+
+  const services = [];
+  let failures = 0;
+
+  try {
+    console.log(`🚀 Starting edge-tts-service-2 on port ${EDGE_TTS_PORT} and docker-service-2 on port ${DOCKER_PORT} (fake docker)...`);
+    services.push(await startService({
+      port: EDGE_TTS_PORT,
+      prefix: 'edge-tts-bin-',
+      env: { API_KEYS: JSON.stringify([{ label: 'bin-speaker', key: SPEAK_KEY, scopes: ['read', 'speak'] }]) }
+    }));
+    services.push(await startService({
+      script: 'docker-service-2.js',
+      port: DOCKER_PORT,
+      prefix: 'docker-bin-',
+      ready: () => true
+    }));
+    console.log('✅ Services are running\n');
+
+    for (const [name, check] of checks) {
+      try {
+        await check();
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        console.error(`❌ ${name}: ${error.message}`);
+        failures++;
+      }
+    }
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    failures++;
+  } finally {
+    services.forEach(service => service.stop());
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 Command line tool checks passed!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testBin();
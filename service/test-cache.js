@@ -0,0 +1,201 @@
+// test-cache.js - Test the synthesis cache
+// Runs in-process against temp directories (no service or Docker needed):
+// hits and misses, LRU eviction together with the word-timing companions,
+// and entries pinned by a get() surviving a concurrent put() that evicts
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSynthesisCache } = require('./utils/cache');
+
+// Each entry is 30 bytes of audio plus 10 bytes of timings: two fit under the cap
+const MAX_BYTES = 100;
+const AUDIO = Buffer.alloc(30, 1);
+const TIMINGS = { '.json': Buffer.alloc(10, 2) };
+
+const tempDirs = [];
+
+/**
+ * Create a cache over a fresh temp directory
+ * @param {string} dir - Existing directory to reuse (default a new one)
+ * @returns {{cache: object, dir: string}} Cache and its directory
+ */
+function createCache(dir = null) {
+  if (!dir) {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'edge-tts-cache-'));
+    tempDirs.push(dir);
+  }
+  return { cache: createSynthesisCache({ dir, maxBytes: MAX_BYTES, companions: ['.json'] }), dir };
+}
+
+/**
+ * Wait so consecutive entries get distinct lastUsed times
+ * @returns {Promise<void>}
+ */
+function tick() {
+  return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+/**
+ * Expect the files on disk to be exactly these
+ * @param {string} dir - Cache directory
+ * @param {string[]} expected - File names
+ */
+function expectFiles(dir, expected) {
+  const files = fs.readdirSync(dir).sort();
+  if (files.join(',') !== [...expected].sort().join(',')) {
+    throw new Error(`expected files ${expected.join(', ')}, got ${files.join(', ')}`);
+  }
+}
+
+/**
+ * Look up an entry and release it straight away
+ * @param {object} cache - Synthesis cache
+ * @param {string} key - Cache key
+ * @returns {Promise<string|null>} Cached file path, or null on miss
+ */
+async function touch(cache, key) {
+  const filePath = await cache.get(key);
+  if (filePath) await cache.release(key);
+  return filePath;
+}
+
+async function testCache() {
+  console.log('🧪 Test: synthesis cache');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const checks = [
+    ['keys ignore part order and unset parts', async () => {
+      const { cache } = createCache();
+      const key = cache.key({ text: 'Hello', voice: 'en-US-AriaNeural', rate: '+0%' });
+      if (key !== cache.key({ rate: '+0%', voice: 'en-US-AriaNeural', text: 'Hello', ssml: undefined, pitch: null })) {
+        throw new Error('equal requests got different keys');
+      }
+      if (key === cache.key({ text: 'Hello', voice: 'en-US-GuyNeural', rate: '+0%' })) throw new Error('different voices got the same key');
+    }],
+    ['a miss returns null, a hit returns the file and its companion', async () => {
+      const { cache } = createCache();
+      if (await touch(cache, 'a') !== null) throw new Error('expected a miss');
+
+      await cache.put('a', AUDIO, TIMINGS);
+      const filePath = await touch(cache, 'a');
+      if (!filePath || !fs.readFileSync(filePath).equals(AUDIO)) throw new Error(`bad hit: ${filePath}`);
+
+      const timings = await cache.companion('a', '.json');
+      if (!timings || !fs.readFileSync(timings).equals(TIMINGS['.json'])) throw new Error(`bad companion: ${timings}`);
+
+      const stats = cache.getStats();
+      if (stats.hits !== 1 || stats.misses !== 1 || stats.entries !== 1 || stats.bytes !== 40 || stats.hitRatio !== 0.5) {
+        throw new Error(JSON.stringify(stats));
+      }
+    }],
+    ['putting an entry without a companion removes the stale one', async () => {
+      const { cache, dir } = createCache();
+      await cache.put('a', AUDIO, TIMINGS);
+      await cache.put('a', AUDIO);
+
+      expectFiles(dir, ['a.mp3']);
+      if (await cache.companion('a', '.json') !== null) throw new Error('stale companion returned');
+      if (cache.getStats().bytes !== 30) throw new Error(JSON.stringify(cache.getStats()));
+    }],
+    ['the least recently used entry is evicted with its companion', async () => {
+      const { cache, dir } = createCache();
+      await cache.put('a', AUDIO, TIMINGS);
+      await tick();
+      await cache.put('b', AUDIO, TIMINGS);
+      await tick();
+      await touch(cache, 'a');
+      await tick();
+      await cache.put('c', AUDIO, TIMINGS);
+
+      expectFiles(dir, ['a.mp3', 'a.json', 'c.mp3', 'c.json']);
+      const stats = cache.getStats();
+      if (stats.entries !== 2 || stats.bytes !== 80 || stats.evictions !== 1) throw new Error(JSON.stringify(stats));
+      if (await touch(cache, 'b') !== null) throw new Error('evicted entry still a hit');
+    }],
+    ['an entry being read survives a concurrent put that evicts', async () => {
+      const { cache, dir } = createCache();
+      await cache.put('a', AUDIO, TIMINGS);
+      await tick();
+      await cache.put('b', AUDIO, TIMINGS);
+
+      // 'a' is the oldest entry, but a request is still copying it
+      const filePath = await cache.get('a');
+      await tick();
+      await cache.put('c', AUDIO, TIMINGS);
+
+      if (!fs.readFileSync(filePath).equals(AUDIO)) throw new Error('pinned file changed');
+      if (await cache.companion('a', '.json') === null) throw new Error('pinned companion removed');
+      expectFiles(dir, ['a.mp3', 'a.json', 'c.mp3', 'c.json']);
+
+      // Once released, the entry can be evicted again
+      await cache.release('a');
+      await tick();
+      await cache.put('d', AUDIO, TIMINGS);
+      expectFiles(dir, ['c.mp3', 'c.json', 'd.mp3', 'd.json']);
+      if (cache.getStats().evictions !== 2) throw new Error(JSON.stringify(cache.getStats()));
+    }],
+    ['clear keeps entries that are being read', async () => {
+      const { cache, dir } = createCache();
+      await cache.put('a', AUDIO, TIMINGS);
+      await cache.put('b', AUDIO);
+
+      await cache.get('a');
+      const result = await cache.clear();
+      if (result.removed !== 1 || result.bytes !== 30) throw new Error(JSON.stringify(result));
+      expectFiles(dir, ['a.mp3', 'a.json']);
+
+      await cache.release('a');
+      if ((await cache.clear()).removed !== 1) throw new Error('released entry not cleared');
+      expectFiles(dir, []);
+    }],
+    ['a restarted cache indexes entries on disk and drops orphaned companions', async () => {
+      const { cache, dir } = createCache();
+      await cache.put('a', AUDIO, TIMINGS);
+      fs.writeFileSync(path.join(dir, 'orphan.json'), '[]');
+
+      const { cache: restarted } = createCache(dir);
+      if (!await touch(restarted, 'a')) throw new Error('entry lost on restart');
+      if (restarted.getStats().bytes !== 40) throw new Error(JSON.stringify(restarted.getStats()));
+      expectFiles(dir, ['a.mp3', 'a.json']);
+    }],
+    ['a file removed behind the cache\'s back is a miss', async () => {
+      const { cache, dir } = createCache();
+      await cache.put('a', AUDIO, TIMINGS);
+      fs.unlinkSync(path.join(dir, 'a.mp3'));
+
+      if (await touch(cache, 'a') !== null) throw new Error('expected a miss');
+      const stats = cache.getStats();
+      if (stats.entries !== 0 || stats.bytes !== 0) throw new Error(JSON.stringify(stats));
+    }]
+  ];
+
+  let failures = 0;
+
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 Cache checks passed!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testCache();
@@ -0,0 +1,103 @@
+// test-chunker.js - Test splitting long text into synthesis chunks
+// Runs in-process (no service or Docker needed): paragraphs, then sentences,
+// then words, no chunk over the limit and no characters lost on the way
+
+const { splitText } = require('./utils/chunker');
+
+/**
+ * Expect exact chunks
+ * @param {string[]} chunks - Result of splitText
+ * @param {string[]} expected - Expected chunks
+ */
+function expectChunks(chunks, expected) {
+  if (JSON.stringify(chunks) !== JSON.stringify(expected)) {
+    throw new Error(`expected ${JSON.stringify(expected)}, got ${JSON.stringify(chunks)}`);
+  }
+}
+
+/**
+ * Expect every chunk to fit and the chunks to hold all of the text
+ * (whitespace may change at the boundaries, nothing else may)
+ * @param {string} text - Input text
+ * @param {number} maxChars - Chunk limit
+ * @returns {string[]} The chunks
+ */
+function expectLossless(text, maxChars) {
+  const chunks = splitText(text, maxChars);
+  const tooLong = chunks.find(chunk => chunk.length > maxChars);
+  if (tooLong) throw new Error(`chunk over ${maxChars} chars: "${tooLong}"`);
+
+  const squash = value => value.replace(/\s+/g, '');
+  if (squash(chunks.join('')) !== squash(text)) {
+    throw new Error(`characters lost: ${JSON.stringify(chunks)}`);
+  }
+  return chunks;
+}
+
+function testChunker() {
+  console.log('🧪 Test: text chunking');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const checks = [
+    ['short text is one chunk with whitespace collapsed', () => {
+      expectChunks(splitText('  Hello\n  world.  ', 100), ['Hello world.']);
+      expectChunks(splitText(' \n\n ', 100), []);
+    }],
+    ['paragraphs are packed together while they fit', () => {
+      expectChunks(splitText('First one.\n\nSecond one.\n\nThird one.', 25), ['First one.\n\nSecond one.', 'Third one.']);
+    }],
+    ['a paragraph over the limit is split at sentences', () => {
+      const paragraph = 'One sentence here. Another one follows! Does a third? "Quoted." (Bracketed.)';
+      expectChunks(splitText(paragraph, 40), ['One sentence here. Another one follows!', 'Does a third? "Quoted." (Bracketed.)']);
+    }],
+    ['a sentence over the limit is split at words', () => {
+      expectChunks(splitText('alpha beta gamma delta epsilon zeta eta theta.', 16), ['alpha beta gamma', 'delta epsilon', 'zeta eta theta.']);
+    }],
+    ['a word over the limit is hard-split', () => {
+      expectChunks(splitText('tiny abcdefghijkl end', 5), ['tiny', 'abcde', 'fghij', 'kl', 'end']);
+    }],
+    ['leading and trailing punctuation is kept', () => {
+      expectChunks(splitText('...hello there. How are you?! Fine... ok!!! ...', 20), ['...hello there.', 'How are you?!', 'Fine... ok!!! ...']);
+      expectChunks(splitText('Hello. ...', 6), ['Hello.', '...']);
+      expectChunks(splitText('?!Really, that long. Yes.', 20), ['?!Really, that long.', 'Yes.']);
+    }],
+    ['no chunk is over the limit and no characters are lost', () => {
+      const samples = [
+        'Plain text without any punctuation at all but long enough to need splitting',
+        '...starts with an ellipsis. Then "quotes!" and (brackets?) and ends with dots...',
+        'A.B.C. D! E? F... ... !!! ?',
+        `${'word '.repeat(60)}\n\n${'Short. '.repeat(20)}\n\n...trailing`
+      ];
+      for (const text of samples) {
+        for (const maxChars of [8, 20, 50]) {
+          expectLossless(text, maxChars);
+        }
+      }
+    }]
+  ];
+
+  let failures = 0;
+
+  for (const [name, check] of checks) {
+    try {
+      check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 Chunker checks passed!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testChunker();
@@ -0,0 +1,157 @@
+// test-client.js - Test the client SDK against edge-tts-service-2
+// Starts the service against a fake docker CLI and fake MCP server with API
+// keys and a tight speech rate limit, then checks results, errors and retries
+
+const http = require('http');
+const { createEdgeTtsClient, createDockerClient } = require('./client');
+const { startService } = require('./test-fixtures/service');
+
+// Configuration
+const PORT = process.env.TEST_PORT || 3996;
+const SERVICE_URL = `http://localhost:${PORT}`;
+const SPEAK_KEY = 'client-test-speak-key';
+
+/**
+ * Expect a call to fail with an error code
+ * @param {Promise} promise - Call under test
+ * @param {string} code - Expected error code
+ * @returns {Promise<Error>} The error
+ */
+async function expectError(promise, code) {
+  try {
+    await promise;
+  } catch (error) {
+    if (error.code !== code) {
+      throw new Error(`expected ${code}, got ${error.code}: ${error.message}`);
+    }
+    return error;
+  }
+  throw new Error(`expected ${code}, but the call succeeded`);
+}
+
+/**
+ * Run a stand-in gateway that answers every request with 502 and counts them
+ * @param {Function} use - async (url, hits) => void; hits maps "METHOD /path" to a count
+ * @returns {Promise<void>}
+ */
+async function withBadGateway(use) {
+  const hits = {};
+  const server = http.createServer((req, res) => {
+    const key = `${req.method} ${req.url}`;
+    hits[key] = (hits[key] || 0) + 1;
+    req.resume();
+    res.writeHead(502, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Bad gateway' }));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await use(`http://127.0.0.1:${server.address().port}`, hits);
+  } finally {
+    server.close();
+  }
+}
+
+async function testClient() {
+  console.log('🧪 Test: Client SDK against edge-tts-service-2');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const client = createEdgeTtsClient({ baseUrl: SERVICE_URL, apiKey: SPEAK_KEY, retries: 0 });
+  const checks = [
+    ['speak returns the queued utterance', async () => {
+      const result = await client.speak('Client SDK speak test', { cache: false });
+      if (!result.success || !result.queueId) throw new Error(JSON.stringify(result));
+    }],
+    ['synthesize returns audio bytes and getAudio fetches them again', async () => {
+      const result = await client.synthesize('Client SDK synthesize test', { cache: false });
+      const expected = 'FAKE-MP3:Client SDK synthesize test';
+      if (result.audio.toString('utf8') !== expected) throw new Error(`audio was "${result.audio.toString('utf8')}"`);
+      if (!result.audioId || result.contentType !== 'audio/mpeg') throw new Error(JSON.stringify({ ...result, audio: undefined }));
+
+      const again = await client.getAudio(result.audioId);
+      if (!again.equals(result.audio)) throw new Error('getAudio returned different bytes');
+    }],
+    ['call() reaches /rpc methods', async () => {
+      const queue = await client.call('getQueue');
+      if (!queue || !Array.isArray(queue.queued)) throw new Error(JSON.stringify(queue));
+    }],
+    ['invalid input fails with INVALID_ARGUMENTS and details', async () => {
+      const error = await expectError(client.speak(''), 'INVALID_ARGUMENTS');
+      if (error.status !== 400 || !error.details || error.details[0].field !== 'text') throw new Error(JSON.stringify(error.details));
+    }],
+    ['missing key fails with UNAUTHORIZED', async () => {
+      await expectError(createEdgeTtsClient({ baseUrl: SERVICE_URL, apiKey: null }).call('getQueue'), 'UNAUTHORIZED');
+    }],
+    ['missing scope fails with FORBIDDEN', async () => {
+      await expectError(client.call('getConfig'), 'FORBIDDEN');
+    }],
+    ['rate limited calls fail with RATE_LIMITED without retries', async () => {
+      // The burst of 3 is already spent by speak and synthesize above
+      await client.speak('Drain the bucket', { wait: false }).catch(() => {});
+      await expectError(client.speak('Rate limited', { wait: false }), 'RATE_LIMITED');
+    }],
+    ['rate limited calls succeed after Retry-After with retries', async () => {
+      const retrying = createEdgeTtsClient({ baseUrl: SERVICE_URL, apiKey: SPEAK_KEY, retries: 3 });
+      const started = Date.now();
+      const result = await retrying.speak('Retried after the rate limit', { wait: false });
+      if (!result.success) throw new Error(JSON.stringify(result));
+      console.log(`   (succeeded after ${Date.now() - started}ms)`);
+    }],
+    ['refused connections are retried, then fail with ECONNREFUSED', async () => {
+      const unreachable = createEdgeTtsClient({ baseUrl: 'http://127.0.0.1:1', retries: 2, retryDelayMs: 10 });
+      await expectError(unreachable.health(), 'ECONNREFUSED');
+    }],
+    ['502 is retried for GET but not for POST /execute (it may have run)', async () => {
+      await withBadGateway(async (url, hits) => {
+        const options = { baseUrl: url, retries: 2, retryDelayMs: 10 };
+        await expectError(createDockerClient(options).health(), 'SERVICE_ERROR');
+        await expectError(createDockerClient(options).executeScripts([{ type: 'bash', content: 'echo once' }]), 'SERVICE_ERROR');
+        if (hits['GET /health'] !== 3 || hits['POST /execute'] !== 1) throw new Error(JSON.stringify(hits));
+      });
+    }]
+  ];
+
+  let service = null;
+  let failures = 0;
+
+  try {
+    console.log(`🚀 Starting edge-tts-service-2 on port ${PORT} (fake docker, API keys)...`);
+    service = await startService({
+      port: PORT,
+      prefix: 'edge-tts-client-',
+      env: {
+        API_KEYS: JSON.stringify([{ label: 'client-test', key: SPEAK_KEY, scopes: ['speak'] }]),
+        RATE_LIMITS: JSON.stringify({ speech: { burst: 3, perMinute: 60 } })
+      }
+    });
+    console.log('✅ Service is running\n');
+
+    for (const [name, check] of checks) {
+      try {
+        await check();
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        console.error(`❌ ${name}: ${error.message}`);
+        failures++;
+      }
+    }
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    failures++;
+  } finally {
+    if (service) service.stop();
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 Client SDK checks passed!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testClient();
@@ -1,11 +1,14 @@
 // test-code-generation.js - Test AI-powered code generation and execution
 // Generates code from natural language and executes it
 
-const axios = require('axios');
+const { createDockerClient } = require('./client');
 
 // Configuration
 const DOCKER_SERVICE_URL = process.env.DOCKER_SERVICE_URL || 'http://localhost:3007';
 
+// AI-backed scripts can take minutes
+const client = createDockerClient({ baseUrl: DOCKER_SERVICE_URL, timeoutMs: 10 * 60 * 1000 });
+
 /**
  * Test code generation and execution
  */
@@ -17,8 +20,8 @@ async function testCodeGeneration() {
     // Step 1: Verify service is running
     console.log('🔍 Checking docker-service availability...');
     try {
-      const healthCheck = await axios.get(`${DOCKER_SERVICE_URL}/health`);
-      console.log(`✅ Service is running (uptime: ${healthCheck.data.uptime}s)\n`);
+      const healthCheck = await client.health();
+      console.log(`✅ Service is running (uptime: ${healthCheck.uptime}s)\n`);
     } catch (error) {
       console.error('❌ Docker service is not running!');
       console.error(`   Expected at: ${DOCKER_SERVICE_URL}`);
@@ -81,10 +84,10 @@ async function testCodeGeneration() {
 
         const startTime = Date.now();
         console.log('🤖 Generating code with AI...');
-        const response = await axios.post(`${DOCKER_SERVICE_URL}/execute`, scriptPayload);
+        const results = await client.executeScripts(scriptPayload.scripts);
         const duration = Date.now() - startTime;
 
-        const result = response.data.results[0];
+        const result = results[0];
 
         if (result.success) {
           console.log(`✅ Code generated and executed successfully (${duration}ms)`);
@@ -124,8 +127,8 @@ async function testCodeGeneration() {
 
       } catch (error) {
         console.error(`\n❌ Test failed: ${error.message}`);
-        if (error.response && error.response.data) {
-          console.error('API Error:', JSON.stringify(error.response.data, null, 2));
+        if (error.body) {
+          console.error('API Error:', JSON.stringify(error.body, null, 2));
         }
         failCount++;
       }
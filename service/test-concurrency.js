@@ -0,0 +1,94 @@
+// test-concurrency.js - Test that parallel /speak calls never share audio
+// Starts edge-tts-service-2 against a fake docker CLI and fake MCP server,
+// fires concurrent requests and checks every response got its own audio
+
+const fs = require('fs');
+const path = require('path');
+const { createEdgeTtsClient } = require('./client');
+const { startService } = require('./test-fixtures/service');
+
+// Configuration
+const PORT = process.env.TEST_PORT || 3998;
+const SERVICE_URL = `http://localhost:${PORT}`;
+const client = createEdgeTtsClient({ baseUrl: SERVICE_URL, retries: 0 });
+const PARALLEL_REQUESTS = parseInt(process.env.PARALLEL_REQUESTS, 10) || 10;
+
+/**
+ * List files left behind in the fake container's /tmp
+ * @param {string} containerRoot - Fake container root
+ * @returns {string[]} Leftover synthesis files
+ */
+function leftoverContainerFiles(containerRoot) {
+  const tmpDir = path.join(containerRoot, 'tmp');
+  if (!fs.existsSync(tmpDir)) return [];
+  return fs.readdirSync(tmpDir).filter(file => file.startsWith('edge-tts-'));
+}
+
+async function testConcurrency() {
+  console.log('🧪 Test: Concurrent /speak requests get their own audio');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let service = null;
+  let failures = 0;
+
+  try {
+    // Waits for the startup announcement, so its container output file is not mistaken for a leftover
+    console.log(`🚀 Starting edge-tts-service-2 on port ${PORT} (fake docker)...`);
+    service = await startService({ port: PORT, prefix: 'edge-tts-concurrency-' });
+    console.log('✅ Service is running\n');
+
+    // Fire all requests at once; cache disabled so every call synthesizes
+    console.log(`🔀 Sending ${PARALLEL_REQUESTS} parallel /speak requests...`);
+    const texts = Array.from({ length: PARALLEL_REQUESTS }, (_, i) => `Concurrency message number ${i + 1}`);
+    const results = await Promise.all(texts.map(text => client.speak(text, { cache: false })));
+
+    const seenFiles = new Set();
+
+    results.forEach((result, i) => {
+      const { audioFile } = result;
+      const content = fs.readFileSync(audioFile, 'utf8');
+      const expected = `FAKE-MP3:${texts[i]}`;
+
+      if (content !== expected) {
+        console.error(`❌ Request ${i + 1}: expected "${expected}", got "${content}"`);
+        failures++;
+      } else if (seenFiles.has(audioFile)) {
+        console.error(`❌ Request ${i + 1}: audio file ${audioFile} shared with another request`);
+        failures++;
+      } else {
+        console.log(`✅ Request ${i + 1}: ${path.basename(audioFile)}`);
+      }
+
+      seenFiles.add(audioFile);
+    });
+
+    const leftovers = leftoverContainerFiles(service.containerRoot);
+    if (leftovers.length > 0) {
+      console.error(`❌ Container output files not cleaned up: ${leftovers.join(', ')}`);
+      failures++;
+    } else {
+      console.log('✅ Container output files cleaned up');
+    }
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    if (error.body) {
+      console.error('API Error:', JSON.stringify(error.body, null, 2));
+    }
+    failures++;
+  } finally {
+    if (service) service.stop();
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 All concurrent requests received their own audio!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testConcurrency();
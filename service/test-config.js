@@ -0,0 +1,186 @@
+// test-config.js - Test configuration loading and GET /config
+// Checks loadConfig in-process (defaults, config file, environment, coercion
+// and validation errors with their source), then starts edge-tts-service-2
+// with secrets in the file and environment and checks GET /config redacts them
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { DEFAULT_TEMP_DIR, loadConfig, describeConfig } = require('./utils/config');
+const { startService } = require('./test-fixtures/service');
+
+// Configuration
+const PORT = process.env.TEST_PORT || 3987;
+const SERVICE_URL = `http://localhost:${PORT}`;
+const ADMIN_KEY = 'config-test-admin-key';
+const AI_KEY = 'config-test-ai-secret';
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'edge-tts-config-'));
+
+/**
+ * Write a config file for a check
+ * @param {string} name - File name (.json, .yaml or .yml)
+ * @param {string|object} contents - File text, or an object written as JSON
+ * @returns {string} File path
+ */
+function writeConfig(name, contents) {
+  const filePath = path.join(configDir, name);
+  fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return filePath;
+}
+
+/**
+ * Expect loadConfig to fail with INVALID_CONFIG
+ * @param {object} options - loadConfig options
+ * @param {string} fragment - Expected part of the message
+ * @returns {Error} The error
+ */
+function expectInvalid(options, fragment) {
+  try {
+    loadConfig('edge-tts', options);
+  } catch (error) {
+    if (error.code !== 'INVALID_CONFIG' || !error.message.includes(fragment)) throw new Error(`${error.code}: ${error.message}`);
+    return error;
+  }
+  throw new Error(`expected "${fragment}"`);
+}
+
+/**
+ * Find the detail for a field
+ * @param {Error} error - INVALID_CONFIG error
+ * @param {string} field - Field path
+ * @returns {object} The detail
+ */
+function detailFor(error, field) {
+  const detail = error.details.find(item => item.field === field);
+  if (!detail) throw new Error(`no detail for ${field}: ${JSON.stringify(error.details)}`);
+  return detail;
+}
+
+async function testConfig() {
+  console.log('🧪 Test: configuration loading and GET /config');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const checks = [
+    ['defaults apply per service', async () => {
+      const edgeTts = loadConfig('edge-tts', { env: {} });
+      const docker = loadConfig('docker', { env: {} });
+      if (edgeTts.values.port !== 3000 || docker.values.port !== 3007) throw new Error(`${edgeTts.values.port} / ${docker.values.port}`);
+      if (edgeTts.values.tempDir !== DEFAULT_TEMP_DIR || edgeTts.values.ai.timeoutMs !== 60000 || edgeTts.file !== null) {
+        throw new Error(JSON.stringify(edgeTts.values));
+      }
+      if (Object.values(edgeTts.sources).some(source => source !== 'default')) throw new Error(JSON.stringify(edgeTts.sources));
+    }],
+    ['a JSON file is merged into the defaults, keeping sibling settings', async () => {
+      const file = writeConfig('merge.json', { chunkSize: 800, ai: { model: 'ai/file-model' }, retentionPolicies: { audio: { maxFiles: 5 } } });
+      const { values, sources } = loadConfig('edge-tts', { env: {}, file });
+      if (values.chunkSize !== 800 || values.ai.model !== 'ai/file-model' || values.retentionPolicies.audio.maxFiles !== 5) throw new Error(JSON.stringify(values));
+      if (values.ai.apiUrl !== 'http://localhost:12434/engines/v1/chat/completions' || values.port !== 3000) throw new Error('defaults next to file settings were lost');
+      if (sources['ai.model'] !== 'file' || sources.chunkSize !== 'file' || sources['ai.apiUrl'] !== 'default') throw new Error(JSON.stringify(sources));
+    }],
+    ['YAML files are read, and CONFIG_FILE names the file', async () => {
+      const file = writeConfig('service.yaml', 'port: 4100\nvoiceFallbackChain:\n  - default\n');
+      const { values, file: used } = loadConfig('edge-tts', { env: { CONFIG_FILE: file } });
+      if (values.port !== 4100 || values.voiceFallbackChain.join(',') !== 'default' || used !== file) throw new Error(JSON.stringify({ values, used }));
+    }],
+    ['environment variables override the file and are coerced', async () => {
+      const file = writeConfig('override.json', { port: 4200, debug: false });
+      const { values, sources } = loadConfig('edge-tts', {
+        file,
+        env: {
+          PORT: ' 4300 ',
+          SERVICE_DEBUG: 'yes',
+          VOICE_FALLBACK_CHAIN: 'default, locale',
+          RATE_LIMITS: '{"speech": {"burst": 2, "perMinute": 10}}',
+          API_KEYS: '[{"label": "ci", "key": "ci-key-0123456789", "scopes": ["read"]}]',
+          AI_MODEL: ''
+        }
+      });
+      if (values.port !== 4300 || values.debug !== true || values.voiceFallbackChain.join(',') !== 'default,locale') throw new Error(JSON.stringify(values));
+      if (values.rateLimits.speech.burst !== 2 || values.auth.keys[0].label !== 'ci') throw new Error(JSON.stringify(values));
+      if (values.ai.model !== 'ai/phi4:latest') throw new Error('an empty variable must not override');
+      if (sources.port !== 'env:PORT' || sources.debug !== 'env:SERVICE_DEBUG' || sources['ai.model'] !== 'default') throw new Error(JSON.stringify(sources));
+    }],
+    ['out-of-range and uncoercible values are reported with their source', async () => {
+      const error = expectInvalid({ env: { PORT: '70000', MAX_BODY_BYTES: 'lots', SERVICE_DEBUG: 'maybe' } }, 'Invalid configuration');
+      const port = detailFor(error, 'port');
+      if (!port.message.includes('<= 65535') || port.source !== 'env:PORT') throw new Error(JSON.stringify(port));
+      if (!detailFor(error, 'maxBodyBytes').message.includes('integer')) throw new Error(JSON.stringify(error.details));
+      if (!detailFor(error, 'debug').message.includes('boolean')) throw new Error(JSON.stringify(error.details));
+    }],
+    ['nested errors take the source of the setting that holds them', async () => {
+      const file = writeConfig('nested.json', { ai: { timeoutMs: 10 }, colour: 'blue' });
+      const error = expectInvalid({ file, env: { RETENTION_POLICIES: '{"audio": {"maxFiles": -1}}' } }, 'Invalid configuration');
+      if (detailFor(error, 'retentionPolicies.audio.maxFiles').source !== 'env:RETENTION_POLICIES') throw new Error(JSON.stringify(error.details));
+      if (detailFor(error, 'ai.timeoutMs').source !== 'file') throw new Error(JSON.stringify(error.details));
+      if (detailFor(error, 'colour').message !== 'is not allowed') throw new Error(JSON.stringify(error.details));
+    }],
+    ['unreadable, malformed and non-object files fail, empty YAML applies nothing', async () => {
+      expectInvalid({ env: {}, file: path.join(configDir, 'missing.json') }, 'Cannot read config file');
+      expectInvalid({ env: {}, file: writeConfig('broken.json', '{"port": ') }, 'Cannot parse config file');
+      expectInvalid({ env: {}, file: writeConfig('list.yml', '- port\n') }, 'must contain an object');
+      expectInvalid({ env: {}, file: writeConfig('two.yaml', 'port: 1\n---\nport: 2\n') }, 'expected one document');
+      for (const [name, contents] of [['empty.yaml', ''], ['commented.yml', '# port: 4000\n']]) {
+        if (loadConfig('edge-tts', { env: {}, file: writeConfig(name, contents) }).values.port !== 3000) throw new Error(`${name} should apply no settings`);
+      }
+    }],
+    ['describeConfig masks secrets and keeps everything else', async () => {
+      const loaded = loadConfig('edge-tts', {
+        env: { AI_API_KEY: AI_KEY, API_KEYS: JSON.stringify([{ label: 'admin', key: ADMIN_KEY, scopes: ['admin'] }]) }
+      });
+      const described = describeConfig(loaded);
+      if (JSON.stringify(described).includes(AI_KEY) || JSON.stringify(described).includes(ADMIN_KEY)) throw new Error('secret in the description');
+      if (described.config.ai.apiKey !== '***' || described.config.auth.keys[0].key !== '***' || described.config.auth.keys[0].label !== 'admin') {
+        throw new Error(JSON.stringify(described.config));
+      }
+      if (loaded.values.ai.apiKey !== AI_KEY) throw new Error('redaction changed the loaded values');
+    }],
+    ['GET /config redacts secrets from the file and the environment', async () => {
+      const file = writeConfig('service.json', { ai: { apiKey: AI_KEY }, chunkSize: 900 });
+      const service = await startService({
+        port: PORT,
+        prefix: 'edge-tts-config-',
+        env: { CONFIG_FILE: file, API_KEYS: JSON.stringify([{ label: 'config-admin', key: ADMIN_KEY, scopes: ['admin'] }]) }
+      });
+
+      try {
+        const response = await axios.get(`${SERVICE_URL}/config`, { headers: { Authorization: `Bearer ${ADMIN_KEY}` }, transformResponse: [data => data] });
+        if (response.data.includes(AI_KEY) || response.data.includes(ADMIN_KEY)) throw new Error('secret in GET /config');
+
+        const { config, sources, file: used } = JSON.parse(response.data);
+        if (used !== file || config.chunkSize !== 900 || config.ai.apiKey !== '***' || config.auth.keys[0].key !== '***') throw new Error(response.data);
+        if (sources['ai.apiKey'] !== 'file' || sources['auth.keys'] !== 'env:API_KEYS') throw new Error(JSON.stringify(sources));
+      } finally {
+        service.stop();
+      }
+    }]
+  ];
+
+  let failures = 0;
+
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  fs.rmSync(configDir, { recursive: true, force: true });
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 Configuration checks passed!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testConfig();
@@ -1,11 +1,14 @@
 // test-docker-service.js - Test docker-service-2 script execution
 // Executes a PowerShell command to list C:\ directory
 
-const axios = require('axios');
+const { createDockerClient } = require('./client');
 
 // Configuration
 const DOCKER_SERVICE_URL = process.env.DOCKER_SERVICE_URL || 'http://localhost:3007';
 
+// Scripts can run for minutes
+const client = createDockerClient({ baseUrl: DOCKER_SERVICE_URL, timeoutMs: 10 * 60 * 1000 });
+
 /**
  * Test script execution via docker-service-2
  */
@@ -17,8 +20,8 @@ async function testScriptExecution() {
     // Step 1: Verify service is running
     console.log('🔍 Checking docker-service availability...');
     try {
-      const healthCheck = await axios.get(`${DOCKER_SERVICE_URL}/health`);
-      console.log(`✅ Service is running (uptime: ${healthCheck.data.uptime}s)\n`);
+      const healthCheck = await client.health();
+      console.log(`✅ Service is running (uptime: ${healthCheck.uptime}s)\n`);
     } catch (error) {
       console.error('❌ Docker service is not running!');
       console.error(`   Expected at: ${DOCKER_SERVICE_URL}`);
@@ -40,11 +43,11 @@ async function testScriptExecution() {
     };
 
     const startTime = Date.now();
-    const response = await axios.post(`${DOCKER_SERVICE_URL}/execute`, scriptPayload);
+    const results = await client.executeScripts(scriptPayload.scripts);
     const duration = Date.now() - startTime;
 
     // Step 3: Process results
-    const result = response.data.results[0];
+    const result = results[0];
 
     console.log('\n✅ Script Executed Successfully:');
     console.log('─'.repeat(60));
@@ -93,8 +96,8 @@ async function testScriptExecution() {
       ]
     };
 
-    const bashResponse = await axios.post(`${DOCKER_SERVICE_URL}/execute`, bashPayload);
-    const bashResult = bashResponse.data.results[0];
+    const bashResults = await client.executeScripts(bashPayload.scripts);
+    const bashResult = bashResults[0];
 
     if (bashResult.success) {
       const fs = require('fs');
@@ -118,9 +121,9 @@ async function testScriptExecution() {
       console.error('   2. Or use docker-service.js:');
       console.error('      npm run start:docker');
       console.error('   3. Verify port 3007 is not in use by another process');
-    } else if (error.response) {
+    } else if (error.body) {
       console.error('\nAPI Error Response:');
-      console.error(JSON.stringify(error.response.data, null, 2));
+      console.error(JSON.stringify(error.body, null, 2));
     }
 
     process.exit(1);
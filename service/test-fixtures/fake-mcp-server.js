@@ -0,0 +1,97 @@
+// fake-mcp-server.js - Minimal stand-in for edge-tts-mcp/server.py
+// Speaks JSON-RPC over stdio; "synthesis" writes the text into the output file
+// after a random delay so concurrent requests finish out of order
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const CONTAINER_ROOT = process.env.FAKE_CONTAINER_ROOT;
+
+const TOOLS = [
+  {
+    name: 'speak',
+    description: 'Fake speak tool',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string' },
+        voice: { type: 'string' },
+        output_file: { type: 'string' },
+        rate: { type: 'string' },
+        pitch: { type: 'string' },
+        volume: { type: 'string' },
+        ssml: { type: 'boolean' },
+        word_boundaries: { type: 'boolean' }
+      },
+      required: ['text']
+    }
+  },
+  {
+    name: 'list_voices',
+    description: 'Fake list_voices tool',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        // Python regex syntax: JavaScript cannot compile it, so the service skips the check
+        language: { type: 'string', pattern: '^(?P<language>[a-z]{2})(-[A-Z]{2})?$' },
+        format: { type: 'string', pattern: '^(json|text)$' }
+      }
+    }
+  }
+];
+
+const VOICES = [
+  { shortName: 'en-US-AriaNeural', locale: 'en-US', gender: 'Female', friendlyName: 'Fake Aria', styles: [], personalities: [], categories: [] },
+  { shortName: 'en-US-GuyNeural', locale: 'en-US', gender: 'Male', friendlyName: 'Fake Guy', styles: [], personalities: [], categories: [] }
+];
+
+/**
+ * Handle a tools/call request
+ * @param {object} params - Call params
+ * @returns {object} Tool result
+ */
+function callTool(params) {
+  const args = params.arguments || {};
+
+  if (params.name === 'speak') {
+    const outputFile = path.join(CONTAINER_ROOT, args.output_file || '/tmp/output.mp3');
+    fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+    fs.writeFileSync(outputFile, `FAKE-MP3:${args.text}`);
+    const content = [{ type: 'text', text: `✅ Text-to-speech conversion successful!\n💾 Output: ${args.output_file}` }];
+
+    if (args.word_boundaries) {
+      // One word every 300ms
+      const words = args.text.split(/\s+/).filter(Boolean).map((word, index) => ({ text: word, offset: index * 300, duration: 250 }));
+      content.push({ type: 'text', text: JSON.stringify({ wordBoundaries: words }) });
+    }
+
+    return { content };
+  }
+
+  if (params.name === 'list_voices') {
+    return { content: [{ type: 'text', text: JSON.stringify(VOICES) }] };
+  }
+
+  return { content: [{ type: 'text', text: `❌ Unknown tool: ${params.name}` }] };
+}
+
+const lines = readline.createInterface({ input: process.stdin });
+
+lines.on('line', (line) => {
+  const message = JSON.parse(line);
+  if (message.id === undefined) return;
+
+  let result;
+  if (message.method === 'initialize') {
+    result = { protocolVersion: '2024-11-05', capabilities: { tools: {} }, serverInfo: { name: 'fake-edge-tts', version: '0.0.0' } };
+  } else if (message.method === 'tools/list') {
+    result = { tools: TOOLS };
+  } else if (message.method === 'tools/call') {
+    result = callTool(message.params);
+  }
+
+  setTimeout(() => {
+    process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }) + '\n');
+  }, Math.random() * 100);
+});
@@ -0,0 +1,106 @@
+// service.js - Start a service under test against the fake docker CLI
+// Shared by the test-*.js scripts: a throwaway work dir, the environment
+// that puts test-fixtures/fake-docker first on PATH, and start/wait/stop
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createHttpClient } = require('../client/http');
+
+const SERVICE_ROOT = path.join(__dirname, '..');
+const FAKE_DOCKER_DIR = path.join(__dirname, 'fake-docker');
+
+/**
+ * Create a work dir holding the fake container root and the host temp dir,
+ * and the environment that points a service at them
+ * @param {string} prefix - Work dir name prefix (e.g. 'edge-tts-client-')
+ * @param {object} overrides - Extra environment variables
+ * @returns {{env: object, workDir: string, containerRoot: string, tempDir: string, remove: Function}} Fake environment
+ */
+function createFakeEnvironment(prefix, overrides = {}) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  const containerRoot = path.join(workDir, 'container');
+  const tempDir = path.join(workDir, 'host');
+  fs.mkdirSync(containerRoot);
+  fs.mkdirSync(tempDir);
+
+  const env = {
+    ...process.env,
+    PATH: `${FAKE_DOCKER_DIR}${path.delimiter}${process.env.PATH}`,
+    FAKE_CONTAINER_ROOT: containerRoot,
+    HOST: '127.0.0.1',
+    TEMP_DIR: tempDir,
+    AUDIO_PLAYER: 'null',
+    ...overrides
+  };
+
+  return {
+    env,
+    workDir,
+    containerRoot,
+    tempDir,
+    remove: () => fs.rmSync(workDir, { recursive: true, force: true })
+  };
+}
+
+/**
+ * Start a service and wait until it is ready
+ * @param {object} options - Start options
+ * @param {string} options.script - Service file (default edge-tts-service-2.js)
+ * @param {number|string} options.port - Port to listen on
+ * @param {string} options.prefix - Work dir name prefix
+ * @param {object} options.env - Extra environment variables (API_KEYS, RATE_LIMITS, ...)
+ * @param {Function} options.ready - (health) => boolean; default waits for the
+ *   edge-tts startup announcement so its audio is not mistaken for a test's
+ * @param {number} options.timeoutMs - Maximum wait
+ * @returns {Promise<object>} { url, child, workDir, containerRoot, tempDir, stop }
+ */
+async function startService(options) {
+  const {
+    script = 'edge-tts-service-2.js',
+    port,
+    prefix = 'edge-tts-test-',
+    env = {},
+    ready = health => health.totalSpoken > 0,
+    timeoutMs = 15000
+  } = options;
+
+  const fake = createFakeEnvironment(prefix, { PORT: String(port), ...env });
+  const child = spawn(process.execPath, [path.join(SERVICE_ROOT, script)], {
+    env: fake.env,
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+
+  /**
+   * Stop the service and remove the work dir
+   */
+  const stop = () => {
+    child.kill();
+    fake.remove();
+  };
+
+  const url = `http://localhost:${port}`;
+  const http = createHttpClient({ baseUrl: url, apiKey: null, retries: 0, timeoutMs: 2000 });
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    try {
+      const { data } = await http.request('GET', '/health');
+      if (ready(data)) {
+        return { url, child, workDir: fake.workDir, containerRoot: fake.containerRoot, tempDir: fake.tempDir, stop };
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  stop();
+  throw new Error(`${script} did not start within ${timeoutMs}ms`);
+}
+
+module.exports = {
+  createFakeEnvironment,
+  startService
+};
@@ -0,0 +1,186 @@
+// test-jsonrpc.js - Test POST /jsonrpc on edge-tts-service-2
+// Starts the service against a fake docker CLI with API keys and a tight
+// speech rate limit, then checks single calls, named params, notifications,
+// batches, parse and request errors, and per-call scopes and rate limits
+
+const axios = require('axios');
+const { startService } = require('./test-fixtures/service');
+
+// Configuration
+const PORT = process.env.TEST_PORT || 3992;
+const SERVICE_URL = `http://localhost:${PORT}`;
+const READ_KEY = 'jsonrpc-test-read-key';
+const SPEAK_KEY = 'jsonrpc-test-speak-key';
+
+/**
+ * POST a raw body to /jsonrpc
+ * @param {any} body - Request body (strings are sent as-is)
+ * @param {string|null} key - API key
+ * @returns {Promise<{status: number, data: any}>} HTTP status and parsed body
+ */
+async function post(body, key = READ_KEY) {
+  const response = await axios.post(`${SERVICE_URL}/jsonrpc`, body, {
+    headers: { 'Content-Type': 'application/json', ...(key ? { Authorization: `Bearer ${key}` } : {}) },
+    transformRequest: [data => (typeof data === 'string' ? data : JSON.stringify(data))],
+    validateStatus: () => true
+  });
+  return { status: response.status, data: response.data };
+}
+
+/**
+ * Call one method and return the response envelope
+ * @param {string} method - Method name
+ * @param {Array|object} params - Params
+ * @param {string} key - API key
+ * @returns {Promise<object>} JSON-RPC response
+ */
+async function call(method, params, key) {
+  const { status, data } = await post({ jsonrpc: '2.0', id: 1, method, params }, key);
+  if (status !== 200) throw new Error(`HTTP ${status}: ${JSON.stringify(data)}`);
+  return data;
+}
+
+/**
+ * Expect a JSON-RPC error code
+ * @param {object} reply - JSON-RPC response
+ * @param {number} code - Expected code
+ * @returns {object} The error object
+ */
+function expectErrorCode(reply, code) {
+  if (!reply.error || reply.error.code !== code) {
+    throw new Error(`expected error ${code}, got ${JSON.stringify(reply)}`);
+  }
+  return reply.error;
+}
+
+async function testJsonRpc() {
+  console.log('🧪 Test: JSON-RPC 2.0 on edge-tts-service-2');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const checks = [
+    ['positional params return a result with the request id', async () => {
+      const reply = await call('echo', [{ hello: 'world' }]);
+      if (reply.jsonrpc !== '2.0' || reply.id !== 1 || reply.result.echoed.hello !== 'world') throw new Error(JSON.stringify(reply));
+    }],
+    ['named params are mapped to positional arguments', async () => {
+      const reply = await call('getVoice', { name: 'en-US-AriaNeural' });
+      if (!reply.result || reply.result.voice.shortName !== 'en-US-AriaNeural') throw new Error(JSON.stringify(reply));
+    }],
+    ['unknown named params are Invalid params with details', async () => {
+      const error = expectErrorCode(await call('getVoice', { voice: 'en-US-AriaNeural' }), -32602);
+      if (!error.data || error.data.details[0].field !== 'voice') throw new Error(JSON.stringify(error));
+    }],
+    ['schema violations are Invalid params with details', async () => {
+      const error = expectErrorCode(await call('speak', [''], SPEAK_KEY), -32602);
+      if (!error.data || error.data.details[0].field !== 'text') throw new Error(JSON.stringify(error));
+    }],
+    ['unknown option keys are Invalid params', async () => {
+      const ai = expectErrorCode(await call('summarize', ['Some text', { apiUrl: 'http://example.com/', timeout: 1 }], SPEAK_KEY), -32602);
+      if (!ai.data.details.some(detail => detail.field.endsWith('apiUrl'))) throw new Error(JSON.stringify(ai));
+      expectErrorCode(await call('speak', ['Hello', { voices: 'en-US-AriaNeural' }], SPEAK_KEY), -32602);
+    }],
+    ['unknown and inherited method names are Method not found', async () => {
+      expectErrorCode(await call('noSuchMethod', []), -32601);
+      expectErrorCode(await call('constructor', []), -32601);
+    }],
+    ['missing resources are Not found', async () => {
+      expectErrorCode(await call('getVoice', ['xx-XX-NobodyNeural']), -32004);
+    }],
+    ['a notification gets 204 and no body', async () => {
+      const { status, data } = await post({ jsonrpc: '2.0', method: 'echo', params: ['quiet'] });
+      if (status !== 204 || data) throw new Error(`HTTP ${status}: ${JSON.stringify(data)}`);
+    }],
+    ['a batch answers every call but the notifications, keeping ids', async () => {
+      const { status, data } = await post([
+        { jsonrpc: '2.0', id: 'a', method: 'echo', params: ['first'] },
+        { jsonrpc: '2.0', method: 'echo', params: ['notification'] },
+        { jsonrpc: '2.0', id: 'b', method: 'noSuchMethod' },
+        { jsonrpc: '1.0', id: 'c', method: 'echo' },
+        42
+      ]);
+      if (status !== 200 || !Array.isArray(data) || data.length !== 4) throw new Error(`HTTP ${status}: ${JSON.stringify(data)}`);
+
+      const byId = new Map(data.map(reply => [reply.id, reply]));
+      if (byId.get('a').result.echoed !== 'first') throw new Error(JSON.stringify(byId.get('a')));
+      expectErrorCode(byId.get('b'), -32601);
+      expectErrorCode(byId.get('c'), -32600);
+      expectErrorCode(byId.get(null), -32600);
+    }],
+    ['a batch of notifications gets 204', async () => {
+      const { status } = await post([{ jsonrpc: '2.0', method: 'echo' }, { jsonrpc: '2.0', method: 'ping' }]);
+      if (status !== 204) throw new Error(`HTTP ${status}`);
+    }],
+    ['an empty batch is an Invalid Request', async () => {
+      const { data } = await post([]);
+      expectErrorCode(data, -32600);
+      if (data.id !== null) throw new Error(JSON.stringify(data));
+    }],
+    ['malformed JSON is a Parse error with a null id', async () => {
+      const { status, data } = await post('{"jsonrpc": "2.0", "method": ');
+      expectErrorCode(data, -32700);
+      if (status !== 200 || data.id !== null) throw new Error(`HTTP ${status}: ${JSON.stringify(data)}`);
+    }],
+    ['calls need their method\'s scope', async () => {
+      const error = expectErrorCode(await call('speak', ['Not allowed'], READ_KEY), -32003);
+      if (error.data.requiredScope !== 'speak') throw new Error(JSON.stringify(error));
+    }],
+    ['each call in a batch is rate limited on its own', async () => {
+      // Speech allows a burst of 3 and the two invalid speak calls above used two:
+      // the first call in the batch runs, the others are rejected
+      const { data } = await post([1, 2, 3].map(id => ({ jsonrpc: '2.0', id, method: 'speak', params: [`Batch call ${id}`, { wait: false }] })), SPEAK_KEY);
+      const limited = data.filter(reply => reply.error && reply.error.code === -32029);
+      if (!data[0].result || limited.length !== 2 || !limited[0].error.data.retryAfter) throw new Error(JSON.stringify(data));
+    }],
+    ['requests without an API key are rejected before parsing', async () => {
+      const { status } = await post({ jsonrpc: '2.0', id: 1, method: 'ping' }, null);
+      if (status !== 401) throw new Error(`HTTP ${status}`);
+    }]
+  ];
+
+  let service = null;
+  let failures = 0;
+
+  try {
+    console.log(`🚀 Starting edge-tts-service-2 on port ${PORT} (fake docker, API keys)...`);
+    service = await startService({
+      port: PORT,
+      prefix: 'edge-tts-jsonrpc-',
+      env: {
+        API_KEYS: JSON.stringify([
+          { label: 'jsonrpc-reader', key: READ_KEY, scopes: ['read'] },
+          { label: 'jsonrpc-speaker', key: SPEAK_KEY, scopes: ['speak'] }
+        ]),
+        RATE_LIMITS: JSON.stringify({ speech: { burst: 3, perMinute: 1 } })
+      }
+    });
+    console.log('✅ Service is running\n');
+
+    for (const [name, check] of checks) {
+      try {
+        await check();
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        console.error(`❌ ${name}: ${error.message}`);
+        failures++;
+      }
+    }
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    failures++;
+  } finally {
+    if (service) service.stop();
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 JSON-RPC checks passed!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testJsonRpc();
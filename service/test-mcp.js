@@ -0,0 +1,275 @@
+// test-mcp.js - Test the MCP server of edge-tts-service-2 on both transports
+// Runs the service against a fake docker CLI: over HTTP at /mcp (sessions,
+// scopes, errors) and over stdio with --mcp-stdio (answers flushed before exit)
+
+const path = require('path');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const { createFakeEnvironment, startService } = require('./test-fixtures/service');
+
+// Configuration
+const PORT = process.env.TEST_PORT || 3991;
+const SERVICE_URL = `http://localhost:${PORT}`;
+const READ_KEY = 'mcp-test-read-key';
+const SPEAK_KEY = 'mcp-test-speak-key';
+const PROTOCOL_VERSION = '2025-06-18';
+const TOOLS = ['speak', 'summarize', 'list_voices', 'play_mp3'];
+
+/**
+ * POST a message to /mcp
+ * @param {any} body - JSON-RPC message, batch or raw string
+ * @param {object} options - { key, session }
+ * @returns {Promise<object>} axios response (any status)
+ */
+function post(body, options = {}) {
+  const { key = READ_KEY, session = null } = options;
+  const headers = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+  if (key) headers.Authorization = `Bearer ${key}`;
+  if (session) headers['Mcp-Session-Id'] = session;
+
+  return axios.post(`${SERVICE_URL}/mcp`, body, {
+    headers,
+    transformRequest: [data => (typeof data === 'string' ? data : JSON.stringify(data))],
+    validateStatus: () => true
+  });
+}
+
+/**
+ * Build a request message
+ * @param {number} id - Request id
+ * @param {string} method - MCP method
+ * @param {object} params - Params
+ * @returns {object} JSON-RPC request
+ */
+function request(id, method, params = {}) {
+  return { jsonrpc: '2.0', id, method, params };
+}
+
+/**
+ * Expect a JSON-RPC error code
+ * @param {object} reply - JSON-RPC response
+ * @param {number} code - Expected code
+ * @returns {object} The error object
+ */
+function expectErrorCode(reply, code) {
+  if (!reply || !reply.error || reply.error.code !== code) {
+    throw new Error(`expected error ${code}, got ${JSON.stringify(reply)}`);
+  }
+  return reply.error;
+}
+
+/**
+ * Check a tools/list result publishes the service's tools with schemas
+ * @param {object} reply - tools/list response
+ */
+function expectTools(reply) {
+  const tools = (reply.result && reply.result.tools) || [];
+  const names = tools.map(tool => tool.name);
+  if (TOOLS.some(name => !names.includes(name))) throw new Error(`tools: ${names.join(', ')}`);
+  if (tools.some(tool => !tool.inputSchema || tool.inputSchema.type !== 'object' || tool.handler)) {
+    throw new Error('tools must publish an object inputSchema and nothing else');
+  }
+}
+
+/**
+ * Check a list_voices tools/call result
+ * @param {object} reply - tools/call response
+ */
+function expectVoices(reply) {
+  const result = reply.result;
+  if (!result || result.isError || result.content[0].type !== 'text' || !result.content[0].text.includes('en-US-AriaNeural')) {
+    throw new Error(JSON.stringify(reply));
+  }
+}
+
+/**
+ * Run the service as a stdio MCP server, send lines, close stdin and
+ * collect every response written before the process exits
+ * @param {Array<object|string>} lines - Messages (strings are sent as-is)
+ * @returns {Promise<{code: number, responses: Array<object>}>} Exit code and parsed output lines
+ */
+function runStdio(lines) {
+  const fake = createFakeEnvironment('edge-tts-mcp-stdio-');
+  const child = spawn(process.execPath, [path.join(__dirname, 'edge-tts-service-2.js'), '--mcp-stdio'], {
+    env: fake.env,
+    stdio: ['pipe', 'pipe', 'ignore']
+  });
+
+  let output = '';
+  child.stdout.on('data', (chunk) => { output += chunk; });
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error('stdio server did not exit after stdin closed'));
+    }, 15000);
+
+    child.on('error', reject);
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      fake.remove();
+      try {
+        resolve({ code, responses: output.split('\n').filter(Boolean).map(line => JSON.parse(line)) });
+      } catch (error) {
+        reject(new Error(`stdout is not newline-delimited JSON: ${output}`));
+      }
+    });
+
+    for (const line of lines) {
+      child.stdin.write((typeof line === 'string' ? line : JSON.stringify(line)) + '\n');
+    }
+    child.stdin.end();
+  });
+}
+
+async function testMcp() {
+  console.log('🧪 Test: MCP server on edge-tts-service-2 (HTTP and stdio)');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let session = null;
+
+  const checks = [
+    ['/mcp needs an API key', async () => {
+      const response = await post(request(1, 'initialize', { protocolVersion: PROTOCOL_VERSION }), { key: null });
+      if (response.status !== 401) throw new Error(`HTTP ${response.status}`);
+    }],
+    ['initialize negotiates the version and issues a session', async () => {
+      const response = await post(request(1, 'initialize', { protocolVersion: PROTOCOL_VERSION, capabilities: {}, clientInfo: { name: 'test-mcp', version: '1.0.0' } }));
+      session = response.headers['mcp-session-id'];
+      const result = response.data.result;
+      if (response.status !== 200 || !session) throw new Error(`HTTP ${response.status}, session ${session}`);
+      if (result.protocolVersion !== PROTOCOL_VERSION || result.serverInfo.name !== 'edge-tts-service' || !result.capabilities.tools) {
+        throw new Error(JSON.stringify(result));
+      }
+    }],
+    ['unknown protocol versions get the newest supported one', async () => {
+      const response = await post(request(1, 'initialize', { protocolVersion: '1999-01-01' }));
+      if (response.data.result.protocolVersion !== PROTOCOL_VERSION) throw new Error(JSON.stringify(response.data));
+    }],
+    ['notifications are accepted with 202 and no body', async () => {
+      const response = await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { session });
+      if (response.status !== 202 || response.data) throw new Error(`HTTP ${response.status}: ${JSON.stringify(response.data)}`);
+    }],
+    ['tools/list publishes the tools with their input schemas', async () => {
+      const response = await post(request(2, 'tools/list'), { session });
+      if (response.data.id !== 2) throw new Error(JSON.stringify(response.data));
+      expectTools(response.data);
+    }],
+    ['tools/call runs a tool and returns text content', async () => {
+      const response = await post(request(3, 'tools/call', { name: 'list_voices', arguments: { locale: 'en-US' } }), { session });
+      expectVoices(response.data);
+    }],
+    ['tools/call needs the tool\'s scope', async () => {
+      const response = await post(request(4, 'tools/call', { name: 'speak', arguments: { text: 'Not allowed' } }), { session });
+      const error = expectErrorCode(response.data, -32003);
+      if (error.data.requiredScope !== 'speak') throw new Error(JSON.stringify(error));
+    }],
+    ['tools/call with enough scope speaks', async () => {
+      const response = await post(request(5, 'tools/call', { name: 'speak', arguments: { text: 'MCP test', wait: false } }), { key: SPEAK_KEY });
+      const result = response.data.result;
+      if (!result || result.isError || !result.content[0].text.includes('en-US-AriaNeural')) throw new Error(JSON.stringify(response.data));
+    }],
+    ['unknown tools and invalid arguments are Invalid params', async () => {
+      expectErrorCode((await post(request(6, 'tools/call', { name: 'no_such_tool', arguments: {} }), { session })).data, -32602);
+      const error = expectErrorCode((await post(request(7, 'tools/call', { name: 'list_voices', arguments: { gender: 'Robot' } }), { session })).data, -32602);
+      if (!Array.isArray(error.data.details)) throw new Error(JSON.stringify(error));
+    }],
+    ['unknown methods are Method not found', async () => {
+      expectErrorCode((await post(request(8, 'resources/list'), { session })).data, -32601);
+    }],
+    ['batches are answered in one array', async () => {
+      const response = await post([request(9, 'ping'), { jsonrpc: '2.0', method: 'notifications/cancelled' }, request(10, 'tools/list')], { session });
+      if (!Array.isArray(response.data) || response.data.length !== 2 || response.data[0].id !== 9) throw new Error(JSON.stringify(response.data));
+      expectTools(response.data[1]);
+    }],
+    ['malformed JSON is a Parse error', async () => {
+      const response = await post('{"jsonrpc": "2.0", ', { session });
+      expectErrorCode(response.data, -32700);
+      if (response.status !== 400) throw new Error(`HTTP ${response.status}`);
+    }],
+    ['GET /mcp has no event stream', async () => {
+      const response = await axios.get(`${SERVICE_URL}/mcp`, { validateStatus: () => true });
+      if (response.status !== 405 || !response.headers.allow) throw new Error(`HTTP ${response.status}`);
+    }],
+    ['unknown sessions are rejected with 404', async () => {
+      const response = await post(request(11, 'tools/list'), { session: 'no-such-session' });
+      if (response.status !== 404) throw new Error(`HTTP ${response.status}`);
+    }],
+    ['DELETE /mcp ends the session', async () => {
+      const headers = { Authorization: `Bearer ${READ_KEY}`, 'Mcp-Session-Id': session };
+      const ended = await axios.delete(`${SERVICE_URL}/mcp`, { headers, validateStatus: () => true });
+      if (ended.status !== 204) throw new Error(`HTTP ${ended.status}`);
+
+      const reused = await post(request(12, 'tools/list'), { session });
+      if (reused.status !== 404) throw new Error(`HTTP ${reused.status} after DELETE`);
+      const again = await axios.delete(`${SERVICE_URL}/mcp`, { headers, validateStatus: () => true });
+      if (again.status !== 404) throw new Error(`HTTP ${again.status} on second DELETE`);
+    }],
+    ['stdio answers every request read before stdin closed, then exits', async () => {
+      const { code, responses } = await runStdio([
+        request(1, 'initialize', { protocolVersion: PROTOCOL_VERSION }),
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        request(2, 'tools/list'),
+        request(3, 'tools/call', { name: 'list_voices', arguments: { locale: 'en' } }),
+        'not json',
+        request(4, 'no/such/method')
+      ]);
+
+      if (code !== 0) throw new Error(`exit code ${code}`);
+      if (responses.length !== 5) throw new Error(`expected 5 responses, got ${JSON.stringify(responses)}`);
+
+      const byId = new Map(responses.map(reply => [reply.id, reply]));
+      if (byId.get(1).result.serverInfo.name !== 'edge-tts-service') throw new Error(JSON.stringify(byId.get(1)));
+      expectTools(byId.get(2));
+      expectVoices(byId.get(3));
+      expectErrorCode(byId.get(null), -32700);
+      expectErrorCode(byId.get(4), -32601);
+    }]
+  ];
+
+  let service = null;
+  let failures = 0;
+
+  try {
+    console.log(`🚀 Starting edge-tts-service-2 on port ${PORT} (fake docker, API keys)...`);
+    service = await startService({
+      port: PORT,
+      prefix: 'edge-tts-mcp-',
+      env: {
+        API_KEYS: JSON.stringify([
+          { label: 'mcp-reader', key: READ_KEY, scopes: ['read'] },
+          { label: 'mcp-speaker', key: SPEAK_KEY, scopes: ['read', 'speak'] }
+        ])
+      }
+    });
+    console.log('✅ Service is running\n');
+
+    for (const [name, check] of checks) {
+      try {
+        await check();
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        console.error(`❌ ${name}: ${error.message}`);
+        failures++;
+      }
+    }
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    failures++;
+  } finally {
+    if (service) service.stop();
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 MCP checks passed!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testMcp();
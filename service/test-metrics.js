@@ -0,0 +1,150 @@
+// test-metrics.js - Test GET /metrics on edge-tts-service-2
+// Starts the service against a fake docker CLI and fake MCP server, makes a
+// few requests and checks the Prometheus counters, histograms and gauges
+
+const { createEdgeTtsClient } = require('./client');
+const { startService } = require('./test-fixtures/service');
+
+// Configuration
+const PORT = process.env.TEST_PORT || 3995;
+const SERVICE_URL = `http://localhost:${PORT}`;
+const READ_KEY = 'metrics-test-read-key';
+const SPEAK_KEY = 'metrics-test-speak-key';
+
+/**
+ * Parse the text exposition format into samples keyed by name{labels}
+ * @param {string} text - /metrics response
+ * @returns {{samples: Map<string, number>, types: Map<string, string>}} Samples and declared types
+ */
+function parseMetrics(text) {
+  const samples = new Map();
+  const types = new Map();
+
+  for (const line of text.split('\n')) {
+    const type = line.match(/^# TYPE (\S+) (\S+)$/);
+    if (type) {
+      types.set(type[1], type[2]);
+      continue;
+    }
+    if (!line || line.startsWith('#')) continue;
+
+    const sample = line.match(/^(\S+?(?:\{.*\})?) (\S+)$/);
+    if (!sample) throw new Error(`Malformed line: ${line}`);
+    samples.set(sample[1], Number(sample[2]));
+  }
+
+  return { samples, types };
+}
+
+/**
+ * Expect a sample to exist and satisfy a condition
+ * @param {Map<string, number>} samples - Parsed samples
+ * @param {string} key - name{labels}
+ * @param {Function} condition - (value) => boolean
+ */
+function expectSample(samples, key, condition = value => value > 0) {
+  if (!samples.has(key)) throw new Error(`missing ${key}`);
+  if (!condition(samples.get(key))) throw new Error(`unexpected ${key} ${samples.get(key)}`);
+}
+
+async function testMetrics() {
+  console.log('🧪 Test: Prometheus metrics on edge-tts-service-2');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const reader = createEdgeTtsClient({ baseUrl: SERVICE_URL, apiKey: READ_KEY, retries: 0 });
+  const speaker = createEdgeTtsClient({ baseUrl: SERVICE_URL, apiKey: SPEAK_KEY, retries: 0 });
+  let parsed = null;
+
+  const checks = [
+    ['/metrics needs an API key', async () => {
+      try {
+        await createEdgeTtsClient({ baseUrl: SERVICE_URL, apiKey: null, retries: 0 }).metrics();
+      } catch (error) {
+        if (error.code === 'UNAUTHORIZED') return;
+        throw error;
+      }
+      throw new Error('expected UNAUTHORIZED');
+    }],
+    ['requests are recorded, then /metrics parses', async () => {
+      await speaker.synthesize('Metrics test', { cache: false });
+      await speaker.synthesize('Metrics test');
+      await speaker.getAudio('no-such-audio').catch(() => {});
+      parsed = parseMetrics(await reader.metrics());
+    }],
+    ['http_requests_total counts per route, method and status', async () => {
+      const { samples, types } = parsed;
+      if (types.get('http_requests_total') !== 'counter') throw new Error('http_requests_total is not a counter');
+      expectSample(samples, 'http_requests_total{method="POST",route="/synthesize",status="200"}', value => value === 2);
+      expectSample(samples, 'http_requests_total{method="GET",route="/audio/:id",status="404"}', value => value === 1);
+      expectSample(samples, 'http_requests_total{method="GET",route="/metrics",status="401"}', value => value === 1);
+    }],
+    ['latency histograms have cumulative buckets, sum and count', async () => {
+      const { samples, types } = parsed;
+      for (const name of ['http_request_duration_seconds', 'mcp_tool_call_duration_seconds', 'docker_cp_duration_seconds', 'audio_playback_duration_seconds', 'ai_request_duration_seconds']) {
+        if (types.get(name) !== 'histogram') throw new Error(`${name} is not a histogram`);
+      }
+
+      const labels = 'tool="speak",outcome="success"';
+      const count = samples.get(`mcp_tool_call_duration_seconds_count{${labels}}`);
+      expectSample(samples, `mcp_tool_call_duration_seconds_bucket{${labels},le="+Inf"}`, value => value === count);
+      expectSample(samples, `mcp_tool_call_duration_seconds_sum{${labels}}`, value => value >= 0);
+      expectSample(samples, 'docker_cp_duration_seconds_count{outcome="success"}');
+
+      const buckets = [...samples.entries()].filter(([key]) => key.startsWith(`mcp_tool_call_duration_seconds_bucket{${labels}`)).map(([, value]) => value);
+      if (buckets.some((value, i) => i > 0 && value < buckets[i - 1])) throw new Error(`buckets are not cumulative: ${buckets}`);
+    }],
+    ['queue, container and cache gauges are reported', async () => {
+      const { samples } = parsed;
+      expectSample(samples, 'playback_queue_depth', value => value >= 0);
+      expectSample(samples, 'edge_tts_container_up{container="edge-tts"}', value => value === 1);
+      expectSample(samples, 'synthesis_cache_hits_total{cache="audio"}', value => value >= 1);
+      expectSample(samples, 'synthesis_cache_hit_ratio{cache="audio"}', value => value > 0 && value <= 1);
+    }]
+  ];
+
+  let service = null;
+  let failures = 0;
+
+  try {
+    console.log(`🚀 Starting edge-tts-service-2 on port ${PORT} (fake docker, API keys)...`);
+    service = await startService({
+      port: PORT,
+      prefix: 'edge-tts-metrics-',
+      env: {
+        API_KEYS: JSON.stringify([
+          { label: 'metrics-reader', key: READ_KEY, scopes: ['read'] },
+          { label: 'metrics-speaker', key: SPEAK_KEY, scopes: ['speak'] }
+        ])
+      }
+    });
+    console.log('✅ Service is running\n');
+
+    for (const [name, check] of checks) {
+      try {
+        await check();
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        console.error(`❌ ${name}: ${error.message}`);
+        failures++;
+      }
+    }
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    failures++;
+  } finally {
+    if (service) service.stop();
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 Metrics checks passed!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testMetrics();
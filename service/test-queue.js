@@ -0,0 +1,229 @@
+// test-queue.js - Test the speech playback queue
+// Runs in-process with a fake player (no service, Docker or audio device needed):
+// priority ordering, skip and cancel outcomes, and that audio of items which
+// never play is discarded while played or caller-owned files are kept
+
+const { createPlaybackQueue } = require('./utils/queue');
+
+/**
+ * Create a promise with its resolve/reject exposed
+ * @returns {{promise: Promise, resolve: function, reject: function}} Deferred
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+/**
+ * Let pending promise callbacks run
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Create a queue whose fake player plays until released or aborted
+ * @returns {object} { queue, played, release } - played lists files in playback order;
+ *   release() finishes the file that is playing
+ */
+function createTestQueue() {
+  const played = [];
+  let playing = null;
+
+  const queue = createPlaybackQueue({
+    play: (filePath, { signal }) => {
+      played.push(filePath);
+      playing = deferred();
+      signal.addEventListener('abort', () => playing.resolve(), { once: true });
+      return playing.promise.then(() => ({ player: 'fake' }));
+    }
+  });
+
+  return { queue, played, release: () => playing.resolve() };
+}
+
+/**
+ * Expect an item to finish with a status
+ * @param {Promise<object>} done - Completion promise from enqueue()
+ * @param {string} status - Expected status
+ * @returns {Promise<object>} The finished item
+ */
+async function expectStatus(done, status) {
+  const item = await done;
+  if (item.status !== status) throw new Error(`expected ${status}, got ${JSON.stringify(item)}`);
+  return item;
+}
+
+async function testQueue() {
+  console.log('🧪 Test: speech playback queue');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const checks = [
+    ['items play by priority, then in arrival order', async () => {
+      const { queue, played, release } = createTestQueue();
+      const first = queue.enqueue({ label: 'first', prepare: () => 'first.mp3' });
+      await settle();
+
+      const rest = [
+        queue.enqueue({ priority: 'low', prepare: () => 'low.mp3' }),
+        queue.enqueue({ priority: 'normal', prepare: () => 'normal-1.mp3' }),
+        queue.enqueue({ priority: 'urgent', prepare: () => 'urgent.mp3' }),
+        queue.enqueue({ priority: 'normal', prepare: () => 'normal-2.mp3' })
+      ];
+      if (rest[2].position !== 0 || rest[3].position !== 2) throw new Error(`positions ${rest.map(entry => entry.position)}`);
+
+      for (let index = 0; index < 5; index++) {
+        await settle();
+        release();
+      }
+      await Promise.all([first, ...rest].map(entry => expectStatus(entry.done, 'played')));
+
+      const order = ['first.mp3', 'urgent.mp3', 'normal-1.mp3', 'normal-2.mp3', 'low.mp3'];
+      if (played.join(',') !== order.join(',')) throw new Error(`played ${played.join(', ')}`);
+      if (queue.depth() !== 0 || queue.list().recent.length !== 5) throw new Error(JSON.stringify(queue.list()));
+    }],
+    ['invalid priorities are rejected with INVALID_ARGUMENTS', async () => {
+      const { queue } = createTestQueue();
+      try {
+        queue.enqueue({ priority: 'whenever', prepare: () => 'x.mp3' });
+      } catch (error) {
+        if (error.code !== 'INVALID_ARGUMENTS') throw new Error(`got ${error.code}`);
+        return;
+      }
+      throw new Error('expected enqueue to throw');
+    }],
+    ['skip stops the playing item and keeps its audio', async () => {
+      const { queue } = createTestQueue();
+      const discarded = [];
+      const { done } = queue.enqueue({ prepare: () => 'playing.mp3', discard: file => discarded.push(file) });
+      await settle();
+
+      if (queue.skip().id !== queue.list().current.id) throw new Error('skip returned another item');
+      const item = await expectStatus(done, 'skipped');
+      await settle();
+      if (!item.startedAt || discarded.length !== 0) throw new Error(`discarded ${discarded.join(', ')}`);
+      if (queue.skip() !== null) throw new Error('nothing should be playing');
+    }],
+    ['cancelling a queued item aborts its preparation and discards its audio', async () => {
+      const { queue, played, release } = createTestQueue();
+      const discarded = [];
+      const synthesis = deferred();
+      let signal = null;
+
+      const playing = queue.enqueue({ prepare: () => 'playing.mp3', discard: file => discarded.push(file) });
+      await settle();
+      const waiting = queue.enqueue({
+        prepare: (abortSignal) => {
+          signal = abortSignal;
+          return synthesis.promise;
+        },
+        discard: file => discarded.push(file)
+      });
+      await settle();
+
+      if (queue.cancel(waiting.id).status !== 'cancelled') throw new Error('not cancelled');
+      await expectStatus(waiting.done, 'cancelled');
+      if (!signal || !signal.aborted) throw new Error('preparation was not told to stop');
+
+      // Synthesis that was already running finishes later; its file is removed then
+      synthesis.resolve('waiting.mp3');
+      await settle();
+      if (discarded.join(',') !== 'waiting.mp3') throw new Error(`discarded ${discarded.join(', ')}`);
+
+      release();
+      await expectStatus(playing.done, 'played');
+      if (played.includes('waiting.mp3')) throw new Error('cancelled item was played');
+      if (queue.cancel(waiting.id) !== null) throw new Error('finished items cannot be cancelled');
+    }],
+    ['cancelling an item that is still preparing skips it without playing', async () => {
+      const { queue, played } = createTestQueue();
+      const discarded = [];
+      const synthesis = deferred();
+      const { id, done } = queue.enqueue({ prepare: () => synthesis.promise, discard: file => discarded.push(file) });
+      await settle();
+
+      if (queue.list().current.status !== 'preparing') throw new Error(JSON.stringify(queue.list().current));
+      queue.cancel(id);
+      synthesis.resolve('late.mp3');
+
+      await expectStatus(done, 'skipped');
+      await settle();
+      if (played.length !== 0 || discarded.join(',') !== 'late.mp3') throw new Error(`played ${played}, discarded ${discarded}`);
+    }],
+    ['preparation that gives up after an abort is a skip, not a failure', async () => {
+      const { queue } = createTestQueue();
+      const { id, done } = queue.enqueue({
+        prepare: signal => new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('Speech cancelled before synthesis')), { once: true });
+        })
+      });
+      await settle();
+
+      queue.cancel(id);
+      await expectStatus(done, 'skipped');
+    }],
+    ['failed preparation rejects and the queue moves on', async () => {
+      const { queue, played, release } = createTestQueue();
+      const failing = queue.enqueue({ prepare: () => Promise.reject(new Error('synthesis failed')) });
+      const next = queue.enqueue({ prepare: () => 'next.mp3' });
+
+      try {
+        await failing.done;
+        throw new Error('expected a rejection');
+      } catch (error) {
+        if (error.message !== 'synthesis failed') throw error;
+      }
+
+      await settle();
+      release();
+      await expectStatus(next.done, 'played');
+      if (played.join(',') !== 'next.mp3' || queue.list().recent[1].status !== 'failed') throw new Error(JSON.stringify(queue.list()));
+    }],
+    ['clear cancels every queued item and keeps the current one', async () => {
+      const { queue, release } = createTestQueue();
+      const discarded = [];
+      const current = queue.enqueue({ prepare: () => 'current.mp3', discard: file => discarded.push(file) });
+      await settle();
+      const queued = ['a.mp3', 'b.mp3'].map(file => queue.enqueue({ prepare: () => file, discard: name => discarded.push(name) }));
+
+      if (queue.clear() !== 2) throw new Error('expected two cancelled items');
+      await Promise.all(queued.map(entry => expectStatus(entry.done, 'cancelled')));
+      await settle();
+
+      release();
+      await expectStatus(current.done, 'played');
+      if (discarded.sort().join(',') !== 'a.mp3,b.mp3') throw new Error(`discarded ${discarded.join(', ')}`);
+    }]
+  ];
+
+  let failures = 0;
+
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 Queue checks passed!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testQueue();
@@ -0,0 +1,200 @@
+// test-rate-limit.js - Test token-bucket rate limiting
+// Runs in-process with a controlled clock (no service or Docker needed): burst
+// and refill per client and route class, the 429 response with Retry-After from
+// the middleware, and the bound on the throttled-client map kept for /stats
+
+const express = require('express');
+const axios = require('axios');
+const { createRateLimiter } = require('./utils/rate-limit');
+
+const realNow = Date.now;
+let clock = realNow();
+
+/**
+ * Move the limiter's clock forward
+ * @param {number} ms - Milliseconds to advance
+ */
+function advance(ms) {
+  clock += ms;
+}
+
+/**
+ * Take tokens until the bucket refuses one
+ * @param {object} limiter - Rate limiter
+ * @param {string} routeClass - Route class
+ * @param {string} client - Client id
+ * @returns {number} Tokens taken
+ */
+function drain(limiter, routeClass, client) {
+  let taken = 0;
+  while (limiter.take(routeClass, client).allowed) {
+    taken++;
+    if (taken > 1000) throw new Error('bucket never ran out');
+  }
+  return taken;
+}
+
+/**
+ * Serve a rate limited route on an ephemeral port
+ * @param {object} limiter - Rate limiter
+ * @param {Function} use - async (url) => void
+ * @returns {Promise<void>}
+ */
+async function withLimitedApp(limiter, use) {
+  const app = express();
+  app.use((req, res, next) => {
+    // Stand-in for auth.authenticate: X-Test-Key names the caller
+    const label = req.get('X-Test-Key');
+    req.auth = label ? { authenticated: true, label } : { authenticated: false };
+    next();
+  });
+  app.post('/speak', limiter.limit('speech'), (req, res) => res.json({ success: true }));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    await use(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.close();
+  }
+}
+
+async function testRateLimit() {
+  console.log('🧪 Test: rate limiting');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  Date.now = () => clock;
+  const limiters = [];
+  const createLimiter = (options) => {
+    const limiter = createRateLimiter(options);
+    limiters.push(limiter);
+    return limiter;
+  };
+
+  const checks = [
+    ['a client gets its burst, then waits for one token', async () => {
+      const limiter = createLimiter({ limits: { speech: { burst: 3, perMinute: 60 } } });
+      if (drain(limiter, 'speech', 'ip:a') !== 3) throw new Error('burst of 3 expected');
+
+      const refused = limiter.take('speech', 'ip:a');
+      if (refused.allowed || refused.remaining !== 0 || refused.retryAfterMs !== 1000) throw new Error(JSON.stringify(refused));
+    }],
+    ['tokens refill at perMinute, up to the burst', async () => {
+      const limiter = createLimiter({ limits: { ai: { burst: 2, perMinute: 6 } } });
+      drain(limiter, 'ai', 'ip:a');
+
+      advance(5000);
+      const early = limiter.take('ai', 'ip:a');
+      if (early.allowed || early.retryAfterMs !== 5000) throw new Error(JSON.stringify(early));
+
+      advance(5000);
+      if (!limiter.take('ai', 'ip:a').allowed) throw new Error('one token after 10s');
+
+      advance(60 * 60 * 1000);
+      if (drain(limiter, 'ai', 'ip:a') !== 2) throw new Error('refill must stop at the burst');
+    }],
+    ['buckets are separate per client and route class', async () => {
+      const limiter = createLimiter({ limits: { speech: { burst: 1, perMinute: 1 }, execute: { burst: 1, perMinute: 1 } } });
+      drain(limiter, 'speech', 'key:one');
+      if (!limiter.take('speech', 'key:two').allowed) throw new Error('another client was throttled');
+      if (!limiter.take('execute', 'key:one').allowed) throw new Error('another class was throttled');
+    }],
+    ['perMinute 0 disables a class', async () => {
+      const limiter = createLimiter({ limits: { execute: { burst: 1, perMinute: 0 } } });
+      for (let i = 0; i < 50; i++) {
+        const outcome = limiter.take('execute', 'ip:a');
+        if (!outcome.allowed || outcome.remaining !== Infinity) throw new Error(JSON.stringify(outcome));
+      }
+      if (limiter.getStats().activeBuckets !== 0) throw new Error('disabled classes must not keep buckets');
+    }],
+    ['the middleware answers 429 with Retry-After and rate limit headers', async () => {
+      const limiter = createLimiter({ limits: { speech: { burst: 2, perMinute: 20 } } });
+      await withLimitedApp(limiter, async (url) => {
+        const post = key => axios.post(`${url}/speak`, {}, { headers: key ? { 'X-Test-Key': key } : {}, validateStatus: () => true });
+
+        const first = await post('ci');
+        if (first.status !== 200 || first.headers['x-ratelimit-limit'] !== '2' || first.headers['x-ratelimit-remaining'] !== '1') {
+          throw new Error(`HTTP ${first.status} ${JSON.stringify(first.headers)}`);
+        }
+        await post('ci');
+
+        const limited = await post('ci');
+        if (limited.status !== 429 || limited.headers['retry-after'] !== '3' || limited.headers['x-ratelimit-remaining'] !== '0') {
+          throw new Error(`HTTP ${limited.status} ${JSON.stringify(limited.headers)}`);
+        }
+        if (limited.data.routeClass !== 'speech' || limited.data.retryAfter !== 3 || limited.data.limit.burst !== 2) throw new Error(JSON.stringify(limited.data));
+
+        // Callers without a key are limited by address, apart from the key's bucket
+        if ((await post(null)).status !== 200) throw new Error('the IP bucket shared the key bucket');
+        const stats = limiter.getStats();
+        if (stats.throttledClients['key:ci'] !== 1 || stats.classes.speech.allowed !== 3 || stats.classes.speech.throttled !== 1) {
+          throw new Error(JSON.stringify(stats));
+        }
+      });
+    }],
+    ['the throttled-client map keeps the 1000 most recently throttled clients', async () => {
+      const limiter = createLimiter({ limits: { speech: { burst: 1, perMinute: 1 } } });
+      const throttle = (client, times = 1) => {
+        drain(limiter, 'speech', client);
+        for (let i = 1; i < times; i++) limiter.take('speech', client);
+      };
+
+      throttle('ip:first', 5);
+      for (let i = 0; i < 999; i++) throttle(`ip:${i}`);
+      // Throttling again makes ip:first the most recent, so ip:0 and ip:1 go first
+      throttle('ip:first');
+      throttle('ip:999');
+      throttle('ip:last');
+
+      const stats = limiter.getStats();
+      if (stats.throttledClientCount !== 1000) throw new Error(`${stats.throttledClientCount} clients kept`);
+      if (stats.throttledClients['ip:0'] !== undefined || stats.throttledClients['ip:1'] !== undefined) throw new Error('least recently throttled clients were kept');
+
+      const top = Object.entries(stats.throttledClients);
+      if (top.length !== 20 || top[0][0] !== 'ip:first' || top[0][1] !== 6) throw new Error(JSON.stringify(top.slice(0, 3)));
+    }],
+    ['buckets that have refilled are pruned', async () => {
+      const limiter = createLimiter({ limits: { speech: { burst: 1, perMinute: 60 } }, pruneIntervalMs: 10 });
+      limiter.take('speech', 'ip:a');
+      limiter.take('speech', 'ip:b');
+      if (limiter.getStats().activeBuckets !== 2) throw new Error(JSON.stringify(limiter.getStats()));
+
+      advance(1000);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      if (limiter.getStats().activeBuckets !== 0) throw new Error(`${limiter.getStats().activeBuckets} buckets left`);
+    }]
+  ];
+
+  let failures = 0;
+  const { warn } = console;
+  // The middleware logs every throttled request
+  console.warn = () => {};
+
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  console.warn = warn;
+  Date.now = realNow;
+  limiters.forEach(limiter => limiter.stop());
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 Rate limit checks passed!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testRateLimit();
@@ -0,0 +1,225 @@
+// test-retention.js - Test the retention policy for generated files
+// Runs in-process against temp directories (no service or Docker needed):
+// age, count and size caps per artifact type, the grace period for files that
+// may still be in use, and that remove() never reaches outside its directory
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRetentionManager } = require('./utils/retention');
+
+const HOUR = 60 * 60 * 1000;
+
+const tempDirs = [];
+
+/**
+ * Create an empty temp directory
+ * @returns {string} Directory path
+ */
+function createDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'edge-tts-retention-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Write a file with a given size and age
+ * @param {string} dir - Directory
+ * @param {string} name - File name
+ * @param {number} size - Bytes
+ * @param {number} ageMs - How long ago it was last modified
+ */
+function writeFile(dir, name, size, ageMs) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, Buffer.alloc(size));
+  const modified = new Date(Date.now() - ageMs);
+  fs.utimesSync(filePath, modified, modified);
+}
+
+/**
+ * Expect the files on disk to be exactly these
+ * @param {string} dir - Directory
+ * @param {string[]} expected - File names
+ */
+function expectFiles(dir, expected) {
+  const files = fs.readdirSync(dir).sort();
+  if (files.join(',') !== [...expected].sort().join(',')) {
+    throw new Error(`expected files ${expected.join(', ')}, got ${files.join(', ')}`);
+  }
+}
+
+/**
+ * Expect a call to fail with an error code
+ * @param {Promise} promise - Call under test
+ * @param {string} code - Expected error code
+ */
+async function expectError(promise, code) {
+  try {
+    await promise;
+  } catch (error) {
+    if (error.code !== code) throw new Error(`expected ${code}, got ${error.code}: ${error.message}`);
+    return;
+  }
+  throw new Error(`expected ${code}, but the call succeeded`);
+}
+
+async function testRetention() {
+  console.log('🧪 Test: retention of generated files');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const checks = [
+    ['list reports managed files newest first with per-type totals', async () => {
+      const dir = createDir();
+      writeFile(dir, 'edge-tts-old.mp3', 10, 2 * HOUR);
+      writeFile(dir, 'edge-tts-new.words.json', 5, HOUR);
+      writeFile(dir, 'stdout-1.txt', 7, 0);
+      writeFile(dir, 'notes.txt', 100, 0);
+      fs.mkdirSync(path.join(dir, 'edge-tts-folder.mp3'));
+
+      const retention = createRetentionManager({ dir, types: ['audio', 'stdout'] });
+      const listing = await retention.list();
+      if (listing.artifacts.map(artifact => artifact.id).join(',') !== 'stdout-1.txt,edge-tts-new.words.json,edge-tts-old.mp3') {
+        throw new Error(JSON.stringify(listing.artifacts));
+      }
+      if (listing.totalBytes !== 22 || listing.byType.audio.count !== 2 || listing.byType.audio.bytes !== 15 || listing.byType.stdout.bytes !== 7) {
+        throw new Error(JSON.stringify(listing.byType));
+      }
+
+      if ((await retention.list({ type: 'stdout' })).count !== 1) throw new Error('type filter');
+      await expectError(retention.list({ type: 'code' }), 'INVALID_ARGUMENTS');
+    }],
+    ['files older than maxAgeMs are swept', async () => {
+      const dir = createDir();
+      writeFile(dir, 'edge-tts-expired.mp3', 10, 3 * HOUR);
+      writeFile(dir, 'edge-tts-fresh.mp3', 10, HOUR);
+
+      const retention = createRetentionManager({ dir, types: ['audio'], policies: { audio: { maxAgeMs: 2 * HOUR } }, graceMs: 0 });
+      const result = await retention.sweep();
+      if (result.removed !== 1 || result.bytes !== 10) throw new Error(JSON.stringify(result));
+      expectFiles(dir, ['edge-tts-fresh.mp3']);
+
+      const stats = retention.getStats();
+      if (stats.sweeps !== 1 || stats.removed !== 1 || stats.bytesFreed !== 10 || !stats.lastSweep) throw new Error(JSON.stringify(stats));
+    }],
+    ['the count cap keeps the newest files', async () => {
+      const dir = createDir();
+      ['a', 'b', 'c', 'd'].forEach((name, index) => writeFile(dir, `stdout-${name}.txt`, 1, (index + 1) * HOUR));
+
+      const retention = createRetentionManager({ dir, types: ['stdout'], policies: { stdout: { maxFiles: 2 } }, graceMs: 0 });
+      await retention.sweep();
+      expectFiles(dir, ['stdout-a.txt', 'stdout-b.txt']);
+    }],
+    ['the size cap keeps the newest files that fit', async () => {
+      const dir = createDir();
+      writeFile(dir, 'edge-tts-1.mp3', 40, HOUR);
+      writeFile(dir, 'edge-tts-2.mp3', 40, 2 * HOUR);
+      writeFile(dir, 'edge-tts-3.mp3', 40, 3 * HOUR);
+
+      const retention = createRetentionManager({ dir, types: ['audio'], policies: { audio: { maxBytes: 100 } }, graceMs: 0 });
+      const result = await retention.sweep();
+      if (result.removed !== 1 || result.bytes !== 40) throw new Error(JSON.stringify(result));
+      expectFiles(dir, ['edge-tts-1.mp3', 'edge-tts-2.mp3']);
+    }],
+    ['files inside the grace period are kept even over the caps', async () => {
+      const dir = createDir();
+      writeFile(dir, 'script-a.sh', 1, 0);
+      writeFile(dir, 'script-b.sh', 1, 1000);
+      writeFile(dir, 'script-c.sh', 1, 2 * HOUR);
+
+      const retention = createRetentionManager({ dir, types: ['script'], policies: { script: { maxAgeMs: 0, maxFiles: 0 } }, graceMs: 60 * 1000 });
+      await retention.sweep();
+      expectFiles(dir, ['script-a.sh', 'script-b.sh']);
+    }],
+    ['types the service does not manage are left alone', async () => {
+      const dir = createDir();
+      writeFile(dir, 'edge-tts-old.mp3', 1, 48 * HOUR);
+      writeFile(dir, 'stderr-old.txt', 1, 48 * 24 * HOUR);
+
+      const retention = createRetentionManager({ dir, types: ['audio'], graceMs: 0 });
+      await retention.sweep();
+      expectFiles(dir, ['stderr-old.txt']);
+      await expectError(retention.remove('stderr-old.txt'), 'INVALID_ARGUMENTS');
+    }],
+    ['remove deletes a managed file, then reports NOT_FOUND', async () => {
+      const dir = createDir();
+      writeFile(dir, 'edge-tts-gone.mp3', 12, 0);
+
+      const retention = createRetentionManager({ dir, types: ['audio'] });
+      const removed = await retention.remove('edge-tts-gone.mp3');
+      if (removed.type !== 'audio' || removed.size !== 12) throw new Error(JSON.stringify(removed));
+      expectFiles(dir, []);
+      await expectError(retention.remove('edge-tts-gone.mp3'), 'NOT_FOUND');
+    }],
+    ['remove rejects anything but a bare managed filename', async () => {
+      const parent = createDir();
+      const dir = path.join(parent, 'host');
+      fs.mkdirSync(dir);
+      fs.mkdirSync(path.join(dir, 'sub'));
+      writeFile(parent, 'edge-tts-outside.mp3', 1, 0);
+      writeFile(path.join(dir, 'sub'), 'edge-tts-nested.mp3', 1, 0);
+
+      const retention = createRetentionManager({ dir, types: ['audio'] });
+      const ids = [
+        '../edge-tts-outside.mp3',
+        'sub/edge-tts-nested.mp3',
+        'sub\\edge-tts-nested.mp3',
+        path.join(parent, 'edge-tts-outside.mp3'),
+        'edge-tts-..%2fedge-tts-outside.mp3',
+        'notes.txt',
+        '',
+        undefined
+      ];
+      for (const id of ids) {
+        await expectError(retention.remove(id), 'INVALID_ARGUMENTS');
+      }
+
+      expectFiles(parent, ['edge-tts-outside.mp3', 'host']);
+      expectFiles(path.join(dir, 'sub'), ['edge-tts-nested.mp3']);
+    }],
+    ['removing a symlink never touches its target', async () => {
+      const parent = createDir();
+      const dir = path.join(parent, 'host');
+      fs.mkdirSync(dir);
+      writeFile(parent, 'target.mp3', 1, 0);
+      try {
+        fs.symlinkSync(path.join(parent, 'target.mp3'), path.join(dir, 'edge-tts-link.mp3'));
+      } catch (error) {
+        console.log(`   (skipped: cannot create symlinks here: ${error.code})`);
+        return;
+      }
+
+      await createRetentionManager({ dir, types: ['audio'] }).remove('edge-tts-link.mp3');
+      expectFiles(dir, []);
+      expectFiles(parent, ['host', 'target.mp3']);
+    }]
+  ];
+
+  let failures = 0;
+
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 Retention checks passed!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testRetention();
@@ -1,11 +1,14 @@
 // test-speech.js - Test speech capabilities in docker-service-2
 // Tests speak, speak-interpret, and speak-summary
 
-const axios = require('axios');
+const { createDockerClient } = require('./client');
 
 // Configuration
 const DOCKER_SERVICE_URL = process.env.DOCKER_SERVICE_URL || 'http://localhost:3007';
 
+// AI-backed scripts can take minutes
+const client = createDockerClient({ baseUrl: DOCKER_SERVICE_URL, timeoutMs: 10 * 60 * 1000 });
+
 // Gettysburg Address opening
 const GETTYSBURG_ADDRESS = `Four score and seven years ago our fathers brought forth on this continent, a new nation, conceived in Liberty, and dedicated to the proposition that all men are created equal.
 
@@ -22,8 +25,8 @@ async function testSpeech() {
     // Step 1: Verify service is running
     console.log('🔍 Checking docker-service availability...');
     try {
-      const healthCheck = await axios.get(`${DOCKER_SERVICE_URL}/health`);
-      console.log(`✅ Service is running (uptime: ${healthCheck.data.uptime}s)\n`);
+      const healthCheck = await client.health();
+      console.log(`✅ Service is running (uptime: ${healthCheck.uptime}s)\n`);
     } catch (error) {
       console.error('❌ Docker service is not running!');
       console.error(`   Expected at: ${DOCKER_SERVICE_URL}`);
@@ -74,10 +77,10 @@ async function testSpeech() {
 
         const startTime = Date.now();
         console.log('🤖 Processing...');
-        const response = await axios.post(`${DOCKER_SERVICE_URL}/execute`, scriptPayload);
+        const results = await client.executeScripts(scriptPayload.scripts);
         const duration = Date.now() - startTime;
 
-        const result = response.data.results[0];
+        const result = results[0];
 
         if (result.success) {
           console.log(`✅ Success (${duration}ms)`);
@@ -117,8 +120,8 @@ async function testSpeech() {
 
       } catch (error) {
         console.error(`\n❌ Test failed: ${error.message}`);
-        if (error.response && error.response.data) {
-          console.error('API Error:', JSON.stringify(error.response.data, null, 2));
+        if (error.body) {
+          console.error('API Error:', JSON.stringify(error.body, null, 2));
         }
         failCount++;
       }
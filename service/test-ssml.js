@@ -0,0 +1,100 @@
+// test-ssml.js - Test SSML validation and the markup helper
+// Runs in-process (no service or Docker needed): documents that edge-tts
+// cannot render must be rejected here with INVALID_ARGUMENTS
+
+const { resolveInput, validateSsml, compileMarkup } = require('./utils/ssml');
+
+/**
+ * Expect a document to be valid
+ * @param {string} ssml - SSML document
+ */
+function expectValid(ssml) {
+  const errors = validateSsml(ssml);
+  if (errors.length > 0) {
+    throw new Error(`expected valid, got: ${errors.map(error => error.message).join('; ')}`);
+  }
+}
+
+/**
+ * Expect a document to be rejected with a message containing a fragment
+ * @param {string} ssml - SSML document
+ * @param {string} fragment - Expected part of the first error message
+ */
+function expectInvalid(ssml, fragment) {
+  const errors = validateSsml(ssml);
+  if (errors.length === 0) {
+    throw new Error(`expected "${ssml}" to be rejected`);
+  }
+  if (!errors[0].message.includes(fragment)) {
+    throw new Error(`expected an error mentioning "${fragment}", got: ${errors[0].message}`);
+  }
+}
+
+function testSsml() {
+  console.log('🧪 Test: SSML validation');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const checks = [
+    ['signed integer prosody values and keywords are accepted', () => {
+      expectValid('<speak><prosody rate="+10%" pitch="-5Hz" volume="-20%">Hello</prosody></speak>');
+      expectValid('<speak><prosody rate="slow" pitch="high" volume="loud">Hello</prosody></speak>');
+    }],
+    ['unsigned prosody values are rejected (edge-tts needs a sign)', () => {
+      expectInvalid('<speak><prosody rate="10%">Hello</prosody></speak>', 'invalid rate="10%"');
+      expectInvalid('<speak><prosody pitch="5Hz">Hello</prosody></speak>', 'invalid pitch="5Hz"');
+    }],
+    ['decimal prosody values are rejected (edge-tts needs integers)', () => {
+      expectInvalid('<speak><prosody volume="+1.5%">Hello</prosody></speak>', 'invalid volume="+1.5%"');
+      expectInvalid('<speak><prosody rate="-2.5%">Hello</prosody></speak>', 'signed integer');
+    }],
+    ['wrong units are rejected', () => {
+      expectInvalid('<speak><prosody pitch="+5%">Hello</prosody></speak>', 'invalid pitch');
+      expectInvalid('<speak><prosody rate="+5Hz">Hello</prosody></speak>', 'invalid rate');
+    }],
+    ['structure errors are reported', () => {
+      expectInvalid('<speak><prosody rate="+10%">Hello</speak>', 'unexpected </speak>');
+      expectInvalid('<speak><audio src="x.mp3"/></speak>', 'unsupported element <audio>');
+      expectInvalid('Hello', 'text outside <speak>');
+      expectInvalid('<speak>Fish & chips</speak>', 'unescaped "&"');
+    }],
+    ['resolveInput rejects invalid SSML with INVALID_ARGUMENTS and details', () => {
+      try {
+        resolveInput('<speak><prosody rate="10%">Hello</prosody></speak>', 'ssml');
+      } catch (error) {
+        if (error.code !== 'INVALID_ARGUMENTS' || !Array.isArray(error.details)) throw new Error(`got ${error.code}`);
+        return;
+      }
+      throw new Error('expected resolveInput to throw');
+    }],
+    ['markup compiles to valid SSML', () => {
+      const ssml = compileMarkup('Build {spell:CI} finished [pause 1s] {emphasis:now} & done');
+      expectValid(ssml);
+      if (!ssml.includes('<break time="1s"/>') || !ssml.includes('&amp;')) throw new Error(ssml);
+    }]
+  ];
+
+  let failures = 0;
+
+  for (const [name, check] of checks) {
+    try {
+      check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 SSML checks passed!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testSsml();
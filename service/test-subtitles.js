@@ -0,0 +1,141 @@
+// test-subtitles.js - Test word timings and subtitle export
+// Runs in-process (no service or Docker needed): word boundaries from MCP
+// results, merging chunk timings onto one timeline, cue grouping and the
+// WebVTT/SRT documents with their timestamps
+
+const { extractWordBoundaries, estimateDurationMs, mergeWordTimings, renderSubtitles } = require('./utils/subtitles');
+
+/**
+ * Build word timings, one word every `step` ms
+ * @param {string} text - Words separated by spaces
+ * @param {number} step - Gap between word starts
+ * @param {number} duration - Duration of each word
+ * @returns {Array<object>} Word timings
+ */
+function words(text, step = 300, duration = 250) {
+  return text.split(' ').map((word, index) => ({ text: word, offset: index * step, duration }));
+}
+
+/**
+ * Expect two values to serialize the same
+ * @param {any} actual - Actual value
+ * @param {any} expected - Expected value
+ */
+function expectEqual(actual, expected) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function testSubtitles() {
+  console.log('🧪 Test: word timings and subtitles');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const checks = [
+    ['word boundaries are read from the metadata block of a speak result', () => {
+      const boundaries = words('Hello world');
+      const result = { content: [{ type: 'text', text: '✅ Done' }, { type: 'text', text: '{not json' }, { type: 'text', text: JSON.stringify({ wordBoundaries: boundaries }) }] };
+      expectEqual(extractWordBoundaries(result), boundaries);
+      expectEqual(extractWordBoundaries({ content: [{ type: 'text', text: '✅ Done' }] }), null);
+      expectEqual(extractWordBoundaries(null), null);
+    }],
+    ['MP3 duration is estimated from the size at 48 kbit/s', () => {
+      expectEqual(estimateDurationMs(6000), 1000);
+      expectEqual(estimateDurationMs(0), 0);
+    }],
+    ['chunk timings are shifted by the duration of the chunks before them', () => {
+      const merged = mergeWordTimings([
+        { words: words('One two'), durationMs: 1000 },
+        { words: words('three'), durationMs: 500 },
+        { words: words('four'), durationMs: 400 }
+      ]);
+      expectEqual(merged.map(word => [word.text, word.offset]), [['One', 0], ['two', 300], ['three', 1000], ['four', 1500]]);
+      if (merged[2].duration !== 250) throw new Error('durations must be kept');
+    }],
+    ['merging gives null when any chunk has no timings', () => {
+      expectEqual(mergeWordTimings([{ words: words('One'), durationMs: 100 }, { words: null, durationMs: 100 }]), null);
+      expectEqual(mergeWordTimings([]), []);
+    }],
+    ['WebVTT cues hold up to wordsPerCue words', () => {
+      const { body, contentType, extension } = renderSubtitles(words('a b c d e'), 'vtt', { wordsPerCue: 2 });
+      expectEqual(body, [
+        'WEBVTT',
+        '',
+        '00:00:00.000 --> 00:00:00.550',
+        'a b',
+        '',
+        '00:00:00.600 --> 00:00:01.150',
+        'c d',
+        '',
+        '00:00:01.200 --> 00:00:01.450',
+        'e',
+        ''
+      ].join('\n'));
+      if (contentType !== 'text/vtt; charset=utf-8' || extension !== '.vtt') throw new Error(`${contentType} ${extension}`);
+    }],
+    ['a cue closes once it would run past maxCueMs', () => {
+      // Words start every second: the third word would make the cue 2.25s long
+      const { body } = renderSubtitles(words('slow words here', 1000), 'srt', { wordsPerCue: 8, maxCueMs: 2000 });
+      expectEqual(body, [
+        '1',
+        '00:00:00,000 --> 00:00:01,250',
+        'slow words',
+        '',
+        '2',
+        '00:00:02,000 --> 00:00:02,250',
+        'here',
+        ''
+      ].join('\n'));
+    }],
+    ['SRT timestamps carry hours and minutes and round to the millisecond', () => {
+      const late = [
+        { text: 'late', offset: 3723004.4, duration: 1000.2 },
+        { text: 'later', offset: 36000000, duration: 999.6 }
+      ];
+      const { body, contentType } = renderSubtitles(late, 'srt', { wordsPerCue: 1 });
+      expectEqual(body.split('\n').filter(line => line.includes('-->')), [
+        '01:02:03,004 --> 01:02:04,005',
+        '10:00:00,000 --> 10:00:01,000'
+      ]);
+      if (contentType !== 'application/x-subrip; charset=utf-8') throw new Error(contentType);
+    }],
+    ['negative offsets are clamped to zero', () => {
+      const { body } = renderSubtitles([{ text: 'early', offset: -40, duration: 100 }], 'vtt');
+      if (!body.includes('00:00:00.000 --> 00:00:00.060')) throw new Error(body);
+    }],
+    ['unknown subtitle formats are rejected with INVALID_ARGUMENTS', () => {
+      try {
+        renderSubtitles(words('a'), 'ass');
+      } catch (error) {
+        if (error.code !== 'INVALID_ARGUMENTS' || !error.message.includes('vtt, srt')) throw new Error(`${error.code}: ${error.message}`);
+        return;
+      }
+      throw new Error('expected renderSubtitles to throw');
+    }]
+  ];
+
+  let failures = 0;
+
+  for (const [name, check] of checks) {
+    try {
+      check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 Subtitle checks passed!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testSubtitles();
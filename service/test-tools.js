@@ -0,0 +1,112 @@
+// test-tools.js - Test MCP tool discovery and generic tool calls
+// Runs the tool registry in-process against the fake MCP server (through the
+// fake docker CLI): schema validation of arguments, patterns JavaScript cannot
+// compile, and throttled re-discovery for unknown tool names
+
+const { createFakeEnvironment } = require('./test-fixtures/service');
+const { createToolRegistry } = require('./utils/tools');
+const { closeAllClients } = require('./utils/mcp');
+
+// Shortest gap between re-discoveries for unknown tool names in this test
+const REFRESH_MS = 300;
+
+/**
+ * Expect a call to fail with an error code
+ * @param {Promise} promise - Call under test
+ * @param {string} code - Expected error code
+ * @returns {Promise<Error>} The error
+ */
+async function expectError(promise, code) {
+  try {
+    await promise;
+  } catch (error) {
+    if (error.code !== code) {
+      throw new Error(`expected ${code}, got ${error.code}: ${error.message}`);
+    }
+    return error;
+  }
+  throw new Error(`expected ${code}, but the call succeeded`);
+}
+
+async function testTools() {
+  console.log('🧪 Test: MCP tool registry');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const fake = createFakeEnvironment('edge-tts-tools-');
+  process.env.PATH = fake.env.PATH;
+  process.env.FAKE_CONTAINER_ROOT = fake.containerRoot;
+
+  // Keep the registry's own log lines for the checks instead of printing them
+  const registryLog = [];
+  const { log, warn } = console;
+  console.log = (...args) => (String(args[0]).startsWith('[Tools]') ? registryLog.push(args.join(' ')) : log(...args));
+  console.warn = (...args) => (String(args[0]).startsWith('[Tools]') ? registryLog.push(args.join(' ')) : warn(...args));
+  const discoveries = () => registryLog.filter(line => line.startsWith('[Tools] Discovered')).length;
+
+  const registry = createToolRegistry('edge-tts', { unknownToolRefreshMs: REFRESH_MS });
+
+  const checks = [
+    ['list discovers the tools with their input schemas', async () => {
+      const { tools, discoveredAt } = await registry.list();
+      const names = tools.map(tool => tool.name);
+      if (!names.includes('speak') || !names.includes('list_voices') || !discoveredAt) throw new Error(JSON.stringify({ names, discoveredAt }));
+      if (tools.some(tool => tool.inputSchema.type !== 'object')) throw new Error('tools must keep an object inputSchema');
+    }],
+    ['valid arguments reach the tool', async () => {
+      const result = await registry.call('list_voices', { language: 'en-US', format: 'json' });
+      if (!result.content || !result.content[0].text.includes('en-US-AriaNeural')) throw new Error(JSON.stringify(result));
+    }],
+    ['schema violations fail with INVALID_ARGUMENTS and details', async () => {
+      const error = await expectError(registry.call('list_voices', { format: 'xml' }), 'INVALID_ARGUMENTS');
+      if (error.details[0].field !== 'format' || !error.details[0].message.includes('pattern')) throw new Error(JSON.stringify(error.details));
+      await expectError(registry.call('speak', {}), 'INVALID_ARGUMENTS');
+    }],
+    ['patterns JavaScript cannot compile are reported once and not checked', async () => {
+      const warnings = registryLog.filter(line => line.includes('invalid pattern'));
+      if (warnings.length !== 1 || !warnings[0].includes('list_voices: language')) throw new Error(JSON.stringify(registryLog));
+
+      const result = await registry.call('list_voices', { language: 'any value at all' });
+      if (!result.content) throw new Error(JSON.stringify(result));
+    }],
+    ['unknown tools fail with TOOL_NOT_FOUND and refresh at most once per interval', async () => {
+      const before = discoveries();
+      await expectError(registry.call('no_such_tool'), 'TOOL_NOT_FOUND');
+      if (discoveries() !== before) throw new Error('refreshed right after discovery');
+
+      await new Promise(resolve => setTimeout(resolve, REFRESH_MS + 50));
+      await Promise.all([1, 2, 3].map(() => expectError(registry.call('no_such_tool'), 'TOOL_NOT_FOUND')));
+      await expectError(registry.call('another_missing_tool'), 'TOOL_NOT_FOUND');
+      if (discoveries() !== before + 1) throw new Error(`expected one refresh, got ${discoveries() - before}`);
+    }]
+  ];
+
+  let failures = 0;
+
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  console.log = log;
+  console.warn = warn;
+  closeAllClients();
+  fake.remove();
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 Tool registry checks passed!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testTools();
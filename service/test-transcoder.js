@@ -0,0 +1,100 @@
+// test-transcoder.js - Test output format selection for audio conversion
+// Runs in-process (no service, Docker or ffmpeg needed): format names and
+// aliases, sample-rate validation per encoder, and the content types served
+
+const path = require('path');
+const { normalizeAudioFormat, isNative, transcode } = require('./utils/transcoder');
+
+/**
+ * Expect a format request to be rejected with INVALID_ARGUMENTS
+ * @param {Function} fn - Call under test
+ * @param {string} fragment - Expected part of the error message
+ */
+function expectInvalid(fn, fragment) {
+  try {
+    fn();
+  } catch (error) {
+    if (error.code !== 'INVALID_ARGUMENTS') throw new Error(`expected INVALID_ARGUMENTS, got ${error.code}`);
+    if (!error.message.includes(fragment)) throw new Error(`expected "${fragment}" in: ${error.message}`);
+    return;
+  }
+  throw new Error('expected the format to be rejected');
+}
+
+async function testTranscoder() {
+  console.log('🧪 Test: audio output formats');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const checks = [
+    ['the default is native MP3', () => {
+      const target = normalizeAudioFormat();
+      if (target.format !== 'mp3' || target.sampleRate !== null || target.contentType !== 'audio/mpeg' || !isNative(target)) {
+        throw new Error(JSON.stringify(target));
+      }
+    }],
+    ['names are case-insensitive and aliases resolve', () => {
+      const opus = normalizeAudioFormat('OPUS');
+      if (opus.format !== 'ogg' || opus.extension !== '.ogg' || opus.contentType !== 'audio/ogg; codecs=opus') throw new Error(JSON.stringify(opus));
+      if (normalizeAudioFormat('raw').format !== 'pcm') throw new Error('raw is not pcm');
+      if (normalizeAudioFormat('Wav').contentType !== 'audio/wav') throw new Error('wav content type');
+    }],
+    ['unknown formats are rejected with the supported list', () => {
+      expectInvalid(() => normalizeAudioFormat('flac'), 'Use one of: mp3, wav, ogg, pcm, opus, raw');
+    }],
+    ['sample rates are checked against the encoder', () => {
+      if (normalizeAudioFormat('wav', '16000').sampleRate !== 16000) throw new Error('string rates are not converted');
+      if (normalizeAudioFormat('ogg', 12000).sampleRate !== 12000) throw new Error('opus accepts 12 kHz');
+      expectInvalid(() => normalizeAudioFormat('ogg', 44100), 'Invalid sampleRate for ogg: 44100');
+      expectInvalid(() => normalizeAudioFormat('mp3', 'fast'), 'Invalid sampleRate for mp3');
+      expectInvalid(() => normalizeAudioFormat('wav', 16000.5), 'Use one of: 8000');
+    }],
+    ['an empty sample rate means the native one', () => {
+      for (const sampleRate of [undefined, null, '']) {
+        if (normalizeAudioFormat('wav', sampleRate).sampleRate !== null) throw new Error(`sampleRate ${JSON.stringify(sampleRate)}`);
+      }
+    }],
+    ['PCM carries its rate and channels in the content type', () => {
+      if (normalizeAudioFormat('pcm').contentType !== 'audio/L16;rate=24000;channels=1') throw new Error(normalizeAudioFormat('pcm').contentType);
+      if (normalizeAudioFormat('raw', 8000).contentType !== 'audio/L16;rate=8000;channels=1') throw new Error(normalizeAudioFormat('raw', 8000).contentType);
+    }],
+    ['only MP3 at the native rate skips conversion', () => {
+      if (isNative(normalizeAudioFormat('mp3', 48000))) throw new Error('resampled MP3 must be converted');
+      if (isNative(normalizeAudioFormat('wav'))) throw new Error('WAV must be converted');
+    }],
+    ['a missing ffmpeg fails with TRANSCODER_UNAVAILABLE', async () => {
+      const missing = path.join(__dirname, 'no-such-ffmpeg');
+      try {
+        await transcode('in.mp3', 'out.wav', normalizeAudioFormat('wav'), { ffmpegPath: missing });
+      } catch (error) {
+        if (error.code !== 'TRANSCODER_UNAVAILABLE' || !error.message.includes('FFMPEG_PATH')) throw new Error(`${error.code}: ${error.message}`);
+        return;
+      }
+      throw new Error('expected transcode to fail');
+    }]
+  ];
+
+  let failures = 0;
+
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (failures === 0) {
+    console.log('🎉 Transcoder checks passed!');
+    process.exit(0);
+  } else {
+    console.log(`⚠️  ${failures} check(s) failed. Review the errors above.`);
+    process.exit(1);
+  }
+}
+
+// Run the test
+console.log('\n');
+testTranscoder();
@@ -1,28 +1,181 @@
 // audio.js - Audio playback utilities
+// Detects an available command-line player and plays files through it
 
-const { exec } = require('child_process');
+const { spawn, execFile } = require('child_process');
+const path = require('path');
+const { metrics } = require('./metrics');
+
+const playbackDuration = metrics.histogram('audio_playback_duration_seconds', 'Audio playback time by player (stopped = skipped or cancelled)', {
+  labelNames: ['player', 'outcome'],
+  buckets: [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300]
+});
+
+/**
+ * Build the PowerShell MediaPlayer script for a file
+ * @param {string} filePath - Path to the audio file
+ * @returns {string} PowerShell command
+ */
+function powershellScript(filePath) {
+  // Single quotes are escaped by doubling inside a PowerShell literal string
+  const escapedPath = filePath.replace(/'/g, "''");
+  return `Add-Type -AssemblyName presentationCore; $player = New-Object System.Windows.Media.MediaPlayer; $player.Open('${escapedPath}'); $player.Play(); Start-Sleep -Milliseconds 500; while($player.NaturalDuration.HasTimeSpan -eq $false) { Start-Sleep -Milliseconds 100 }; $duration = [math]::Ceiling($player.NaturalDuration.TimeSpan.TotalSeconds); Start-Sleep -Seconds $duration`;
+}
+
+// Supported players in order of preference. `formats` lists the file
+// extensions a player can decode; null means anything.
+const PLAYERS = {
+  ffplay: {
+    command: 'ffplay',
+    args: filePath => ['-nodisp', '-autoexit', '-loglevel', 'error', filePath],
+    formats: null
+  },
+  mpg123: {
+    command: 'mpg123',
+    args: filePath => ['-q', filePath],
+    formats: ['.mp3']
+  },
+  afplay: {
+    command: 'afplay',
+    args: filePath => [filePath],
+    formats: null
+  },
+  paplay: {
+    command: 'paplay',
+    args: filePath => [filePath],
+    formats: ['.wav', '.ogg']
+  },
+  aplay: {
+    command: 'aplay',
+    args: filePath => ['-q', filePath],
+    formats: ['.wav']
+  },
+  powershell: {
+    command: 'powershell',
+    args: filePath => ['-NoProfile', '-Command', powershellScript(filePath)],
+    formats: null
+  }
+};
+
+// Cached result of detectPlayers()
+let detected = null;
 
 /**
- * Play MP3 audio file using PowerShell MediaPlayer
- * @param {string} filePath - Path to the MP3 file
- * @returns {Promise<void>} Resolves when playback completes
+ * Check whether a command is available on PATH
+ * @param {string} command - Command name
+ * @returns {Promise<boolean>} True if found
  */
-async function playAudio(filePath) {
+function commandExists(command) {
+  const lookup = process.platform === 'win32' ? 'where' : 'which';
+
   return new Promise((resolve) => {
-    // Use MediaPlayer from PresentationCore assembly - built-in Windows component
-    const escapedPath = filePath.replace(/\\/g, '\\\\');
-    const psCommand = `powershell -Command "Add-Type -AssemblyName presentationCore; $player = New-Object System.Windows.Media.MediaPlayer; $player.Open('${escapedPath}'); $player.Play(); Start-Sleep -Milliseconds 500; while($player.NaturalDuration.HasTimeSpan -eq $false) { Start-Sleep -Milliseconds 100 }; $duration = [math]::Ceiling($player.NaturalDuration.TimeSpan.TotalSeconds); Start-Sleep -Seconds $duration"`;
+    execFile(lookup, [command], (error) => resolve(!error));
+  });
+}
+
+/**
+ * Detect which supported players are installed
+ * @param {boolean} force - Re-run detection even if cached
+ * @returns {Promise<string[]>} Available player names in preference order
+ */
+async function detectPlayers(force = false) {
+  if (detected && !force) {
+    return detected;
+  }
+
+  const names = Object.keys(PLAYERS);
+  const found = await Promise.all(names.map(name => commandExists(PLAYERS[name].command)));
+  detected = names.filter((name, index) => found[index]);
+
+  console.log(`[Audio] Available players: ${detected.length > 0 ? detected.join(', ') : 'none'}`);
+  return detected;
+}
+
+/**
+ * Pick the player to use for a file
+ * @param {string} filePath - Path to the audio file
+ * @param {string} override - Configured player name ('auto' or empty to detect)
+ * @returns {Promise<string>} Player name
+ */
+async function selectPlayer(filePath, override) {
+  if (override && override !== 'auto') {
+    if (override !== 'null' && !PLAYERS[override]) {
+      throw new Error(`Unknown audio player: ${override}. Use one of: auto, null, ${Object.keys(PLAYERS).join(', ')}`);
+    }
+    return override;
+  }
+
+  const extension = path.extname(filePath).toLowerCase();
+  const available = await detectPlayers();
+  const player = available.find(name => !PLAYERS[name].formats || PLAYERS[name].formats.includes(extension));
+
+  if (!player) {
+    throw new Error(`No audio player available for ${extension || 'file'} (install ffplay or mpg123, or set AUDIO_PLAYER)`);
+  }
+
+  return player;
+}
+
+/**
+ * Play an audio file with the selected player
+ * @param {string} filePath - Path to the audio file
+ * @param {object} options - Playback options (player, signal)
+ * @returns {Promise<{player: string, stopped: boolean}>} Resolves when playback completes or is stopped
+ */
+async function playAudio(filePath, options = {}) {
+  const player = await selectPlayer(filePath, options.player || process.env.AUDIO_PLAYER);
+
+  // The null backend skips playback (headless hosts and tests)
+  if (player === 'null') {
+    return { player, stopped: false };
+  }
+
+  const { command, args } = PLAYERS[player];
+  const { signal } = options;
+  const end = playbackDuration.startTimer({ player });
 
-    exec(psCommand, (error) => {
-      if (error) {
-        console.warn(`[Audio Playback Warning]: ${error.message}`);
+  const playback = new Promise((resolve, reject) => {
+    const child = spawn(command, args(filePath), { stdio: ['ignore', 'ignore', 'pipe'] });
+
+    // Aborting the signal stops playback early (queue skip/cancel)
+    const onAbort = () => child.kill();
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    let stderr = '';
+    child.stderr.on('data', (data) => {
+      stderr = (stderr + data.toString()).slice(-500);
+    });
+
+    child.on('error', (err) => {
+      reject(new Error(`Audio playback failed (${player}): ${err.message}`));
+    });
+
+    child.on('close', (code) => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      if (signal && signal.aborted) {
+        resolve({ player, stopped: true });
+      } else if (code === 0) {
+        resolve({ player, stopped: false });
+      } else {
+        reject(new Error(`Audio playback failed (${player} exited with code ${code}): ${stderr.trim()}`));
       }
-      // Resolve after playback completes
-      resolve();
     });
   });
+
+  playback.then(
+    result => end({ outcome: result.stopped ? 'stopped' : 'success' }),
+    () => end({ outcome: 'error' })
+  );
+  return playback;
 }
 
 module.exports = {
-  playAudio
+  playAudio,
+  detectPlayers,
+  selectPlayer,
+  PLAYERS
 };
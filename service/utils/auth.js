@@ -0,0 +1,183 @@
+// auth.js - API key authentication and per-key scopes
+// Shared by the Edge TTS and docker services. With no keys configured every
+// request is allowed, as before, except local-only scopes (script execution)
+// which then only loopback clients hold; otherwise each route requires a scope.
+
+const crypto = require('crypto');
+
+// Scopes a key can hold. '*' grants every scope.
+const SCOPES = ['read', 'speak', 'admin', 'execute'];
+
+// Scopes that include other scopes
+const IMPLIED_SCOPES = {
+  speak: ['read'],
+  admin: ['read']
+};
+
+/**
+ * Hash a key so comparisons run in constant time regardless of length
+ * @param {string} key - API key
+ * @returns {Buffer} SHA-256 digest
+ */
+function digest(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * Expand a key's scopes with the scopes they imply
+ * @param {string[]} scopes - Configured scopes
+ * @returns {Set<string>} Effective scopes
+ */
+function expandScopes(scopes) {
+  const effective = new Set();
+  for (const scope of scopes) {
+    effective.add(scope);
+    (IMPLIED_SCOPES[scope] || []).forEach(implied => effective.add(implied));
+  }
+  return effective;
+}
+
+/**
+ * Read the key a request presents
+ * @param {object} req - Express request
+ * @returns {string|null} Key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ */
+function presentedKey(req) {
+  const header = req.get('authorization');
+  if (header) {
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+  }
+  return req.get('x-api-key') || null;
+}
+
+// Addresses of clients on this machine
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+/**
+ * Whether a request comes from this machine (the socket address, never a
+ * forwarded header)
+ * @param {object} req - Express request
+ * @returns {boolean} True for loopback clients
+ */
+function isLoopback(req) {
+  return LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress || '');
+}
+
+/**
+ * Create the authentication middleware for a service
+ * @param {object} options - Auth options
+ * @param {Array<{label: string, key: string, scopes: string[]}>} options.keys - Configured API keys
+ * @param {string} options.realm - Realm sent in WWW-Authenticate
+ * @param {string[]} options.localOnlyScopes - Scopes only loopback clients hold while no keys are configured
+ * @param {object} stats - Statistics tracker (records requests per key label)
+ * @returns {object} Auth with authenticate/require middleware and hasScope
+ */
+function createAuth(options, stats) {
+  const { keys = [], realm = 'edge-docker', localOnlyScopes = [] } = options;
+  const enabled = keys.length > 0;
+
+  const entries = keys.map(entry => ({
+    label: entry.label,
+    hash: digest(entry.key),
+    scopes: expandScopes(entry.scopes)
+  }));
+
+  /**
+   * Find the configured key matching a presented key
+   * @param {string} key - Presented key
+   * @returns {object|null} Matching entry
+   */
+  function lookup(key) {
+    const hash = digest(key);
+    // Compare against every entry so timing does not reveal which one matched
+    let match = null;
+    for (const entry of entries) {
+      if (crypto.timingSafeEqual(hash, entry.hash)) {
+        match = entry;
+      }
+    }
+    return match;
+  }
+
+  /**
+   * Check whether the request's key holds a scope
+   * @param {object} req - Express request (after authenticate)
+   * @param {string} scope - Required scope
+   * @returns {boolean} True if allowed
+   */
+  function hasScope(req, scope) {
+    if (!enabled) return !localOnlyScopes.includes(scope) || isLoopback(req);
+    const scopes = req.auth && req.auth.scopes;
+    return Boolean(scopes) && (scopes.has('*') || scopes.has(scope));
+  }
+
+  return {
+    enabled,
+    hasScope,
+
+    /**
+     * Identify the caller. Requests without a valid key continue unauthenticated
+     * so public routes still work; require() rejects them on protected routes.
+     * @param {object} req - Express request
+     * @param {object} res - Express response
+     * @param {Function} next - Next middleware
+     */
+    authenticate: (req, res, next) => {
+      if (!enabled) {
+        req.auth = { label: 'anonymous', authenticated: false };
+        stats.recordClient('anonymous');
+        return next();
+      }
+
+      const key = presentedKey(req);
+      const entry = key ? lookup(key) : null;
+
+      if (entry) {
+        req.auth = { label: entry.label, scopes: entry.scopes, authenticated: true };
+        stats.recordClient(entry.label);
+      } else {
+        req.auth = { label: null, authenticated: false, invalid: Boolean(key) };
+      }
+      next();
+    },
+
+    /**
+     * Middleware that rejects requests lacking a scope (401 without a valid key, 403 without the scope)
+     * @param {string} scope - Required scope
+     * @returns {Function} Express middleware
+     */
+    require: (scope) => (req, res, next) => {
+      if (hasScope(req, scope)) {
+        return next();
+      }
+
+      if (!enabled) {
+        return res.status(403).json({
+          error: `The "${scope}" scope is only available from localhost while no API keys are configured`,
+          requiredScope: scope
+        });
+      }
+
+      if (!req.auth || !req.auth.authenticated) {
+        res.set('WWW-Authenticate', `Bearer realm="${realm}"`);
+        return res.status(401).json({
+          error: req.auth && req.auth.invalid ? 'Invalid API key' : 'API key required',
+          hint: 'Send "Authorization: Bearer <key>" or "X-API-Key: <key>"'
+        });
+      }
+
+      stats.recordDenied(req.auth.label);
+      res.status(403).json({
+        error: `API key "${req.auth.label}" lacks the "${scope}" scope`,
+        requiredScope: scope,
+        scopes: [...req.auth.scopes]
+      });
+    }
+  };
+}
+
+module.exports = {
+  SCOPES,
+  createAuth
+};
@@ -0,0 +1,299 @@
+// cache.js - Content-addressed synthesis cache
+// Stores synthesized audio on disk keyed by a hash of text, voice and prosody,
+// with optional companion files (word timings) that share the entry's lifetime
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { ensureDirectory } = require('./file-ops');
+
+/**
+ * Create a disk-backed LRU cache for synthesized audio
+ * @param {object} options - Cache options
+ * @param {string} options.dir - Directory holding cached files
+ * @param {number} options.maxBytes - Size cap before least recently used entries are evicted
+ * @param {string} options.extension - File extension for cached entries
+ * @param {string[]} options.companions - Extensions of companion files stored under the
+ *   same key; they count toward the entry's size and are evicted with it
+ * @returns {object} Cache with key/get/release/companion/put/clear/getStats methods
+ */
+function createSynthesisCache(options) {
+  const { dir, maxBytes = 100 * 1024 * 1024, extension = '.mp3', companions = [] } = options;
+
+  // key -> { size, lastUsed } (size includes companion files)
+  const entries = new Map();
+  // key -> number of get() hits not yet released; pinned entries are never evicted
+  const pins = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+  let totalBytes = 0;
+  let loading = null;
+
+  /**
+   * Index files already on disk (survives restarts)
+   * @returns {Promise<void>}
+   */
+  function load() {
+    if (!loading) {
+      loading = (async () => {
+        await ensureDirectory(dir);
+        const files = new Set(await fs.readdir(dir));
+
+        for (const file of files) {
+          const fileExtension = path.extname(file);
+          const key = path.basename(file, fileExtension);
+
+          // Companions left behind by an entry that no longer exists
+          if (companions.includes(fileExtension) && !files.has(`${key}${extension}`)) {
+            await removeFile(path.join(dir, file));
+            continue;
+          }
+          if (fileExtension !== extension) continue;
+
+          const fileStats = await fs.stat(path.join(dir, file));
+          const size = fileStats.size + await companionBytes(key);
+          entries.set(key, { size, lastUsed: fileStats.mtimeMs });
+          totalBytes += size;
+        }
+      })();
+    }
+    return loading;
+  }
+
+  /**
+   * Path of a cache entry on disk
+   * @param {string} key - Cache key
+   * @param {string} fileExtension - Entry extension (default the main file's)
+   * @returns {string} File path
+   */
+  function entryPath(key, fileExtension = extension) {
+    return path.join(dir, `${key}${fileExtension}`);
+  }
+
+  /**
+   * Delete a file if it exists
+   * @param {string} filePath - File path
+   * @returns {Promise<void>}
+   */
+  async function removeFile(filePath) {
+    try {
+      await fs.unlink(filePath);
+    } catch (err) {
+      // Already gone
+    }
+  }
+
+  /**
+   * Delete an entry's main file and companions
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async function removeEntryFiles(key) {
+    for (const fileExtension of [extension, ...companions]) {
+      await removeFile(entryPath(key, fileExtension));
+    }
+  }
+
+  /**
+   * Total size of an entry's companion files on disk
+   * @param {string} key - Cache key
+   * @returns {Promise<number>} Bytes
+   */
+  async function companionBytes(key) {
+    let bytes = 0;
+    for (const fileExtension of companions) {
+      try {
+        bytes += (await fs.stat(entryPath(key, fileExtension))).size;
+      } catch (err) {
+        // Entry has no such companion
+      }
+    }
+    return bytes;
+  }
+
+  /**
+   * Remove least recently used entries until under the size cap
+   * @returns {Promise<void>}
+   */
+  async function evict() {
+    if (totalBytes <= maxBytes) return;
+
+    const oldestFirst = [...entries.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+
+    for (const [key, entry] of oldestFirst) {
+      if (totalBytes <= maxBytes) break;
+      if (pins.has(key)) continue;
+
+      entries.delete(key);
+      totalBytes -= entry.size;
+      counters.evictions++;
+
+      await removeEntryFiles(key);
+    }
+  }
+
+  return {
+    /**
+     * Compute the cache key for a synthesis request
+     * @param {object} parts - Inputs that affect the audio (text, voice, rate, pitch, volume, ...)
+     * @returns {string} Hex digest
+     */
+    key: (parts) => {
+      const normalized = Object.keys(parts).sort()
+        .filter(name => parts[name] !== undefined && parts[name] !== null)
+        .map(name => [name, parts[name]]);
+      return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+    },
+
+    /**
+     * Look up a cached file. A hit pins the entry so a concurrent put() cannot
+     * evict it while the caller reads it; the caller must release() it afterwards
+     * @param {string} key - Cache key
+     * @returns {Promise<string|null>} Cached file path, or null on miss
+     */
+    get: async (key) => {
+      await load();
+
+      const entry = entries.get(key);
+      if (!entry) {
+        counters.misses++;
+        return null;
+      }
+
+      const filePath = entryPath(key);
+      try {
+        // Touch the file so LRU order survives restarts
+        const now = new Date();
+        await fs.utimes(filePath, now, now);
+      } catch (err) {
+        // Removed behind our back
+        entries.delete(key);
+        totalBytes -= entry.size;
+        counters.misses++;
+        return null;
+      }
+
+      entry.lastUsed = Date.now();
+      counters.hits++;
+      pins.set(key, (pins.get(key) || 0) + 1);
+      return filePath;
+    },
+
+    /**
+     * Unpin an entry returned by get(), evicting anything that was kept over the cap
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    release: async (key) => {
+      const count = pins.get(key) || 0;
+      if (count > 1) {
+        pins.set(key, count - 1);
+        return;
+      }
+      pins.delete(key);
+      await evict();
+    },
+
+    /**
+     * Look up a companion file of a cached entry (call after a get() hit)
+     * @param {string} key - Cache key
+     * @param {string} fileExtension - Companion extension, e.g. '.json'
+     * @returns {Promise<string|null>} Companion file path, or null if the entry has none
+     */
+    companion: async (key, fileExtension) => {
+      await load();
+
+      if (!entries.has(key) || !companions.includes(fileExtension)) {
+        return null;
+      }
+
+      const filePath = entryPath(key, fileExtension);
+      try {
+        await fs.access(filePath);
+        return filePath;
+      } catch (err) {
+        return null;
+      }
+    },
+
+    /**
+     * Store a synthesized file in the cache
+     * @param {string} key - Cache key
+     * @param {string|Buffer} source - File to copy into the cache, or its contents
+     * @param {object} companionContents - Companion contents by extension, e.g. { '.json': buffer };
+     *   companions left out are removed so a replaced entry never keeps stale ones
+     * @returns {Promise<void>}
+     */
+    put: async (key, source, companionContents = {}) => {
+      await load();
+
+      const filePath = entryPath(key);
+      if (Buffer.isBuffer(source)) {
+        await fs.writeFile(filePath, source);
+      } else {
+        await fs.copyFile(source, filePath);
+      }
+
+      for (const fileExtension of companions) {
+        if (companionContents[fileExtension] !== undefined) {
+          await fs.writeFile(entryPath(key, fileExtension), companionContents[fileExtension]);
+        } else {
+          await removeFile(entryPath(key, fileExtension));
+        }
+      }
+
+      const size = (await fs.stat(filePath)).size + await companionBytes(key);
+
+      const previous = entries.get(key);
+      if (previous) {
+        totalBytes -= previous.size;
+      }
+
+      entries.set(key, { size, lastUsed: Date.now() });
+      totalBytes += size;
+
+      await evict();
+    },
+
+    /**
+     * Delete every cached file (entries pinned by a get() in progress are kept)
+     * @returns {Promise<{removed: number, bytes: number}>} What was removed
+     */
+    clear: async () => {
+      await load();
+
+      let removed = 0;
+      let bytes = 0;
+
+      for (const [key, entry] of [...entries.entries()]) {
+        if (pins.has(key)) continue;
+
+        entries.delete(key);
+        totalBytes -= entry.size;
+        removed++;
+        bytes += entry.size;
+        await removeEntryFiles(key);
+      }
+
+      return { removed, bytes };
+    },
+
+    /**
+     * Get cache statistics
+     * @returns {object} Entry count, size and hit/miss counters
+     */
+    getStats: () => {
+      const lookups = counters.hits + counters.misses;
+      return {
+        entries: entries.size,
+        bytes: totalBytes,
+        maxBytes,
+        ...counters,
+        hitRatio: lookups > 0 ? Math.round((counters.hits / lookups) * 1000) / 1000 : 0
+      };
+    }
+  };
+}
+
+module.exports = {
+  createSynthesisCache
+};
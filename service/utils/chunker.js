@@ -0,0 +1,98 @@
+// chunker.js - Split long text into synthesis-sized chunks
+// Breaks at paragraph, then sentence, then word boundaries
+
+// Sentence: leading punctuation (e.g. "...well"), a run of text up to terminal
+// punctuation plus any closing quotes/brackets; the second branch keeps trailing
+// punctuation that follows no text, so no characters are dropped
+const SENTENCE_PATTERN = /[.!?]*[^.!?]+(?:[.!?]+["')\]]*|$)\s*|[.!?]+["')\]]*\s*$/g;
+
+/**
+ * Split a string that is too long for one chunk at word boundaries
+ * @param {string} text - Text to split
+ * @param {number} maxChars - Maximum characters per piece
+ * @returns {string[]} Pieces no longer than maxChars
+ */
+function splitWords(text, maxChars) {
+  const pieces = [];
+  let current = '';
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    // A single word longer than the limit is hard-split
+    if (word.length > maxChars) {
+      if (current) pieces.push(current);
+      for (let i = 0; i < word.length; i += maxChars) {
+        pieces.push(word.slice(i, i + maxChars));
+      }
+      current = '';
+      continue;
+    }
+
+    const candidate = current ? `${current} ${word}` : word;
+    if (candidate.length > maxChars) {
+      pieces.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  }
+
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Split text into chunks of at most maxChars, preferring natural boundaries
+ * @param {string} text - Text to split
+ * @param {number} maxChars - Maximum characters per chunk
+ * @returns {string[]} Chunks in reading order
+ */
+function splitText(text, maxChars = 1500) {
+  const chunks = [];
+  let current = '';
+
+  /**
+   * Append a unit (sentence or paragraph) to the chunk being built
+   * @param {string} unit - Text unit
+   * @param {string} separator - Joiner used when the chunk is not empty
+   */
+  function append(unit, separator) {
+    const candidate = current ? `${current}${separator}${unit}` : unit;
+    if (candidate.length <= maxChars) {
+      current = candidate;
+      return;
+    }
+
+    if (current) chunks.push(current);
+    current = '';
+
+    if (unit.length <= maxChars) {
+      current = unit;
+    } else {
+      const pieces = splitWords(unit, maxChars);
+      current = pieces.pop();
+      chunks.push(...pieces);
+    }
+  }
+
+  const paragraphs = text.split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+  for (const paragraph of paragraphs) {
+    if (paragraph.length <= maxChars) {
+      append(paragraph, '\n\n');
+      continue;
+    }
+
+    // Paragraph too long on its own: pack it sentence by sentence
+    const sentences = paragraph.match(SENTENCE_PATTERN) || [paragraph];
+    sentences.map(s => s.trim()).filter(Boolean).forEach((sentence, index) => {
+      append(sentence, index === 0 ? '\n\n' : ' ');
+    });
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+module.exports = {
+  splitText
+};
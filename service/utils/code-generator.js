@@ -11,7 +11,7 @@ const { callDockerAI } = require('./docker-ai');
  */
 async function generateCode(expectation, scriptType, options = {}) {
   const {
-    model = 'ai/phi4:latest',
+    model,
     maxTokens = 1000
   } = options;
 
@@ -52,7 +52,7 @@ Requirements:
 Generated ${language} code:`;
 
   try {
-    console.log(`[Code Gen] Calling Docker AI (timeout: 60s)...`);
+    console.log('[Code Gen] Calling Docker AI...');
     const startTime = Date.now();
 
     const code = await callDockerAI(prompt, {
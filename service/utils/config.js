@@ -0,0 +1,396 @@
+// config.js - Centralized configuration loading
+// Merges defaults, an optional JSON/YAML file (CONFIG_FILE) and environment
+// variables, then validates the result before the service starts
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validate, formatErrors } = require('./schema');
+const { SCOPES } = require('./auth');
+
+// Host directory for audio and script output: C:\temp on the Windows hosts the
+// services were written for, the platform temp dir everywhere else
+const DEFAULT_TEMP_DIR = process.platform === 'win32' ? 'C:\\temp' : os.tmpdir();
+
+const ARTIFACT_POLICY = {
+  type: 'object',
+  properties: {
+    maxAgeMs: { type: 'integer', minimum: 0 },
+    maxBytes: { type: 'integer', minimum: 0 },
+    maxFiles: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+const RATE_LIMIT = {
+  type: 'object',
+  properties: {
+    burst: { type: 'integer', minimum: 1 },
+    perMinute: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+// Settings schema. `env` names the overriding environment variable and
+// `secret` values are redacted by GET /config.
+const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    port: { type: 'integer', minimum: 1, maximum: 65535, env: 'PORT' },
+    host: { type: 'string', minLength: 1, env: 'HOST', default: '0.0.0.0' },
+    // Include stack traces in error responses
+    debug: { type: 'boolean', env: 'SERVICE_DEBUG', default: false },
+    maxBodyBytes: { type: 'integer', minimum: 1024, maximum: 100 * 1024 * 1024, env: 'MAX_BODY_BYTES', default: 1024 * 1024 },
+    tempDir: { type: 'string', minLength: 1, env: 'TEMP_DIR', default: DEFAULT_TEMP_DIR },
+    containerName: { type: 'string', pattern: '^[A-Za-z0-9][\\w.-]*$', env: 'EDGE_TTS_CONTAINER', default: 'edge-tts' },
+    defaultVoice: { type: 'string', minLength: 1, env: 'EDGE_TTS_VOICE', default: 'en-US-AriaNeural' },
+    audioPlayer: { type: 'string', minLength: 1, env: 'AUDIO_PLAYER', default: 'auto' },
+    ffmpegPath: { type: 'string', minLength: 1, env: 'FFMPEG_PATH', default: 'ffmpeg' },
+    mcpTimeoutMs: { type: 'integer', minimum: 1000, maximum: 600000, env: 'MCP_TIMEOUT_MS', default: 10000 },
+    cacheMaxBytes: { type: 'integer', minimum: 0, env: 'CACHE_MAX_BYTES', default: 100 * 1024 * 1024 },
+    chunkSize: { type: 'integer', minimum: 100, maximum: 10000, env: 'CHUNK_SIZE', default: 1500 },
+    synthesisConcurrency: { type: 'integer', minimum: 1, maximum: 16, env: 'SYNTHESIS_CONCURRENCY', default: 3 },
+    voiceCacheTtlMs: { type: 'integer', minimum: 0, env: 'VOICE_CACHE_TTL_MS', default: 60 * 60 * 1000 },
+    voiceFallbackChain: {
+      type: 'array',
+      items: { type: 'string', enum: ['locale', 'default'] },
+      env: 'VOICE_FALLBACK_CHAIN',
+      default: ['locale', 'default']
+    },
+    localeDefaultVoices: {
+      type: 'object',
+      additionalProperties: { type: 'string' },
+      env: 'LOCALE_DEFAULT_VOICES',
+      default: {}
+    },
+    retentionSweepIntervalMs: { type: 'integer', minimum: 0, env: 'RETENTION_SWEEP_INTERVAL_MS', default: 10 * 60 * 1000 },
+    retentionPolicies: {
+      type: 'object',
+      properties: {
+        audio: ARTIFACT_POLICY,
+        stdout: ARTIFACT_POLICY,
+        stderr: ARTIFACT_POLICY,
+        code: ARTIFACT_POLICY,
+        script: ARTIFACT_POLICY
+      },
+      additionalProperties: false,
+      env: 'RETENTION_POLICIES',
+      default: {}
+    },
+    ai: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        apiUrl: { type: 'string', pattern: '^https?://', env: 'AI_API_URL', default: 'http://localhost:12434/engines/v1/chat/completions' },
+        model: { type: 'string', minLength: 1, env: 'AI_MODEL', default: 'ai/phi4:latest' },
+        timeoutMs: { type: 'integer', minimum: 1000, maximum: 600000, env: 'AI_TIMEOUT_MS', default: 60000 },
+        apiKey: { type: 'string', env: 'AI_API_KEY', secret: true }
+      }
+    },
+    // Token buckets per client and route class; perMinute 0 disables a class
+    rateLimits: {
+      type: 'object',
+      properties: {
+        speech: RATE_LIMIT,
+        ai: RATE_LIMIT,
+        execute: RATE_LIMIT
+      },
+      additionalProperties: false,
+      env: 'RATE_LIMITS',
+      default: {}
+    },
+    auth: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        // No keys: authentication disabled. API_KEYS takes a JSON array.
+        keys: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['label', 'key', 'scopes'],
+            additionalProperties: false,
+            properties: {
+              label: { type: 'string', minLength: 1 },
+              key: { type: 'string', minLength: 16, secret: true },
+              scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: [...SCOPES, '*'] } }
+            }
+          },
+          env: 'API_KEYS',
+          default: []
+        }
+      }
+    }
+  }
+};
+
+// Per-service defaults that differ from the schema defaults
+const SERVICE_DEFAULTS = {
+  'edge-tts': { port: 3000 },
+  docker: { port: 3007 }
+};
+
+/**
+ * Walk the schema leaves (settings that have an env variable or a default)
+ * @param {object} schema - Object schema
+ * @param {string[]} prefix - Key path so far
+ * @returns {Array<{keys: string[], schema: object}>} Settings
+ */
+function settingsOf(schema, prefix = []) {
+  const settings = [];
+  for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+    const keys = [...prefix, key];
+    if (propSchema.type === 'object' && !propSchema.env) {
+      settings.push(...settingsOf(propSchema, keys));
+    } else {
+      settings.push({ keys, schema: propSchema });
+    }
+  }
+  return settings;
+}
+
+/**
+ * Set a nested value, creating intermediate objects
+ * @param {object} target - Object to modify
+ * @param {string[]} keys - Key path
+ * @param {any} value - Value to set
+ */
+function setPath(target, keys, value) {
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (typeof node[key] !== 'object' || node[key] === null) {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Deep-merge plain objects (arrays and scalars replace)
+ * @param {object} base - Base values
+ * @param {object} override - Overriding values
+ * @returns {object} Merged copy
+ */
+function merge(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    result[key] = isObject && result[key] && typeof result[key] === 'object' ? merge(result[key], value) : value;
+  }
+  return result;
+}
+
+/**
+ * Convert an environment string to the type a setting expects
+ * @param {string} raw - Environment value
+ * @param {object} schema - Setting schema
+ * @returns {any} Coerced value (left as a string when it cannot be converted, so validation reports it)
+ */
+function coerce(raw, schema) {
+  const value = raw.trim();
+
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(value) ? Number(value) : value;
+    case 'number':
+      return value !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+      if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+      return value;
+    case 'array':
+      if (value.startsWith('[')) {
+        try {
+          return JSON.parse(value);
+        } catch (err) {
+          return value;
+        }
+      }
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    case 'object':
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Read a JSON or YAML config file
+ * @param {string} filePath - File path (.yaml/.yml parsed as YAML, anything else as JSON)
+ * @returns {object} File settings
+ */
+function readConfigFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf-8');
+  } catch (err) {
+    throw configError(`Cannot read config file ${filePath}: ${err.message}`, []);
+  }
+
+  let parsed;
+  try {
+    if (/\.ya?ml$/i.test(filePath)) {
+      // loadAll accepts a file with no document (empty, or every line commented out)
+      const documents = yaml.loadAll(text);
+      if (documents.length > 1) {
+        throw new Error(`expected one document, found ${documents.length}`);
+      }
+      parsed = documents[0];
+    } else {
+      parsed = JSON.parse(text);
+    }
+  } catch (err) {
+    throw configError(`Cannot parse config file ${filePath}: ${err.message}`, []);
+  }
+
+  if (parsed === undefined || parsed === null) {
+    return {};
+  }
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw configError(`Config file ${filePath} must contain an object`, []);
+  }
+  return parsed;
+}
+
+/**
+ * Build a configuration error
+ * @param {string} message - Error message
+ * @param {Array<{field: string, message: string}>} details - Field errors
+ * @returns {Error} Error with code INVALID_CONFIG
+ */
+function configError(message, details) {
+  const error = new Error(message);
+  error.code = 'INVALID_CONFIG';
+  error.details = details;
+  return error;
+}
+
+/**
+ * Load and validate the configuration for a service
+ * @param {string} service - Service name: edge-tts | docker
+ * @param {object} options - Loader options (env, file); default to process.env and CONFIG_FILE
+ * @returns {{values: object, sources: object, file: string|null}} Effective settings and where each came from
+ */
+function loadConfig(service, options = {}) {
+  const env = options.env || process.env;
+  const file = options.file || env.CONFIG_FILE || null;
+  const settings = settingsOf(CONFIG_SCHEMA);
+
+  let values = {};
+  const sources = {};
+
+  for (const setting of settings) {
+    if (setting.schema.default !== undefined) {
+      setPath(values, setting.keys, JSON.parse(JSON.stringify(setting.schema.default)));
+      sources[setting.keys.join('.')] = 'default';
+    }
+  }
+
+  for (const [key, value] of Object.entries(SERVICE_DEFAULTS[service] || {})) {
+    values[key] = value;
+    sources[key] = 'default';
+  }
+
+  if (file) {
+    const fileValues = readConfigFile(path.resolve(file));
+    values = merge(values, fileValues);
+    for (const setting of settings) {
+      const fileValue = setting.keys.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), fileValues);
+      if (fileValue !== undefined) {
+        sources[setting.keys.join('.')] = 'file';
+      }
+    }
+  }
+
+  for (const setting of settings) {
+    const raw = setting.schema.env && env[setting.schema.env];
+    if (raw !== undefined && raw !== '') {
+      setPath(values, setting.keys, coerce(raw, setting.schema));
+      sources[setting.keys.join('.')] = `env:${setting.schema.env}`;
+    }
+  }
+
+  const errors = validate(CONFIG_SCHEMA, values).map((error) => {
+    // Nested fields (retentionPolicies.audio.maxFiles) take the source of the setting holding them
+    let key = error.field.replace(/\[\d+\].*$/, '');
+    while (key.includes('.') && !sources[key]) {
+      key = key.slice(0, key.lastIndexOf('.'));
+    }
+    const source = sources[key];
+    return source && source !== 'default' ? { ...error, source } : error;
+  });
+
+  if (errors.length > 0) {
+    throw configError(`Invalid configuration: ${formatErrors(errors)}`, errors);
+  }
+
+  return { values, sources, file: file ? path.resolve(file) : null };
+}
+
+/**
+ * Copy settings with secret values masked
+ * @param {object} values - Settings
+ * @param {object} schema - Schema for the settings
+ * @returns {object} Redacted copy
+ */
+function redactConfig(values, schema = CONFIG_SCHEMA) {
+  const redacted = {};
+  for (const [key, value] of Object.entries(values)) {
+    const propSchema = (schema.properties || {})[key] || {};
+    if (propSchema.secret) {
+      redacted[key] = value ? '***' : value;
+    } else if (Array.isArray(value) && propSchema.items && propSchema.items.properties) {
+      redacted[key] = value.map(item => (item && typeof item === 'object' ? redactConfig(item, propSchema.items) : item));
+    } else if (propSchema.type === 'object' && propSchema.properties && value && typeof value === 'object') {
+      redacted[key] = redactConfig(value, propSchema);
+    } else {
+      redacted[key] = value;
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Describe the effective configuration for GET /config
+ * @param {{values: object, sources: object, file: string|null}} loaded - Result of loadConfig
+ * @returns {object} Redacted settings with their sources
+ */
+function describeConfig(loaded) {
+  return {
+    file: loaded.file,
+    config: redactConfig(loaded.values),
+    sources: loaded.sources
+  };
+}
+
+/**
+ * Print a configuration error at startup, one line per invalid setting
+ * @param {Error} error - Error thrown by loadConfig
+ */
+function reportConfigError(error) {
+  if (!error.details || error.details.length === 0) {
+    console.error(`[✗] ${error.message}`);
+    return;
+  }
+
+  console.error('[✗] Invalid configuration:');
+  for (const detail of error.details) {
+    console.error(`    • ${detail.field} ${detail.message}${detail.source ? ` (from ${detail.source})` : ''}`);
+  }
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  DEFAULT_TEMP_DIR,
+  loadConfig,
+  reportConfigError,
+  redactConfig,
+  describeConfig
+};
@@ -2,6 +2,7 @@
 
 const { promisify } = require('util');
 const { exec } = require('child_process');
+const { metrics } = require('./metrics');
 
 const execAsync = promisify(exec);
 
@@ -65,7 +66,22 @@ async function ensureContainer(containerName, imageName = 'edge-tts-mcp') {
   }
 }
 
+/**
+ * Report whether the container is running on GET /metrics (checked at scrape time)
+ * @param {string} containerName - Name of the container
+ */
+function registerContainerMetrics(containerName) {
+  metrics.gauge('edge_tts_container_up', 'Whether the Edge TTS container is running (1) or not (0)', {
+    labelNames: ['container'],
+    collect: async () => {
+      const status = await checkContainer(containerName);
+      return [{ labels: { container: containerName }, value: status.running ? 1 : 0 }];
+    }
+  });
+}
+
 module.exports = {
   checkContainer,
-  ensureContainer
+  ensureContainer,
+  registerContainerMetrics
 };
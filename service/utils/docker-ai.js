@@ -3,6 +3,7 @@
 const axios = require('axios');
 const http = require('http');
 const https = require('https');
+const { metrics } = require('./metrics');
 
 // Create a single axios instance with persistent connections
 const axiosInstance = axios.create({
@@ -10,21 +11,47 @@ const axiosInstance = axios.create({
   httpsAgent: new https.Agent({ keepAlive: true, maxSockets: 5 })
 });
 
+// Service-wide defaults, overridden from the loaded config (see configureDockerAI)
+const aiDefaults = {
+  model: 'ai/phi4:latest',
+  apiUrl: 'http://localhost:12434/engines/v1/chat/completions',
+  timeout: 60000,
+  apiKey: undefined
+};
+
+const aiDuration = metrics.histogram('ai_request_duration_seconds', 'Docker AI chat completion latency', {
+  labelNames: ['model', 'outcome']
+});
+
+/**
+ * Set the default model, endpoint, timeout and API key for AI requests
+ * @param {object} settings - AI settings (apiUrl, model, timeoutMs, apiKey)
+ */
+function configureDockerAI(settings = {}) {
+  if (settings.apiUrl) aiDefaults.apiUrl = settings.apiUrl;
+  if (settings.model) aiDefaults.model = settings.model;
+  if (settings.timeoutMs) aiDefaults.timeout = settings.timeoutMs;
+  aiDefaults.apiKey = settings.apiKey;
+}
+
 /**
- * Call Docker AI (Model Runner) API
+ * Call Docker AI (Model Runner) API. The endpoint, timeout and API key always
+ * come from the configuration: request options reach this function, and the
+ * key must never be sent to a URL a client picked.
  * @param {string} prompt - Prompt to send to the AI
- * @param {object} options - AI request options
+ * @param {object} options - AI request options (model, maxTokens, temperature)
  * @returns {Promise<string>} AI response text
  */
 async function callDockerAI(prompt, options = {}) {
   const {
-    model = 'ai/phi4:latest',
-    apiUrl = 'http://localhost:12434/engines/v1/chat/completions',
+    model = aiDefaults.model,
     maxTokens = 500,
-    temperature = 0.7,
-    timeout = 60000 // Default 60 second timeout
+    temperature = 0.7
   } = options;
+  const { apiUrl, timeout } = aiDefaults;
 
+  // Label by the configured model only: request options must not mint new series
+  const end = aiDuration.startTimer({ model: model === aiDefaults.model ? model : 'other' });
   try {
     console.log(`[Docker AI] Sending request to ${apiUrl} (model: ${model}, timeout: ${timeout}ms)`);
     const response = await axiosInstance.post(apiUrl, {
@@ -38,7 +65,8 @@ async function callDockerAI(prompt, options = {}) {
       max_tokens: maxTokens,
       temperature: temperature
     }, {
-      timeout: timeout
+      timeout: timeout,
+      headers: aiDefaults.apiKey ? { Authorization: `Bearer ${aiDefaults.apiKey}` } : undefined
     });
 
     console.log('[Docker AI] Response received');
@@ -50,11 +78,13 @@ async function callDockerAI(prompt, options = {}) {
       const choice = response.data.choices[0];
       // Try content first, fall back to reasoning_content if content is empty
       const text = choice.message.content || choice.message.reasoning_content || '';
+      end({ outcome: 'success' });
       return text.trim();
     }
 
     throw new Error('Invalid response from Docker AI');
   } catch (error) {
+    end({ outcome: 'error' });
     console.error('[Docker AI] Error:', error.message);
     if (error.code === 'ECONNREFUSED') {
       throw new Error('Docker AI not available - ensure Docker Desktop Model Runner is running and host TCP support is enabled');
@@ -81,7 +111,7 @@ async function summarizeText(text, options = {}) {
   const prompt = `Please provide a ${style} summary of the following text in no more than ${maxLength} words:\n\n${text}`;
 
   return await callDockerAI(prompt, {
-    ...options,
+    model: options.model,
     maxTokens: maxLength * 2 // Allow some buffer for tokens
   });
 }
@@ -101,12 +131,13 @@ async function interpretText(text, options = {}) {
   const prompt = `Please provide a ${style} interpretation or analysis of the following text. Explain its meaning, significance, themes, or key points in no more than ${maxLength} words:\n\n${text}`;
 
   return await callDockerAI(prompt, {
-    ...options,
+    model: options.model,
     maxTokens: maxLength * 2
   });
 }
 
 module.exports = {
+  configureDockerAI,
   callDockerAI,
   summarizeText,
   interpretText
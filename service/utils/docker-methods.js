@@ -1,5 +1,9 @@
 // docker-methods.js - Service methods for docker-service
 const { executeScripts } = require('./script-executor');
+const { createRetentionManager, createArtifactMethods } = require('./retention');
+const { describeConfig } = require('./config');
+const { registerContainerMetrics } = require('./container');
+const { metrics } = require('./metrics');
 
 /**
  * Create service methods for docker-service
@@ -8,6 +12,29 @@ const { executeScripts } = require('./script-executor');
  * @returns {object} Service methods
  */
 function createDockerMethods(config, stats) {
+  // Script output, generated code and speech audio all land in tempDir
+  const retention = createRetentionManager({
+    dir: config.tempDir,
+    policies: config.retentionPolicies,
+    sweepIntervalMs: config.retentionSweepIntervalMs
+  });
+  retention.start();
+
+  // Gauges and counters read at scrape time (GET /metrics); speak scripts use the container
+  registerContainerMetrics(config.containerName);
+  metrics.counter('scripts_executed_total', 'Scripts run to completion (any exit code)', {
+    collect: () => stats.getStats().totalExecuted
+  });
+  metrics.counter('service_errors_total', 'Failed requests and background errors', {
+    collect: () => stats.getStats().errors
+  });
+
+  const speechDefaults = {
+    containerName: config.containerName,
+    voice: config.defaultVoice,
+    audioPlayer: config.audioPlayer
+  };
+
   return {
     /**
      * Execute multiple scripts in sequence
@@ -15,7 +42,26 @@ function createDockerMethods(config, stats) {
      * @returns {array} Array of execution results
      */
     executeScripts: async (scripts) => {
-      return await executeScripts(scripts, config.tempDir, stats);
+      return await executeScripts(scripts, config.tempDir, stats, speechDefaults);
+    },
+
+    // listArtifacts, deleteArtifact, sweepArtifacts
+    ...createArtifactMethods(retention),
+
+    /**
+     * Get the effective configuration with secrets redacted
+     * @returns {object} Settings, their sources and the config file used
+     */
+    getConfig: () => {
+      return { success: true, ...describeConfig(config.settings) };
+    },
+
+    /**
+     * Get retention statistics
+     * @returns {object} Sweep counters and policies
+     */
+    getRetentionStats: () => {
+      return retention.getStats();
     }
   };
 }
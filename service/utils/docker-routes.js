@@ -1,35 +1,44 @@
 // docker-routes.js - Express route handlers for docker-service
 const fs = require('fs').promises;
+const { validate, formatErrors } = require('./schema');
+const { routeMiddleware, errorHandler } = require('./validation');
+const { DOCKER_ROUTES } = require('./request-schemas');
+const { createCallGuard } = require('./jsonrpc');
+const { createMcpServer, setupMcpHttp } = require('./mcp-server');
+const { createDockerTools } = require('./mcp-tools');
+const { buildOpenApiDocument, listEndpoints, publicEndpoints, setupApiDocs } = require('./openapi');
+const { createHttpMetrics, registerProcessMetrics, setupMetricsEndpoint } = require('./metrics');
+const { setupArtifactRoutes } = require('./retention');
 
 /**
  * Setup Express routes for docker-service
  * @param {object} app - Express app instance
  * @param {object} methods - Service methods
  * @param {object} stats - Statistics tracker
+ * @param {object} auth - Authentication (from createAuth)
+ * @param {object} limiter - Rate limiter (from createRateLimiter)
  */
-function setupDockerRoutes(app, methods, stats) {
+function setupDockerRoutes(app, methods, stats, auth, limiter) {
+  // Count and time every request, including ones rejected by auth
+  app.use(createHttpMetrics());
+  registerProcessMetrics();
+
+  app.use(auth.authenticate);
+
+  // Scope, rate limit and validation of each route come from its registry entry
+  const guarded = key => routeMiddleware(DOCKER_ROUTES[key], auth, limiter);
+
+  // MCP server (streamable HTTP transport) publishing execute_scripts
+  const guard = createCallGuard(auth, limiter, stats);
+  const mcpServer = createMcpServer({ name: 'docker-service', version: '2.0.0', tools: createDockerTools(methods) });
+  setupMcpHttp(app, mcpServer, auth, (req, tool) => guard(req, tool.scope, tool.routeClass));
+
   // POST endpoint for executing scripts
-  app.post('/execute', async (req, res) => {
+  app.post('/execute', guarded('POST /execute'), async (req, res) => {
     stats.incrementRequests();
 
     const { scripts } = req.body;
 
-    if (!scripts || !Array.isArray(scripts)) {
-      return res.status(400).json({
-        error: 'scripts array required',
-        example: {
-          scripts: [
-            { type: 'bash', path: '/path/to/script.sh', params: ['arg1', 'arg2'] },
-            { type: 'pws', content: 'Write-Host "Hello World"' }
-          ]
-        }
-      });
-    }
-
-    if (scripts.length === 0) {
-      return res.status(400).json({ error: 'scripts array cannot be empty' });
-    }
-
     try {
       console.log(`[Execute] Processing ${scripts.length} script(s)...`);
       const results = await methods.executeScripts(scripts);
@@ -47,22 +56,20 @@ function setupDockerRoutes(app, methods, stats) {
   });
 
   // GET endpoint for executing from file (Copilot integration)
-  app.get('/execute-from-file', async (req, res) => {
+  app.get('/execute-from-file', guarded('GET /execute-from-file'), async (req, res) => {
     stats.incrementRequests();
 
     const { filePath } = req.query;
 
-    if (!filePath) {
-      return res.status(400).json({ error: 'filePath query parameter required' });
-    }
-
     try {
       // Read JSON from file
       const fileContent = await fs.readFile(filePath, 'utf-8');
       const data = JSON.parse(fileContent);
 
-      if (!data.scripts || !Array.isArray(data.scripts)) {
-        return res.status(400).json({ error: 'File must contain a "scripts" array' });
+      // Same shape as the POST /execute body
+      const errors = validate(DOCKER_ROUTES['POST /execute'].body, data);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: `Invalid scripts file: ${formatErrors(errors)}`, filePath, details: errors });
       }
 
       console.log(`[Execute] Processing ${data.scripts.length} script(s) from ${filePath}...`);
@@ -98,6 +105,13 @@ function setupDockerRoutes(app, methods, stats) {
     }
   });
 
+  setupArtifactRoutes(app, methods, stats, guarded);
+
+  // Effective configuration (secrets redacted)
+  app.get('/config', guarded('GET /config'), (req, res) => {
+    res.json(methods.getConfig());
+  });
+
   // Health check endpoint
   app.get('/health', (req, res) => {
     const currentStats = stats.getStats();
@@ -109,34 +123,55 @@ function setupDockerRoutes(app, methods, stats) {
   });
 
   // Stats endpoint
-  app.get('/stats', (req, res) => {
+  app.get('/stats', guarded('GET /stats'), (req, res) => {
     const currentStats = stats.getStats();
     res.json({
       ...currentStats,
-      uptime: stats.getUptime()
+      uptime: stats.getUptime(),
+      artifacts: methods.getRetentionStats(),
+      rateLimits: limiter.getStats()
     });
   });
 
+  // Prometheus metrics: requests per route, script and AI latency histograms, container gauge
+  setupMetricsEndpoint(app, guarded('GET /metrics'));
+
+  // OpenAPI document and interactive docs, generated from the route registry
+  const openApi = buildOpenApiDocument({
+    title: 'Docker Script Execution Service',
+    version: '2.0.0',
+    description: 'General-purpose script execution service for bash and PowerShell',
+    routes: DOCKER_ROUTES
+  });
+  setupApiDocs(app, openApi);
+
   // Root endpoint
   app.get('/', (req, res) => {
     const currentStats = stats.getStats();
     res.json({
-      service: 'Docker Script Execution Service',
-      version: '2.0.0',
-      description: 'General-purpose script execution service for bash and PowerShell',
-      endpoints: {
-        'POST /execute': 'Execute scripts { scripts: [{type, path?, content?, params?}] }',
-        'GET /execute-from-file?filePath=<path>': 'Execute scripts from JSON file',
-        'GET /health': 'Health check and statistics',
-        'GET /stats': 'Service statistics',
-        'GET /': 'This documentation'
+      service: openApi.info.title,
+      version: openApi.info.version,
+      description: openApi.info.description,
+      documentation: { openapi: '/openapi.json', interactive: '/docs' },
+      endpoints: listEndpoints(DOCKER_ROUTES),
+      authentication: {
+        enabled: auth.enabled,
+        usage: 'Authorization: Bearer <key> or X-API-Key: <key>',
+        scopes: {
+          read: 'Artifacts, stats and metrics',
+          execute: 'Run scripts (POST /execute, GET /execute-from-file)',
+          admin: 'Delete or sweep artifacts and view the configuration (includes read)',
+          '*': 'Everything'
+        },
+        public: publicEndpoints(DOCKER_ROUTES)
       },
+      rateLimits: 'Token buckets per API key (or IP) for execute requests; 429 with Retry-After when exhausted',
       scriptTypes: {
         bash: 'Execute bash scripts (.sh files or inline content)',
         pws: 'Execute PowerShell scripts (.ps1 files or inline content)',
         powershell: 'Alias for pws',
         code: 'AI-generated code from natural language (requires expectation or content field, optional targetType: bash|pws)',
-        speak: 'Speak text verbatim using Edge TTS (requires text or content field)',
+        speak: 'Speak text verbatim using Edge TTS (requires text or content field, optional options: {voice, rate, pitch, volume})',
         'speak-interpret': 'AI interpretation then speech (requires text or content field)',
         'speak-summary': 'AI summarization then speech (requires text or content field)'
       },
@@ -171,7 +206,8 @@ function setupDockerRoutes(app, methods, stats) {
         },
         speak_verbatim: {
           type: 'speak',
-          text: 'Hello, this is a test of text to speech'
+          text: 'Hello, this is a test of text to speech',
+          options: { voice: 'en-US-AriaNeural', rate: '-10%', pitch: '+0Hz', volume: '+0%' }
         },
         speak_interpret: {
           type: 'speak-interpret',
@@ -190,6 +226,9 @@ function setupDockerRoutes(app, methods, stats) {
       }
     });
   });
+
+  // JSON errors for malformed bodies and anything thrown outside a handler (must be last)
+  app.use(errorHandler);
 }
 
 module.exports = {
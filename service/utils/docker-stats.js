@@ -10,7 +10,20 @@ function createDockerStats() {
     totalRequests: 0,
     totalExecuted: 0,
     lastExecuted: null,
-    errors: 0
+    errors: 0,
+    clients: {}
+  };
+
+  /**
+   * Get (creating if needed) the counters for an API key label
+   * @param {string} label - Key label
+   * @returns {object} Client counters
+   */
+  const client = (label) => {
+    if (!stats.clients[label]) {
+      stats.clients[label] = { requests: 0, denied: 0, lastSeen: null };
+    }
+    return stats.clients[label];
   };
 
   return {
@@ -35,6 +48,24 @@ function createDockerStats() {
       stats.errors++;
     },
 
+    /**
+     * Record a request made with an API key
+     * @param {string} label - Key label
+     */
+    recordClient: (label) => {
+      const counters = client(label);
+      counters.requests++;
+      counters.lastSeen = new Date().toISOString();
+    },
+
+    /**
+     * Record a request rejected for a missing scope
+     * @param {string} label - Key label
+     */
+    recordDenied: (label) => {
+      client(label).denied++;
+    },
+
     /**
      * Update last executed timestamp
      */
@@ -2,11 +2,17 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const { promisify } = require('util');
 const { exec } = require('child_process');
+const { metrics } = require('./metrics');
 
 const execAsync = promisify(exec);
 
+const copyDuration = metrics.histogram('docker_cp_duration_seconds', 'Time to copy a file out of a container', {
+  labelNames: ['outcome']
+});
+
 /**
  * Copy file from Docker container to host
  * @param {string} containerName - Name of the container
@@ -15,7 +21,32 @@ const execAsync = promisify(exec);
  * @returns {Promise<void>}
  */
 async function copyFromContainer(containerName, containerPath, hostPath) {
-  await execAsync(`docker cp ${containerName}:${containerPath} "${hostPath}"`);
+  await copyDuration.time({}, () => execAsync(`docker cp ${containerName}:${containerPath} "${hostPath}"`));
+}
+
+/**
+ * Remove a file from a Docker container (best effort)
+ * @param {string} containerName - Name of the container
+ * @param {string} containerPath - Path inside container
+ * @returns {Promise<void>}
+ */
+async function removeFromContainer(containerName, containerPath) {
+  try {
+    await execAsync(`docker exec ${containerName} rm -f "${containerPath}"`);
+  } catch (err) {
+    console.warn(`[Cleanup] Failed to remove ${containerPath} from ${containerName}: ${err.message}`);
+  }
+}
+
+/**
+ * Generate a unique output path inside the container, so concurrent
+ * syntheses never share a file
+ * @param {string} prefix - Filename prefix
+ * @param {string} extension - File extension (with dot)
+ * @returns {string} Container path under /tmp
+ */
+function generateContainerPath(prefix, extension) {
+  return `/tmp/${generateUniqueFilename(prefix, extension)}`;
 }
 
 /**
@@ -39,13 +70,14 @@ async function readAndOptionallyDelete(filePath, deleteAfter = false) {
 }
 
 /**
- * Generate unique filename with timestamp
+ * Generate unique filename with timestamp and a random suffix
+ * (the timestamp alone collides for requests in the same millisecond)
  * @param {string} prefix - Filename prefix
  * @param {string} extension - File extension (with dot)
  * @returns {string} Unique filename
  */
 function generateUniqueFilename(prefix, extension) {
-  return `${prefix}-${Date.now()}${extension}`;
+  return `${prefix}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}${extension}`;
 }
 
 /**
@@ -61,8 +93,23 @@ async function ensureDirectory(dirPath) {
   }
 }
 
+/**
+ * Concatenate files byte-for-byte into a destination file
+ * (MP3 frame streams from the same encoder concatenate gaplessly)
+ * @param {string[]} sourcePaths - Files to join, in order
+ * @param {string} destPath - Destination path
+ * @returns {Promise<void>}
+ */
+async function concatenateFiles(sourcePaths, destPath) {
+  const buffers = await Promise.all(sourcePaths.map(sourcePath => fs.readFile(sourcePath)));
+  await fs.writeFile(destPath, Buffer.concat(buffers));
+}
+
 module.exports = {
   copyFromContainer,
+  removeFromContainer,
+  concatenateFiles,
+  generateContainerPath,
   readAndOptionallyDelete,
   generateUniqueFilename,
   ensureDirectory
@@ -0,0 +1,247 @@
+// jsonrpc.js - JSON-RPC 2.0 over HTTP for a methods registry
+// Supports positional and named params, batches and notifications
+
+const { validateArgs } = require('./validation');
+
+// Standard codes, then server-defined codes in the -32000..-32099 range
+const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  UNAUTHORIZED: -32001,
+  FORBIDDEN: -32003,
+  NOT_FOUND: -32004,
+  RATE_LIMITED: -32029,
+  UNAVAILABLE: -32050
+};
+
+/**
+ * Build a JSON-RPC error object
+ * @param {number} code - Error code
+ * @param {string} message - Error message
+ * @param {any} data - Optional extra data
+ * @returns {{code: number, message: string, data?: any}} Error object
+ */
+function rpcError(code, message, data) {
+  return data === undefined ? { code, message } : { code, message, data };
+}
+
+/**
+ * Build a response envelope
+ * @param {string|number|null} id - Request id
+ * @param {object} outcome - { result } or { error }
+ * @returns {object} JSON-RPC response
+ */
+function response(id, outcome) {
+  return { jsonrpc: '2.0', ...outcome, id };
+}
+
+/**
+ * Check the shape of a single request object
+ * @param {any} request - Parsed request
+ * @returns {boolean} True if it is a valid JSON-RPC 2.0 request
+ */
+function isValidRequest(request) {
+  if (!request || typeof request !== 'object' || Array.isArray(request)) return false;
+  if (request.jsonrpc !== '2.0' || typeof request.method !== 'string') return false;
+  if (request.params !== undefined && (typeof request.params !== 'object' || request.params === null)) return false;
+  if (request.id !== undefined && request.id !== null && !['string', 'number'].includes(typeof request.id)) return false;
+  return true;
+}
+
+/**
+ * Turn JSON-RPC params into positional arguments
+ * @param {Array|object|undefined} params - Positional array or named object
+ * @param {object|undefined} methodSchema - Method schema ({ params: [{ name }] })
+ * @returns {{args?: Array, error?: object}} Arguments, or an invalid params error
+ */
+function toArgs(params, methodSchema) {
+  if (params === undefined) return { args: [] };
+  if (Array.isArray(params)) return { args: params };
+
+  if (!methodSchema) {
+    return { error: rpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'Named params are not supported by this method; pass an array') };
+  }
+
+  const names = methodSchema.params.map(param => param.name);
+  const unknown = Object.keys(params).filter(name => !names.includes(name));
+  if (unknown.length > 0) {
+    return {
+      error: rpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown params: ${unknown.join(', ')}`, {
+        details: unknown.map(name => ({ field: name, message: 'is not a parameter of this method' })),
+        params: names
+      })
+    };
+  }
+
+  // Trailing parameters that were not given stay undefined so defaults apply
+  const args = names.map(name => params[name]);
+  while (args.length > 0 && args[args.length - 1] === undefined) {
+    args.pop();
+  }
+  return { args };
+}
+
+/**
+ * Map a thrown error to a JSON-RPC error object
+ * @param {Error} err - Error thrown by a method
+ * @param {boolean} debug - Include the stack trace
+ * @returns {object} Error object
+ */
+function fromException(err, debug) {
+  const data = {};
+  if (err.details) data.details = err.details;
+  if (debug) data.stack = err.stack;
+  const withData = Object.keys(data).length > 0 ? data : undefined;
+
+  if (err.code === 'INVALID_ARGUMENTS') {
+    return rpcError(JSONRPC_ERRORS.INVALID_PARAMS, err.message, withData);
+  }
+  if (err.code === 'TRANSCODER_UNAVAILABLE') {
+    return rpcError(JSONRPC_ERRORS.UNAVAILABLE, err.message, withData);
+  }
+  if (err.code === 'NOT_FOUND' || err.code === 'TOOL_NOT_FOUND') {
+    return rpcError(JSONRPC_ERRORS.NOT_FOUND, err.message, withData);
+  }
+  return rpcError(JSONRPC_ERRORS.INTERNAL_ERROR, err.message, withData);
+}
+
+/**
+ * Create a per-call guard that applies auth scopes and rate limits to calls
+ * arriving inside a JSON-RPC or MCP message
+ * @param {object} auth - Authentication (from createAuth)
+ * @param {object} limiter - Rate limiter (from createRateLimiter)
+ * @param {object} stats - Statistics tracker
+ * @returns {Function} (req, scope, routeClass?) => error object or null
+ */
+function createCallGuard(auth, limiter, stats) {
+  return (req, scope, routeClass) => {
+    if (!auth.hasScope(req, scope)) {
+      if (!auth.enabled) {
+        return rpcError(JSONRPC_ERRORS.FORBIDDEN, `The "${scope}" scope is only available from localhost while no API keys are configured`, { requiredScope: scope });
+      }
+      stats.recordDenied(req.auth.label);
+      return rpcError(JSONRPC_ERRORS.FORBIDDEN, `API key "${req.auth.label}" lacks the "${scope}" scope`, { requiredScope: scope });
+    }
+
+    const outcome = routeClass ? limiter.check(req, routeClass) : { allowed: true };
+    if (!outcome.allowed) {
+      return rpcError(JSONRPC_ERRORS.RATE_LIMITED, `Rate limit exceeded for ${routeClass} requests`, {
+        routeClass,
+        retryAfter: Math.ceil(outcome.retryAfterMs / 1000)
+      });
+    }
+
+    return null;
+  };
+}
+
+/**
+ * Create an Express handler for POST /jsonrpc
+ * @param {object} options - Handler options
+ * @param {object} options.methods - Methods registry
+ * @param {object} options.schemas - Method schemas (named params and validation)
+ * @param {object} options.stats - Statistics tracker
+ * @param {Function} options.beforeCall - (req, method) => error object or null; for auth and rate limits
+ * @returns {Function} Express handler
+ */
+function createJsonRpcHandler(options) {
+  const { methods, schemas, stats, beforeCall = () => null } = options;
+
+  /**
+   * Run one request object
+   * @param {object} req - Express request
+   * @param {any} request - Parsed JSON-RPC request
+   * @returns {Promise<object|null>} Response, or null for notifications
+   */
+  async function handle(req, request) {
+    if (!isValidRequest(request)) {
+      const id = request && typeof request === 'object' && ['string', 'number'].includes(typeof request.id) ? request.id : null;
+      return response(id, { error: rpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request') });
+    }
+
+    const isNotification = request.id === undefined;
+    const { method, params } = request;
+    stats.incrementRequests();
+
+    const reply = (outcome) => (isNotification ? null : response(request.id, outcome));
+    const own = (table) => Object.prototype.hasOwnProperty.call(table, method);
+
+    if (!own(methods) || typeof methods[method] !== 'function') {
+      return reply({ error: rpcError(JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`) });
+    }
+
+    const denied = beforeCall(req, method);
+    if (denied) {
+      return reply({ error: denied });
+    }
+
+    const methodSchema = own(schemas) ? schemas[method] : undefined;
+    const { args, error } = toArgs(params, methodSchema);
+    if (error) {
+      return reply({ error });
+    }
+
+    if (methodSchema) {
+      const errors = validateArgs(methodSchema, args);
+      if (errors.length > 0) {
+        return reply({
+          error: rpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Invalid params: ${errors.map(item => `${item.field} ${item.message}`).join('; ')}`, { details: errors })
+        });
+      }
+    }
+
+    try {
+      const result = await methods[method](...args);
+      return reply({ result: result === undefined ? null : result });
+    } catch (err) {
+      const rpcErr = fromException(err, Boolean(req.app.get('debug')));
+      if (rpcErr.code === JSONRPC_ERRORS.INTERNAL_ERROR) {
+        stats.incrementErrors();
+        console.error(`[JSON-RPC] ${method} failed:`, err.message);
+      }
+      return reply({ error: rpcErr });
+    }
+  }
+
+  return async (req, res) => {
+    const body = req.body;
+
+    if (Array.isArray(body)) {
+      if (body.length === 0) {
+        return res.json(response(null, { error: rpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request: empty batch') }));
+      }
+
+      const responses = (await Promise.all(body.map(request => handle(req, request)))).filter(Boolean);
+      return responses.length > 0 ? res.json(responses) : res.status(204).end();
+    }
+
+    const result = await handle(req, body);
+    return result ? res.json(result) : res.status(204).end();
+  };
+}
+
+/**
+ * Error middleware for the JSON-RPC path: malformed JSON becomes a Parse error
+ * response instead of the generic 400
+ * @param {Error} err - Error from the body parser
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function jsonRpcParseErrorHandler(err, req, res, next) {
+  if (err.type === 'entity.parse.failed') {
+    return res.json(response(null, { error: rpcError(JSONRPC_ERRORS.PARSE_ERROR, 'Parse error') }));
+  }
+  next(err);
+}
+
+module.exports = {
+  JSONRPC_ERRORS,
+  rpcError,
+  createCallGuard,
+  createJsonRpcHandler,
+  jsonRpcParseErrorHandler
+};
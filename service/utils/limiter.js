@@ -0,0 +1,38 @@
+// limiter.js - Concurrency limiting for async tasks
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at once
+ * @param {number} concurrency - Maximum tasks in flight
+ * @returns {function} run(task) - Schedules an async task, resolves with its result
+ */
+function createLimiter(concurrency = 1) {
+  const waiting = [];
+  let active = 0;
+
+  /**
+   * Start waiting tasks while slots are free
+   */
+  function next() {
+    while (active < concurrency && waiting.length > 0) {
+      const { task, resolve, reject } = waiting.shift();
+      active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  }
+
+  return (task) => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject });
+    next();
+  });
+}
+
+module.exports = {
+  createLimiter
+};
@@ -0,0 +1,264 @@
+// mcp-server.js - Serve service methods as MCP tools
+// Speaks MCP (JSON-RPC 2.0) over stdio and over the streamable HTTP transport
+
+const crypto = require('crypto');
+const readline = require('readline');
+const { EventEmitter } = require('events');
+const { validate, formatErrors } = require('./schema');
+const { JSONRPC_ERRORS, rpcError } = require('./jsonrpc');
+
+// Newest first; the first entry is offered when the client asks for an unknown version
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const MAX_SESSIONS = 1000;
+
+/**
+ * Create an MCP server over a set of tools
+ * @param {object} options - Server options
+ * @param {string} options.name - Server name reported by initialize
+ * @param {string} options.version - Server version
+ * @param {Array<{name: string, description: string, inputSchema: object, handler: Function}>} options.tools - Tools
+ * @returns {object} Server with handleMessage/listTools methods
+ */
+function createMcpServer(options) {
+  const { name, version, tools } = options;
+  const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+
+  /**
+   * Run a tool and wrap its result as MCP content
+   * @param {object} params - tools/call params ({ name, arguments })
+   * @param {object} context - Caller context passed to beforeCall
+   * @param {Function} beforeCall - (context, tool) => error object or null
+   * @returns {Promise<object>} { result } or { error }
+   */
+  async function callTool(params, context, beforeCall) {
+    const tool = toolsByName.get(params.name);
+    if (!tool) {
+      return { error: rpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${params.name}`) };
+    }
+
+    const denied = beforeCall(context, tool);
+    if (denied) {
+      return { error: denied };
+    }
+
+    const args = params.arguments || {};
+    const errors = validate(tool.inputSchema, args);
+    if (errors.length > 0) {
+      return {
+        error: rpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Invalid arguments for ${tool.name}: ${formatErrors(errors)}`, { details: errors })
+      };
+    }
+
+    try {
+      const result = await tool.handler(args);
+      return {
+        result: {
+          content: [{ type: 'text', text: typeof result === 'string' ? result : JSON.stringify(result, null, 2) }],
+          isError: false
+        }
+      };
+    } catch (err) {
+      // Tool failures are results the agent can read, not protocol errors
+      console.error(`[MCP Server] ${tool.name} failed:`, err.message);
+      return { result: { content: [{ type: 'text', text: `❌ ${err.message}` }], isError: true } };
+    }
+  }
+
+  /**
+   * Dispatch one request or notification
+   * @param {object} message - Parsed JSON-RPC message
+   * @param {object} context - Caller context (HTTP request, or {} for stdio)
+   * @param {Function} beforeCall - (context, tool) => error object or null
+   * @returns {Promise<object>} { result } or { error }
+   */
+  async function dispatch(message, context, beforeCall) {
+    const params = message.params || {};
+
+    switch (message.method) {
+      case 'initialize': {
+        const requested = params.protocolVersion;
+        return {
+          result: {
+            protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0],
+            capabilities: { tools: { listChanged: false } },
+            serverInfo: { name, version }
+          }
+        };
+      }
+      case 'ping':
+        return { result: {} };
+      case 'tools/list':
+        return { result: { tools: tools.map(({ name: toolName, description, inputSchema }) => ({ name: toolName, description, inputSchema })) } };
+      case 'tools/call':
+        return callTool(params, context, beforeCall);
+      default:
+        return { error: rpcError(JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${message.method}`) };
+    }
+  }
+
+  return {
+    name,
+
+    /**
+     * Handle one incoming JSON-RPC message
+     * @param {object} message - Parsed message
+     * @param {object} context - Caller context
+     * @param {Function} beforeCall - Authorization hook for tools/call
+     * @returns {Promise<object|null>} Response, or null for notifications and client responses
+     */
+    handleMessage: async (message, context = {}, beforeCall = () => null) => {
+      if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+        return { jsonrpc: '2.0', error: rpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request'), id: null };
+      }
+
+      // Notifications (notifications/initialized, cancelled) and responses need no reply
+      if (message.id === undefined || message.id === null || typeof message.method !== 'string') {
+        return null;
+      }
+
+      const outcome = await dispatch(message, context, beforeCall);
+      return { jsonrpc: '2.0', ...outcome, id: message.id };
+    },
+
+    /**
+     * Tools published by this server
+     * @returns {Array<object>} Tool definitions
+     */
+    listTools: () => tools.map(({ name: toolName, description, inputSchema }) => ({ name: toolName, description, inputSchema }))
+  };
+}
+
+/**
+ * Serve MCP over stdin/stdout (newline-delimited JSON). Console output is
+ * moved to stderr so logging cannot corrupt the protocol stream.
+ * @param {object} server - Server from createMcpServer
+ * @param {object} streams - { input, output } (default process.stdin/stdout)
+ * @returns {EventEmitter} Emits 'close' once stdin has ended, every request
+ *   has been answered and the responses have been flushed
+ */
+function serveStdio(server, streams = {}) {
+  const { input = process.stdin, output = process.stdout } = streams;
+  console.log = console.error;
+  console.info = console.error;
+
+  const transport = new EventEmitter();
+  const lines = readline.createInterface({ input });
+  const inFlight = new Set();
+
+  /**
+   * Write one response line
+   * @param {object} response - JSON-RPC response (or batch)
+   */
+  function send(response) {
+    output.write(JSON.stringify(response) + '\n');
+  }
+
+  /**
+   * Parse and answer one line
+   * @param {string} line - Input line
+   * @returns {Promise<void>}
+   */
+  async function handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (err) {
+      send({ jsonrpc: '2.0', error: rpcError(JSONRPC_ERRORS.PARSE_ERROR, 'Parse error'), id: null });
+      return;
+    }
+
+    const messages = Array.isArray(message) ? message : [message];
+    const responses = (await Promise.all(messages.map(item => server.handleMessage(item)))).filter(Boolean);
+    if (responses.length > 0) {
+      send(Array.isArray(message) ? responses : responses[0]);
+    }
+  }
+
+  lines.on('line', (line) => {
+    if (!line.trim()) return;
+
+    const handled = handleLine(line).catch((err) => {
+      console.error('[MCP Server] Failed to handle message:', err.message);
+      send({ jsonrpc: '2.0', error: rpcError(JSONRPC_ERRORS.INTERNAL_ERROR, err.message), id: null });
+    });
+    inFlight.add(handled);
+    handled.then(() => inFlight.delete(handled));
+  });
+
+  // End of input is not the end of the work: answer what was already read first
+  lines.on('close', async () => {
+    await Promise.all([...inFlight]);
+    output.write('', () => transport.emit('close'));
+  });
+
+  console.error(`🔌 ${server.name} MCP server listening on stdio`);
+  return transport;
+}
+
+/**
+ * Mount the streamable HTTP transport at /mcp. Responses are plain JSON
+ * (no server-initiated stream), sessions are issued on initialize.
+ * @param {object} app - Express application
+ * @param {object} server - Server from createMcpServer
+ * @param {object} auth - Authentication (from createAuth)
+ * @param {Function} beforeCall - (req, tool) => error object or null, for scopes and rate limits
+ */
+function setupMcpHttp(app, server, auth, beforeCall) {
+  const sessions = new Set();
+
+  app.use('/mcp', (err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({ jsonrpc: '2.0', error: rpcError(JSONRPC_ERRORS.PARSE_ERROR, 'Parse error'), id: null });
+    }
+    next(err);
+  });
+
+  app.post('/mcp', auth.require('read'), async (req, res) => {
+    const body = req.body;
+    const messages = Array.isArray(body) ? body : [body];
+    const isInitialize = messages.some(message => message && message.method === 'initialize');
+    const sessionId = req.get('mcp-session-id');
+
+    if (!isInitialize && sessionId && !sessions.has(sessionId)) {
+      return res.status(404).json({ jsonrpc: '2.0', error: rpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Unknown or expired session'), id: null });
+    }
+
+    const responses = (await Promise.all(messages.map(message => server.handleMessage(message, req, beforeCall)))).filter(Boolean);
+
+    if (isInitialize) {
+      const newSession = crypto.randomUUID();
+      // Bounded: clients that never DELETE their session eventually age out
+      if (sessions.size >= MAX_SESSIONS) {
+        sessions.delete(sessions.values().next().value);
+      }
+      sessions.add(newSession);
+      res.set('Mcp-Session-Id', newSession);
+    }
+
+    if (responses.length === 0) {
+      return res.status(202).end();
+    }
+
+    res.json(Array.isArray(body) ? responses : responses[0]);
+  });
+
+  // No server-initiated messages, so no standalone SSE stream
+  app.get('/mcp', (req, res) => {
+    res.set('Allow', 'POST, DELETE');
+    res.status(405).json({ error: 'Server-sent event streams are not supported; POST JSON-RPC messages instead' });
+  });
+
+  app.delete('/mcp', auth.require('read'), (req, res) => {
+    const sessionId = req.get('mcp-session-id');
+    if (!sessionId || !sessions.delete(sessionId)) {
+      return res.status(404).json({ error: 'Unknown session' });
+    }
+    res.status(204).end();
+  });
+}
+
+module.exports = {
+  createMcpServer,
+  serveStdio,
+  setupMcpHttp
+};
@@ -0,0 +1,134 @@
+// mcp-tools.js - Tools published by the services' own MCP servers
+// Each tool names the auth scope and rate limit class it needs over HTTP
+
+const fs = require('fs').promises;
+const { MAX_TEXT_LENGTH, SPEECH_OPTIONS, AI_OPTIONS, DOCKER_ROUTES } = require('./request-schemas');
+
+// Longest stdout/stderr returned inline by execute_scripts
+const MAX_OUTPUT_CHARS = 20000;
+
+const TEXT = { type: 'string', minLength: 1, maxLength: MAX_TEXT_LENGTH };
+
+/**
+ * Tools for the Edge TTS service
+ * @param {object} methods - Edge TTS service methods
+ * @returns {Array<object>} Tool definitions with handlers
+ */
+function createEdgeTtsTools(methods) {
+  const speech = SPEECH_OPTIONS.properties;
+
+  return [
+    {
+      name: 'speak',
+      description: 'Speak text aloud on the host through Edge TTS. Returns the voice used and an audioId for the generated audio.',
+      scope: 'speak',
+      routeClass: 'speech',
+      inputSchema: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+          text: { ...TEXT, description: 'Text to speak (plain text, SSML or markup depending on format)' },
+          voice: { ...speech.voice, description: 'Voice short name, e.g. en-US-AriaNeural' },
+          rate: { ...speech.rate, description: 'Speaking rate, e.g. "+10%" or -20' },
+          pitch: { ...speech.pitch, description: 'Pitch, e.g. "+5Hz"' },
+          volume: { ...speech.volume, description: 'Volume, e.g. "-10%"' },
+          format: { ...speech.format, description: 'Input format (default text)' },
+          priority: { ...speech.priority, description: 'Queue priority (default normal)' },
+          wait: { ...speech.wait, description: 'Wait for playback to finish (default true)' }
+        }
+      },
+      handler: ({ text, ...options }) => methods.speak(text, options)
+    },
+    {
+      name: 'summarize',
+      description: 'Summarize text with the local Docker AI model.',
+      scope: 'speak',
+      routeClass: 'ai',
+      inputSchema: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+          text: { ...TEXT, description: 'Text to summarize' },
+          maxLength: { ...AI_OPTIONS.properties.maxLength, description: 'Maximum summary length in words (default 100)' },
+          style: { ...AI_OPTIONS.properties.style, description: 'Summary style, e.g. concise, bullet points' }
+        }
+      },
+      handler: ({ text, ...options }) => methods.summarize(text, options)
+    },
+    {
+      name: 'list_voices',
+      description: 'List available Edge TTS voices, optionally filtered by locale prefix, gender or a text search.',
+      scope: 'read',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          locale: { type: 'string', maxLength: 50, description: 'Locale or language prefix, e.g. en or en-GB' },
+          gender: { type: 'string', enum: ['Female', 'Male'], description: 'Voice gender' },
+          q: { type: 'string', maxLength: 200, description: 'Text search over names and personalities' }
+        }
+      },
+      handler: args => methods.listVoices(args)
+    },
+    {
+      name: 'play_mp3',
+      description: 'Play an existing MP3 file on the host. Paths inside the edge-tts container are copied out first.',
+      scope: 'speak',
+      routeClass: 'speech',
+      inputSchema: {
+        type: 'object',
+        required: ['filePath'],
+        properties: {
+          filePath: { type: 'string', minLength: 1, maxLength: 4096, description: 'Host path or edge-tts container path of the MP3' }
+        }
+      },
+      handler: ({ filePath }) => methods.playMp3(filePath)
+    }
+  ];
+}
+
+/**
+ * Read a captured output file for inline return
+ * @param {string} file - Output file path
+ * @returns {Promise<string|null>} Contents (truncated), or null if unreadable
+ */
+async function readOutput(file) {
+  if (!file) return null;
+  try {
+    const text = await fs.readFile(file, 'utf8');
+    return text.length > MAX_OUTPUT_CHARS ? `${text.slice(0, MAX_OUTPUT_CHARS)}\n… (${text.length - MAX_OUTPUT_CHARS} more characters in ${file})` : text;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Tools for the docker service
+ * @param {object} methods - Docker service methods
+ * @returns {Array<object>} Tool definitions with handlers
+ */
+function createDockerTools(methods) {
+  return [
+    {
+      name: 'execute_scripts',
+      description: 'Run bash or PowerShell scripts on the host (or generate code, speak, summarize) and return exit codes with stdout and stderr.',
+      scope: 'execute',
+      routeClass: 'execute',
+      inputSchema: DOCKER_ROUTES['POST /execute'].body,
+      handler: async ({ scripts }) => {
+        const results = await methods.executeScripts(scripts);
+
+        // Agents need the output itself, not just where it was written
+        return Promise.all(results.map(async result => ({
+          ...result,
+          stdout: await readOutput(result.stdoutFile),
+          stderr: await readOutput(result.stderrFile)
+        })));
+      }
+    }
+  ];
+}
+
+module.exports = {
+  createEdgeTtsTools,
+  createDockerTools
+};
@@ -1,121 +1,294 @@
 // mcp.js - MCP protocol communication utilities
+// Keeps one long-lived stdio session per container and multiplexes calls over it
 
 const { spawn } = require('child_process');
+const readline = require('readline');
 const { ensureContainer } = require('./container');
+const { metrics } = require('./metrics');
+
+const PROTOCOL_VERSION = '2024-11-05';
+const DEFAULT_TIMEOUT = 10000;
+
+// One client per container, shared by every caller of callEdgeTts
+const clients = new Map();
+
+// Options for clients created by getMcpClient (see configureMcp)
+let clientOptions = {};
+
+const toolDuration = metrics.histogram('mcp_tool_call_duration_seconds', 'MCP tool call latency (speak is synthesis)', {
+  labelNames: ['tool', 'outcome']
+});
 
 /**
- * Call Edge TTS MCP server in persistent container
+ * Create a persistent MCP client for the server running in a container
  * @param {string} containerName - Name of the container
- * @param {string} toolName - Tool name to call
- * @param {object} toolArgs - Tool arguments
- * @returns {Promise<object>} Tool response
+ * @param {object} options - Client options (timeout, command)
+ * @returns {object} MCP client with request/callTool/close methods
  */
-async function callEdgeTts(containerName, toolName, toolArgs) {
-  // Ensure container is running
-  const ready = await ensureContainer(containerName);
-  if (!ready) {
-    throw new Error('Container not available');
+function createMcpClient(containerName, options = {}) {
+  const {
+    timeout = DEFAULT_TIMEOUT,
+    command = ['python', 'server.py']
+  } = options;
+
+  let dockerProcess = null;
+  let connecting = null;
+  let nextId = 1;
+  let stderr = '';
+  const pending = new Map();
+
+  /**
+   * Reject every in-flight request and forget the current process
+   * @param {Error} error - Reason passed to pending callers
+   */
+  function resetSession(error) {
+    dockerProcess = null;
+    connecting = null;
+
+    for (const [id, entry] of pending) {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+      pending.delete(id);
+    }
+  }
+
+  /**
+   * Route a parsed JSON-RPC message to its pending request
+   * @param {object} message - Parsed JSON-RPC message
+   */
+  function handleMessage(message) {
+    if (message.id === undefined || !pending.has(message.id)) {
+      // Server notifications and stray responses are ignored
+      return;
+    }
+
+    const entry = pending.get(message.id);
+    pending.delete(message.id);
+    clearTimeout(entry.timer);
+
+    if (message.error) {
+      entry.reject(new Error(message.error.message || JSON.stringify(message.error)));
+    } else {
+      entry.resolve(message.result);
+    }
+  }
+
+  /**
+   * Write a JSON-RPC message to the server
+   * @param {object} message - Message to send
+   */
+  function send(message) {
+    dockerProcess.stdin.write(JSON.stringify(message) + '\n');
   }
 
-  return new Promise((resolve, reject) => {
-    const dockerProcess = spawn('docker', ['exec', '-i', containerName, 'python', 'server.py']);
+  /**
+   * Send a request on the current process and wait for its response
+   * @param {string} method - JSON-RPC method
+   * @param {object} params - Method params
+   * @returns {Promise<object>} Response result
+   */
+  function sendRequest(method, params) {
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
 
-    let stdout = '';
-    let stderr = '';
-    let resolved = false;
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`MCP server timeout (${method})`));
+      }, timeout);
 
-    // Timeout after 10 seconds
-    const timeout = setTimeout(() => {
-      if (!resolved) {
-        resolved = true;
-        dockerProcess.kill();
-        reject(new Error('MCP server timeout'));
+      pending.set(id, { resolve, reject, timer });
+
+      try {
+        send({ jsonrpc: '2.0', id, method, params });
+      } catch (err) {
+        pending.delete(id);
+        clearTimeout(timer);
+        reject(new Error(`Failed to write to MCP server: ${err.message}`));
       }
-    }, 10000);
-
-    dockerProcess.stdout.on('data', (data) => {
-      stdout += data.toString();
-
-      // Try to parse responses line by line
-      const lines = stdout.split('\n');
-      for (const line of lines) {
-        if (!line.trim()) continue;
-
-        try {
-          const response = JSON.parse(line);
-
-          // Look for the tool call response (id: 2)
-          if (response.id === 2 && !resolved) {
-            resolved = true;
-            clearTimeout(timeout);
-
-            if (response.error) {
-              dockerProcess.kill();
-              return reject(new Error(response.error.message || JSON.stringify(response.error)));
-            } else if (response.result) {
-              // Don't kill immediately, give it a moment to clean up
-              setTimeout(() => dockerProcess.kill(), 100);
-              return resolve(response.result);
-            }
-          }
-        } catch (err) {
-          // Not a complete JSON line yet, continue
-        }
+    });
+  }
+
+  /**
+   * Spawn docker exec and perform the MCP initialize handshake
+   * @returns {Promise<void>}
+   */
+  async function connect() {
+    const ready = await ensureContainer(containerName);
+    if (!ready) {
+      throw new Error('Container not available');
+    }
+
+    stderr = '';
+    const child = spawn('docker', ['exec', '-i', containerName, ...command]);
+    dockerProcess = child;
+
+    const lines = readline.createInterface({ input: child.stdout });
+    lines.on('line', (line) => {
+      if (!line.trim()) return;
+
+      try {
+        handleMessage(JSON.parse(line));
+      } catch (err) {
+        // Not a JSON-RPC line (server logging), ignore
       }
     });
 
-    dockerProcess.stderr.on('data', (data) => {
-      stderr += data.toString();
+    child.stderr.on('data', (data) => {
+      // Keep only the tail for error reporting
+      stderr = (stderr + data.toString()).slice(-500);
     });
 
-    dockerProcess.on('close', (code) => {
-      clearTimeout(timeout);
+    child.stdin.on('error', () => {
+      // Broken pipe is reported through 'close'
+    });
 
-      if (resolved) {
-        // Already handled
-        return;
-      }
+    child.on('close', (code) => {
+      if (dockerProcess !== child) return;
+      console.warn(`[MCP] Session for ${containerName} closed (code ${code}), will reconnect on next call`);
+      resetSession(new Error(`Docker process exited with code ${code}: ${stderr}`));
+    });
 
-      if (code !== 0 && !resolved) {
-        resolved = true;
-        return reject(new Error(`Docker process exited with code ${code}: ${stderr.substring(0, 500)}`));
-      }
+    child.on('error', (err) => {
+      if (dockerProcess !== child) return;
+      resetSession(new Error(`Failed to spawn Docker: ${err.message}`));
     });
 
-    dockerProcess.on('error', (err) => {
-      clearTimeout(timeout);
-      if (!resolved) {
-        resolved = true;
-        reject(new Error(`Failed to spawn Docker: ${err.message}`));
-      }
+    await sendRequest('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'edge-tts-service', version: '2.0.0' }
     });
+    send({ jsonrpc: '2.0', method: 'notifications/initialized' });
 
-    // Send initialization and tool call
-    const initMessage = {
-      jsonrpc: '2.0',
-      id: 1,
-      method: 'initialize',
-      params: {
-        protocolVersion: '2024-11-05',
-        capabilities: {},
-        clientInfo: { name: 'edge-tts-service', version: '1.0.0' }
-      }
-    };
-
-    const toolMessage = {
-      jsonrpc: '2.0',
-      id: 2,
-      method: 'tools/call',
-      params: { name: toolName, arguments: toolArgs }
-    };
-
-    // Write messages
-    dockerProcess.stdin.write(JSON.stringify(initMessage) + '\n');
-    dockerProcess.stdin.write(JSON.stringify(toolMessage) + '\n');
-    // Don't close stdin immediately - let the server process
-  });
+    console.log(`[MCP] Session established with ${containerName}`);
+  }
+
+  /**
+   * Ensure a live, initialized session exists
+   * @returns {Promise<void>}
+   */
+  function ensureConnected() {
+    if (!connecting) {
+      connecting = connect().catch((err) => {
+        const child = dockerProcess;
+        resetSession(err);
+        if (child) child.kill();
+        throw err;
+      });
+    }
+    return connecting;
+  }
+
+  return {
+    /**
+     * Send a JSON-RPC request over the shared session
+     * @param {string} method - JSON-RPC method
+     * @param {object} params - Method params
+     * @returns {Promise<object>} Response result
+     */
+    request: async (method, params = {}) => {
+      await ensureConnected();
+      return sendRequest(method, params);
+    },
+
+    /**
+     * Call an MCP tool
+     * @param {string} toolName - Tool name to call
+     * @param {object} toolArgs - Tool arguments
+     * @returns {Promise<object>} Tool result
+     */
+    callTool: async (toolName, toolArgs = {}) => {
+      return toolDuration.time({ tool: toolName }, async () => {
+        await ensureConnected();
+        return sendRequest('tools/call', { name: toolName, arguments: toolArgs });
+      });
+    },
+
+    /**
+     * Whether a session process is currently running
+     * @returns {boolean} Connection state
+     */
+    isConnected: () => {
+      return dockerProcess !== null;
+    },
+
+    /**
+     * Close the session and reject pending requests
+     */
+    close: () => {
+      const child = dockerProcess;
+      resetSession(new Error('MCP client closed'));
+      if (child) child.kill();
+    }
+  };
+}
+
+/**
+ * Get the shared MCP client for a container, creating it on first use
+ * @param {string} containerName - Name of the container
+ * @returns {object} MCP client
+ */
+function getMcpClient(containerName) {
+  if (!clients.has(containerName)) {
+    clients.set(containerName, createMcpClient(containerName, clientOptions));
+  }
+  return clients.get(containerName);
+}
+
+/**
+ * Set options for shared clients created from now on
+ * @param {object} options - Client options (timeout, command)
+ */
+function configureMcp(options = {}) {
+  clientOptions = { ...options };
+}
+
+/**
+ * Call Edge TTS MCP server in persistent container
+ * @param {string} containerName - Name of the container
+ * @param {string} toolName - Tool name to call
+ * @param {object} toolArgs - Tool arguments
+ * @returns {Promise<object>} Tool response
+ */
+async function callEdgeTts(containerName, toolName, toolArgs) {
+  return getMcpClient(containerName).callTool(toolName, toolArgs);
+}
+
+/**
+ * Detect a failed tool call. The Edge TTS server reports failures as
+ * ordinary text content ("❌ ..." / "Error: ..."), newer servers set isError.
+ * @param {object} result - MCP tool result
+ * @returns {string|null} Error message, or null if the call succeeded
+ */
+function getToolError(result) {
+  const text = result && result.content && result.content[0] && result.content[0].text;
+
+  if (result && result.isError) {
+    return text || 'Tool reported an error';
+  }
+
+  if (typeof text === 'string' && /^(❌|Error:)/.test(text.trim())) {
+    return text.trim().replace(/^❌\s*/, '');
+  }
+
+  return null;
+}
+
+/**
+ * Close every shared MCP session (used on shutdown)
+ */
+function closeAllClients() {
+  for (const client of clients.values()) {
+    client.close();
+  }
+  clients.clear();
 }
 
 module.exports = {
-  callEdgeTts
+  createMcpClient,
+  getMcpClient,
+  configureMcp,
+  callEdgeTts,
+  getToolError,
+  closeAllClients
 };
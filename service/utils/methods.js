@@ -2,10 +2,40 @@
 
 const path = require('path');
 const fs = require('fs').promises;
-const { callEdgeTts } = require('./mcp');
+const { callEdgeTts, getToolError } = require('./mcp');
 const { playAudio } = require('./audio');
-const { copyFromContainer, generateUniqueFilename } = require('./file-ops');
+const {
+  copyFromContainer,
+  removeFromContainer,
+  concatenateFiles,
+  generateContainerPath,
+  generateUniqueFilename
+} = require('./file-ops');
 const { summarizeText } = require('./docker-ai');
+const { createToolRegistry } = require('./tools');
+const { createPlaybackQueue } = require('./queue');
+const { createSynthesisCache } = require('./cache');
+const { splitText } = require('./chunker');
+const { createLimiter } = require('./limiter');
+const { normalizeProsody } = require('./prosody');
+const { resolveInput } = require('./ssml');
+const { createVoiceCatalog } = require('./voices');
+const { normalizeAudioFormat, isNative, transcode } = require('./transcoder');
+const {
+  extractWordBoundaries,
+  estimateDurationMs,
+  mergeWordTimings,
+  renderSubtitles
+} = require('./subtitles');
+const { createRetentionManager, createArtifactMethods } = require('./retention');
+const { describeConfig } = require('./config');
+const { registerContainerMetrics } = require('./container');
+const { metrics } = require('./metrics');
+
+const CHUNK_MODES = ['stream', 'concat'];
+
+// Audio ids are generated filenames without extension; anything else could escape tempDir
+const AUDIO_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
 
 /**
  * Create service methods
@@ -14,13 +44,230 @@ const { summarizeText } = require('./docker-ai');
  * @returns {object} Service methods
  */
 function createMethods(config, stats) {
-  const { containerName, defaultVoice, tempDir } = config;
+  const {
+    containerName,
+    defaultVoice,
+    tempDir,
+    audioPlayer,
+    cacheMaxBytes,
+    chunkSize = 1500,
+    synthesisConcurrency = 3,
+    voiceCacheTtlMs,
+    voiceFallbackChain,
+    localeDefaultVoices,
+    ffmpegPath,
+    retentionPolicies,
+    retentionSweepIntervalMs
+  } = config;
+  const tools = createToolRegistry(containerName);
+  const voices = createVoiceCatalog({ containerName, ttlMs: voiceCacheTtlMs });
+  // Word timings are a companion of the cached audio, so both are evicted together
+  const cache = createSynthesisCache({
+    dir: path.join(tempDir, 'tts-cache'),
+    maxBytes: cacheMaxBytes,
+    companions: ['.json']
+  });
+  const queue = createPlaybackQueue({
+    play: (filePath, playOptions) => playAudio(filePath, { player: audioPlayer, ...playOptions })
+  });
+  const limitSynthesis = createLimiter(synthesisConcurrency);
+  const retention = createRetentionManager({
+    dir: tempDir,
+    types: ['audio'],
+    policies: retentionPolicies,
+    sweepIntervalMs: retentionSweepIntervalMs
+  });
+  retention.start();
+
+  // Gauges and counters read at scrape time (GET /metrics)
+  registerContainerMetrics(containerName);
+  metrics.gauge('playback_queue_depth', 'Utterances queued or playing', {
+    collect: () => queue.depth()
+  });
+  metrics.counter('tts_spoken_total', 'Utterances spoken', {
+    collect: () => stats.getStats().totalSpoken
+  });
+  metrics.counter('service_errors_total', 'Failed requests and background errors', {
+    collect: () => stats.getStats().errors
+  });
+
+  /**
+   * Samples of one synthesis cache statistic
+   * @param {string} field - Field of getStats()
+   * @returns {Function} Collect callback
+   */
+  const cacheSamples = field => () => [
+    { labels: { cache: 'audio' }, value: cache.getStats()[field] }
+  ];
+  metrics.counter('synthesis_cache_hits_total', 'Synthesis cache hits', { labelNames: ['cache'], collect: cacheSamples('hits') });
+  metrics.counter('synthesis_cache_misses_total', 'Synthesis cache misses', { labelNames: ['cache'], collect: cacheSamples('misses') });
+  metrics.counter('synthesis_cache_evictions_total', 'Entries evicted to stay under the size cap', { labelNames: ['cache'], collect: cacheSamples('evictions') });
+  metrics.gauge('synthesis_cache_hit_ratio', 'Hits / lookups since start', { labelNames: ['cache'], collect: cacheSamples('hitRatio') });
+  metrics.gauge('synthesis_cache_entries', 'Cached entries', { labelNames: ['cache'], collect: cacheSamples('entries') });
+  metrics.gauge('synthesis_cache_bytes', 'Size of the cached files', { labelNames: ['cache'], collect: cacheSamples('bytes') });
+
+  /**
+   * Pick the voice to use for a request
+   * @param {object} options - Speech options (voice, fallback)
+   * @returns {Promise<{voice: string, requested: string|null, fallback: string|null}>} Voice resolution
+   */
+  async function resolveVoice(options) {
+    if (!options.voice) {
+      return { voice: defaultVoice, requested: null, fallback: null };
+    }
+
+    return voices.resolve(options.voice, {
+      defaultVoice,
+      chain: options.fallback === false ? [] : voiceFallbackChain,
+      localeDefaults: localeDefaultVoices
+    });
+  }
+
+  /**
+   * Synthesize text to a host file, using the cache when possible
+   * @param {string} text - Text (or SSML document) to synthesize
+   * @param {string} voice - Voice name
+   * @param {string} hostOutputPath - Destination on the host
+   * @param {object} prosody - Normalized rate/pitch/volume
+   * @param {object} options - Speech options (cache, ssml)
+   * @returns {Promise<{file: string, cached: boolean, message: string|null, words: Array<object>|null, durationMs: number}>} Synthesis result
+   */
+  async function synthesizeToFile(text, voice, hostOutputPath, prosody = {}, options = {}) {
+    const ssml = options.ssml || undefined;
+    const cacheKey = cache.key({ text, voice, ssml, ...prosody });
+    const cachedFile = options.cache === false ? null : await cache.get(cacheKey);
+
+    if (cachedFile) {
+      let words;
+      try {
+        await fs.copyFile(cachedFile, hostOutputPath);
+        const cachedTimings = await cache.companion(cacheKey, '.json');
+        words = cachedTimings ? JSON.parse(await fs.readFile(cachedTimings, 'utf-8')) : null;
+      } finally {
+        await cache.release(cacheKey);
+      }
+      console.log(`📁 Cache hit, copied to: ${hostOutputPath}`);
+
+      const fileStats = await fs.stat(hostOutputPath);
+      return { file: hostOutputPath, cached: true, message: null, words, durationMs: estimateDurationMs(fileStats.size) };
+    }
+
+    // Concurrent requests must not share a container output file
+    const containerOutputFile = generateContainerPath('edge-tts', '.mp3');
+
+    let result;
+    try {
+      // Call Edge TTS MCP server to generate audio
+      result = await callEdgeTts(containerName, 'speak', {
+        text,
+        voice,
+        ...prosody,
+        ssml,
+        word_boundaries: true,
+        output_file: containerOutputFile
+      });
+
+      // Never copy a stale file when the server reports a failure as text
+      const toolError = getToolError(result);
+      if (toolError) {
+        throw new Error(`Synthesis failed: ${toolError}`);
+      }
+
+      // Copy MP3 from persistent container to host
+      await copyFromContainer(containerName, containerOutputFile, hostOutputPath);
+      console.log(`📁 Copied to: ${hostOutputPath}`);
+    } finally {
+      await removeFromContainer(containerName, containerOutputFile);
+    }
+
+    // Older servers ignore word_boundaries and return no timings
+    const words = extractWordBoundaries(result);
+
+    try {
+      await cache.put(cacheKey, hostOutputPath, words ? { '.json': Buffer.from(JSON.stringify(words)) } : {});
+    } catch (err) {
+      console.warn('[Cache] Failed to store synthesis:', err.message);
+    }
+
+    // Extract text content from MCP response
+    let message = null;
+    if (result.content && result.content.length > 0 && result.content[0].text) {
+      message = result.content[0].text;
+    }
+
+    const fileStats = await fs.stat(hostOutputPath);
+    return { file: hostOutputPath, cached: false, message, words, durationMs: estimateDurationMs(fileStats.size) };
+  }
+
+  /**
+   * Host path of a generated audio file
+   * @param {string} id - Audio id (filename without extension)
+   * @returns {string} Absolute path under tempDir
+   */
+  function audioPath(id) {
+    return path.resolve(tempDir, `${id}.mp3`);
+  }
+
+  /**
+   * Host path of the word timings for a generated audio file
+   * @param {string} id - Audio id
+   * @returns {string} Absolute path under tempDir
+   */
+  function wordTimingsPath(id) {
+    return path.resolve(tempDir, `${id}.words.json`);
+  }
+
+  /**
+   * Store word timings next to a generated audio file for subtitle export
+   * @param {string} id - Audio id
+   * @param {Array<object>|null} words - Word timings (nothing is written when null)
+   * @returns {Promise<void>}
+   */
+  async function saveWordTimings(id, words) {
+    if (words) {
+      await fs.writeFile(wordTimingsPath(id), JSON.stringify(words));
+    }
+  }
+
+  /**
+   * Get a generated audio file in the requested output format, transcoding
+   * the MP3 master on first request and reusing the result afterwards
+   * @param {string} id - Audio id
+   * @param {object} target - Normalized output format
+   * @returns {Promise<string>} Absolute path of the file to serve
+   */
+  async function audioVariant(id, target) {
+    const master = audioPath(id);
+    if (isNative(target)) {
+      return master;
+    }
+
+    const variant = path.resolve(tempDir, `${id}${target.sampleRate ? `-${target.sampleRate}hz` : ''}${target.extension}`);
+    try {
+      await fs.access(variant);
+      return variant;
+    } catch (err) {
+      // Not converted yet
+    }
+
+    // Write to a temporary name so a concurrent request never serves a partial file
+    const partial = `${variant}.${process.pid}-${Date.now()}.partial`;
+    try {
+      await transcode(master, partial, target, { ffmpegPath });
+      await fs.rename(partial, variant);
+    } finally {
+      await fs.unlink(partial).catch(() => {});
+    }
+    return variant;
+  }
 
   return {
     /**
      * Speak text using Edge TTS
+     * Long text is split into chunks that synthesize in parallel; playback
+     * goes through the shared queue in reading order
      * @param {string} text - Text to vocalize
-     * @param {object} options - Speech options (voice, output_file)
+     * @param {object} options - Speech options (voice, fallback, rate, pitch, volume, format: text|ssml|markup, priority, wait, cache, chunkMode: stream|concat, wordTimings)
      * @returns {object} Success status
      */
     speak: async (text, options = {}) => {
@@ -29,41 +276,177 @@ function createMethods(config, stats) {
         const preview = text.substring(0, 60) + (text.length > 60 ? '...' : '');
         console.log(`[${timestamp}] 🔊 Speaking: "${preview}"`);
 
-        const voice = options.voice || defaultVoice;
-        const containerOutputFile = '/tmp/output.mp3';
+        const prosody = normalizeProsody(options);
+        const input = resolveInput(text, options.format);
+        const resolution = await resolveVoice(options);
+        const voice = resolution.voice;
+        const chunkMode = options.chunkMode || 'stream';
+        if (!CHUNK_MODES.includes(chunkMode)) {
+          const error = new Error(`Invalid chunkMode: ${chunkMode}. Use one of: ${CHUNK_MODES.join(', ')}`);
+          error.code = 'INVALID_ARGUMENTS';
+          throw error;
+        }
 
-        // Generate unique filename for host
-        const hostFilename = generateUniqueFilename('edge-tts', '.mp3');
-        const hostOutputPath = path.join(tempDir, hostFilename);
+        // SSML documents are never split (chunks would break the markup)
+        const chunks = !input.ssml && text.length > chunkSize ? splitText(text, chunkSize) : [input.text];
+        const chunked = chunks.length > 1;
 
-        // Call Edge TTS MCP server to generate audio
-        const result = await callEdgeTts(containerName, 'speak', { text, voice, output_file: containerOutputFile });
+        // Generate unique filenames for host
+        const baseName = generateUniqueFilename('edge-tts', '');
+        const hostOutputPath = path.join(tempDir, `${baseName}.mp3`);
+        const chunkPath = index => (chunked ? path.join(tempDir, `${baseName}-part${index + 1}.mp3`) : hostOutputPath);
 
-        // Copy MP3 from persistent container to host
-        await copyFromContainer(containerName, containerOutputFile, hostOutputPath);
-        console.log(`📁 Copied to: ${hostOutputPath}`);
+        let resultText = 'Speech completed and played';
+        const progress = chunks.map((chunk, index) => ({
+          index: index,
+          length: chunk.length,
+          status: 'pending',
+          cached: false
+        }));
+        const chunkResults = [];
+
+        // Synthesize one chunk, bounded by the service-wide synthesis limit;
+        // chunks still waiting for a slot are dropped once the signal aborts
+        const synthesizeChunk = (index, signal) => limitSynthesis(async () => {
+          if (signal && signal.aborted) {
+            progress[index].status = 'cancelled';
+            const error = new Error('Speech cancelled before synthesis');
+            error.code = 'CANCELLED';
+            throw error;
+          }
+          progress[index].status = 'synthesizing';
+
+          try {
+            const result = await synthesizeToFile(chunks[index], voice, chunkPath(index), prosody, { ...options, ssml: input.ssml });
+            progress[index].status = 'ready';
+            progress[index].cached = result.cached;
+            chunkResults[index] = result;
+            if (result.message) {
+              resultText = result.message;
+            }
+            if (chunked) {
+              console.log(`[Chunk ${index + 1}/${chunks.length}] ✅ Ready (${chunks[index].length} chars${result.cached ? ', cached' : ''})`);
+            }
+            return result.file;
+          } catch (error) {
+            progress[index].status = 'failed';
+            throw error;
+          }
+        });
+
+        const removeFiles = files => Promise.all(files.map(file => fs.unlink(file).catch(() => {})));
+        // Audio of an item cancelled before it played is never served
+        const discardSpeech = file => removeFiles([file, wordTimingsPath(baseName)]);
+
+        let jobs;
+        if (chunked && chunkMode === 'stream') {
+          // One queue item per chunk; playback starts as soon as chunk 1 is ready
+          jobs = chunks.map((chunk, index) => ({
+            label: `${preview} (${index + 1}/${chunks.length})`,
+            prepare: signal => synthesizeChunk(index, signal),
+            discard: file => removeFiles([file])
+          }));
+        } else if (chunked) {
+          // Synthesize everything, then join into a single MP3
+          jobs = [{
+            label: preview,
+            prepare: async (signal) => {
+              const settled = await Promise.allSettled(chunks.map((chunk, index) => synthesizeChunk(index, signal)));
+              const files = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+              const failed = settled.find(outcome => outcome.status === 'rejected');
+              if (failed) {
+                await removeFiles(files);
+                throw failed.reason;
+              }
+
+              await concatenateFiles(files, hostOutputPath);
+              await removeFiles(files);
+              console.log(`📁 Concatenated ${files.length} chunks to: ${hostOutputPath}`);
+              await saveWordTimings(baseName, mergeWordTimings(chunkResults));
+              return hostOutputPath;
+            },
+            discard: discardSpeech
+          }];
+        } else {
+          jobs = [{
+            label: preview,
+            prepare: async (signal) => {
+              const file = await synthesizeChunk(0, signal);
+              await saveWordTimings(baseName, chunkResults[0].words);
+              return file;
+            },
+            discard: discardSpeech
+          }];
+        }
 
-        // Play the audio file
-        console.log('🔊 Playing audio...');
-        await playAudio(hostOutputPath);
-        console.log('✅ Playback complete');
+        if (chunked) {
+          console.log(`✂️  Split ${text.length} chars into ${chunks.length} chunks (${chunkMode})`);
+        }
 
-        stats.incrementSpoken(text);
+        const entries = jobs.map(job => queue.enqueue({ ...job, priority: options.priority }));
+        const queueIds = entries.map(entry => entry.id);
 
-        // Extract text content from MCP response
-        let resultText = 'Speech completed and played';
-        if (result.content && result.content.length > 0 && result.content[0].text) {
-          resultText = result.content[0].text;
+        // If any part fails, drop the parts that have not played yet
+        const done = Promise.all(entries.map(entry => entry.done.catch((error) => {
+          queueIds.forEach(id => queue.cancel(id));
+          throw error;
+        })));
+
+        // Fire-and-forget: report the queue entry instead of waiting for playback
+        if (options.wait === false) {
+          done.then(() => stats.incrementSpoken(text)).catch((error) => {
+            stats.incrementErrors();
+            console.error(`[✗] Queued speech ${queueIds[0]} failed:`, error.message);
+          });
+
+          return {
+            success: true,
+            message: 'Speech queued',
+            length: text.length,
+            voice: voice,
+            requestedVoice: resolution.requested,
+            voiceFallback: resolution.fallback,
+            prosody: prosody,
+            format: options.format || 'text',
+            timestamp: timestamp,
+            queueId: queueIds[0],
+            queueIds: chunked ? queueIds : undefined,
+            position: entries[0].position,
+            chunks: chunked ? chunks.length : undefined,
+            played: false
+          };
+        }
+
+        const items = await done;
+        const unplayed = items.find(item => item.status !== 'played');
+        const status = unplayed ? unplayed.status : 'played';
+        console.log(`✅ Playback ${status} (${queueIds.join(', ')})`);
+
+        if (status === 'played') {
+          stats.incrementSpoken(text);
         }
 
         return {
           success: true,
-          message: resultText,
+          message: chunked ? `Synthesized ${chunks.length} chunks` : resultText,
           length: text.length,
           voice: voice,
+          requestedVoice: resolution.requested,
+          voiceFallback: resolution.fallback,
+          prosody: prosody,
+          format: options.format || 'text',
           timestamp: timestamp,
-          audioFile: hostOutputPath,
-          played: true
+          audioFile: chunked && chunkMode === 'stream' ? undefined : hostOutputPath,
+          audioId: chunked && chunkMode === 'stream' ? undefined : baseName,
+          audioFiles: chunked && chunkMode === 'stream' ? items.map(item => item.audioFile) : undefined,
+          queueId: queueIds[0],
+          queueIds: chunked ? queueIds : undefined,
+          status: status,
+          played: status === 'played',
+          player: items[0].player,
+          cached: progress.every(chunk => chunk.cached),
+          chunks: chunked ? progress : undefined,
+          words: options.wordTimings ? mergeWordTimings(chunkResults) : undefined
         };
       } catch (error) {
         stats.incrementErrors();
@@ -75,7 +458,7 @@ function createMethods(config, stats) {
     /**
      * Speak text using Edge TTS and copy output to host
      * @param {string} text - Text to vocalize
-     * @param {object} options - Speech options (voice, output_file)
+     * @param {object} options - Speech options (voice, fallback, rate, pitch, volume, format)
      * @returns {object} Success status with local file path
      */
     speakDebug: async (text, options = {}) => {
@@ -84,24 +467,37 @@ function createMethods(config, stats) {
         const preview = text.substring(0, 60) + (text.length > 60 ? '...' : '');
         console.log(`[${timestamp}] 🔊 Speaking (DEBUG): "${preview}"`);
 
-        const voice = options.voice || defaultVoice;
-        const containerOutputFile = '/tmp/output.mp3';
+        const prosody = normalizeProsody(options);
+        const input = resolveInput(text, options.format);
+        const resolution = await resolveVoice(options);
+        const voice = resolution.voice;
+        const containerOutputFile = generateContainerPath('edge-tts', '.mp3');
 
         // Generate unique filename for host
-        const hostFilename = generateUniqueFilename('edge-tts', '.mp3');
-        const hostOutputPath = path.join('C:', 'temp', hostFilename);
+        const audioId = generateUniqueFilename('edge-tts', '');
+        const hostOutputPath = audioPath(audioId);
 
-        // Call Edge TTS MCP server to generate audio
-        const result = await callEdgeTts(containerName, 'speak', { text, voice, output_file: containerOutputFile });
+        let result;
+        try {
+          // Call Edge TTS MCP server to generate audio
+          result = await callEdgeTts(containerName, 'speak', { text: input.text, voice, ...prosody, ssml: input.ssml || undefined, output_file: containerOutputFile });
 
-        // Copy MP3 from persistent container to host
-        await copyFromContainer(containerName, containerOutputFile, hostOutputPath);
-        console.log(`📁 Copied to: ${hostOutputPath}`);
+          const toolError = getToolError(result);
+          if (toolError) {
+            throw new Error(`Synthesis failed: ${toolError}`);
+          }
+
+          // Copy MP3 from persistent container to host
+          await copyFromContainer(containerName, containerOutputFile, hostOutputPath);
+          console.log(`📁 Copied to: ${hostOutputPath}`);
+        } finally {
+          await removeFromContainer(containerName, containerOutputFile);
+        }
 
         stats.incrementSpoken(text);
 
         // Extract text content from MCP response
-        let resultText = 'Speech completed and saved to C:/temp';
+        let resultText = `Speech completed and saved to ${tempDir}`;
         if (result.content && result.content.length > 0 && result.content[0].text) {
           resultText = result.content[0].text;
         }
@@ -111,8 +507,13 @@ function createMethods(config, stats) {
           message: resultText,
           length: text.length,
           voice: voice,
+          requestedVoice: resolution.requested,
+          voiceFallback: resolution.fallback,
+          prosody: prosody,
+          format: options.format || 'text',
           timestamp: timestamp,
           hostFile: hostOutputPath,
+          audioId: audioId,
           copied: true
         };
       } catch (error) {
@@ -123,23 +524,156 @@ function createMethods(config, stats) {
     },
 
     /**
-     * List available voices
-     * @param {object} options - Filter options (language)
-     * @returns {object} Available voices
+     * Synthesize text to an MP3 without playing it, so remote callers can
+     * fetch the audio over HTTP. Long text is chunked and joined into one file.
+     * @param {string} text - Text to vocalize
+     * @param {object} options - Speech options (voice, fallback, rate, pitch, volume, format, cache, audioFormat: mp3|wav|ogg|opus|pcm, sampleRate, wordTimings)
+     * @returns {object} Synthesis result with audioId and host file path
      */
-    listVoices: async (options = {}) => {
+    synthesize: async (text, options = {}) => {
       try {
-        const result = await callEdgeTts(containerName, 'list_voices', options);
-
-        // Extract text content from MCP response
-        if (result.content && result.content.length > 0 && result.content[0].text) {
-          return {
-            success: true,
-            voices: result.content[0].text
-          };
+        const timestamp = new Date().toISOString();
+        const preview = text.substring(0, 60) + (text.length > 60 ? '...' : '');
+        console.log(`[${timestamp}] 🎼 Synthesizing: "${preview}"`);
+
+        const prosody = normalizeProsody(options);
+        const input = resolveInput(text, options.format);
+        const target = normalizeAudioFormat(options.audioFormat, options.sampleRate);
+        const resolution = await resolveVoice(options);
+        const voice = resolution.voice;
+
+        const chunks = !input.ssml && text.length > chunkSize ? splitText(text, chunkSize) : [input.text];
+        const audioId = generateUniqueFilename('edge-tts', '');
+        const hostOutputPath = audioPath(audioId);
+
+        const results = await Promise.all(chunks.map((chunk, index) => limitSynthesis(() => {
+          const chunkPath = chunks.length > 1 ? path.join(tempDir, `${audioId}-part${index + 1}.mp3`) : hostOutputPath;
+          return synthesizeToFile(chunk, voice, chunkPath, prosody, { ...options, ssml: input.ssml });
+        })));
+
+        if (chunks.length > 1) {
+          const files = results.map(result => result.file);
+          await concatenateFiles(files, hostOutputPath);
+          await Promise.all(files.map(file => fs.unlink(file).catch(() => {})));
+          console.log(`📁 Concatenated ${files.length} chunks to: ${hostOutputPath}`);
         }
 
-        return { success: true, result };
+        const words = mergeWordTimings(results);
+        await saveWordTimings(audioId, words);
+
+        const audioFile = await audioVariant(audioId, target);
+        const fileStats = await fs.stat(audioFile);
+
+        return {
+          success: true,
+          audioId: audioId,
+          audioFile: audioFile,
+          audioFormat: target.format,
+          sampleRate: target.sampleRate,
+          contentType: target.contentType,
+          size: fileStats.size,
+          length: text.length,
+          voice: voice,
+          requestedVoice: resolution.requested,
+          voiceFallback: resolution.fallback,
+          prosody: prosody,
+          format: options.format || 'text',
+          timestamp: timestamp,
+          cached: results.every(result => result.cached),
+          chunks: chunks.length > 1 ? chunks.length : undefined,
+          subtitles: words ? `/audio/${audioId}/subtitles` : undefined,
+          words: options.wordTimings ? words : undefined
+        };
+      } catch (error) {
+        stats.incrementErrors();
+        console.error('[✗] Synthesize error:', error.message);
+        throw error;
+      }
+    },
+
+    /**
+     * Look up a previously generated audio file, converting it if needed
+     * @param {string} id - Audio id returned by synthesize/speak
+     * @param {object} options - Output format (format: mp3|wav|ogg|opus|pcm, sampleRate)
+     * @returns {Promise<{id: string, file: string, size: number, format: string, sampleRate: number|null, contentType: string}>} Audio file info
+     */
+    getAudio: async (id, options = {}) => {
+      if (!AUDIO_ID_PATTERN.test(id || '')) {
+        const error = new Error(`Invalid audio id: ${id}`);
+        error.code = 'INVALID_ARGUMENTS';
+        throw error;
+      }
+
+      const target = normalizeAudioFormat(options.format, options.sampleRate);
+
+      try {
+        await fs.access(audioPath(id));
+      } catch (err) {
+        const error = new Error(`Audio not found: ${id}`);
+        error.code = 'NOT_FOUND';
+        throw error;
+      }
+
+      const file = await audioVariant(id, target);
+      const fileStats = await fs.stat(file);
+      return {
+        id,
+        file,
+        size: fileStats.size,
+        format: target.format,
+        sampleRate: target.sampleRate,
+        contentType: target.contentType
+      };
+    },
+
+    /**
+     * Export the word timings of a generated audio file as subtitles
+     * @param {string} id - Audio id returned by synthesize/speak
+     * @param {object} options - Export options (format: vtt|srt, wordsPerCue, maxCueMs)
+     * @returns {Promise<{id: string, body: string, contentType: string, extension: string}>} Subtitle document
+     */
+    getSubtitles: async (id, options = {}) => {
+      if (!AUDIO_ID_PATTERN.test(id || '')) {
+        const error = new Error(`Invalid audio id: ${id}`);
+        error.code = 'INVALID_ARGUMENTS';
+        throw error;
+      }
+
+      let words;
+      try {
+        words = JSON.parse(await fs.readFile(wordTimingsPath(id), 'utf-8'));
+      } catch (err) {
+        const error = new Error(`Word timings not found for audio: ${id}`);
+        error.code = 'NOT_FOUND';
+        throw error;
+      }
+
+      const wordsPerCue = options.wordsPerCue !== undefined ? parseInt(options.wordsPerCue, 10) : undefined;
+      if (wordsPerCue !== undefined && !(wordsPerCue >= 1)) {
+        const error = new Error(`Invalid wordsPerCue: ${options.wordsPerCue}. Must be a positive integer`);
+        error.code = 'INVALID_ARGUMENTS';
+        throw error;
+      }
+
+      const subtitles = renderSubtitles(words, options.format || 'vtt', { wordsPerCue });
+      return { id, ...subtitles };
+    },
+
+    /**
+     * List available voices from the structured catalog
+     * @param {object} options - Filters (locale or language, gender, q, refresh)
+     * @returns {object} Matching voices
+     */
+    listVoices: async (options = {}) => {
+      try {
+        const result = await voices.list(options);
+        return {
+          success: true,
+          count: result.voices.length,
+          total: result.total,
+          fetchedAt: result.fetchedAt,
+          voices: result.voices
+        };
       } catch (error) {
         stats.incrementErrors();
         console.error('[✗] List voices error:', error.message);
@@ -147,6 +681,21 @@ function createMethods(config, stats) {
       }
     },
 
+    /**
+     * Get details for a single voice
+     * @param {string} name - Voice short name
+     * @returns {object} Voice details
+     */
+    getVoice: async (name) => {
+      const voice = await voices.get(name);
+      if (!voice) {
+        const error = new Error(`Voice not found: ${name}`);
+        error.code = 'NOT_FOUND';
+        throw error;
+      }
+      return { success: true, voice };
+    },
+
     /**
      * Play an existing MP3 file
      * @param {string} filePath - Path to MP3 file (host or container path)
@@ -175,17 +724,27 @@ function createMethods(config, stats) {
               await copyFromContainer(containerName, filePath, localPath);
               console.log(`📁 Copied from container to: ${localPath}`);
             } catch (copyErr) {
-              throw new Error(`File not found on host or in container: ${filePath}`);
+              const error = new Error(`File not found on host or in container: ${filePath}`);
+              error.code = 'NOT_FOUND';
+              throw error;
             }
           } else {
-            throw new Error(`File not found: ${filePath}`);
+            const error = new Error(`File not found: ${filePath}`);
+            error.code = 'NOT_FOUND';
+            throw error;
           }
         }
 
-        // Play the audio file
+        // Play the audio file through the shared queue
         console.log('🔊 Playing audio...');
-        await playAudio(localPath);
-        console.log('✅ Playback complete');
+        const { done } = queue.enqueue({
+          priority: options.priority,
+          player: options.player,
+          label: path.basename(localPath),
+          prepare: () => localPath
+        });
+        const item = await done;
+        console.log(`✅ Playback ${item.status} (${item.id})`);
 
         // Get file info
         const fileStats = await fs.stat(localPath);
@@ -196,7 +755,10 @@ function createMethods(config, stats) {
           filePath: localPath,
           fileSize: fileStats.size,
           timestamp: timestamp,
-          played: true
+          queueId: item.id,
+          status: item.status,
+          played: item.status === 'played',
+          player: item.player
         };
       } catch (error) {
         stats.incrementErrors();
@@ -205,12 +767,124 @@ function createMethods(config, stats) {
       }
     },
 
+    /**
+     * List tools discovered from the MCP server
+     * @param {object} options - List options (refresh)
+     * @returns {object} Tool definitions with input schemas
+     */
+    listTools: async (options = {}) => {
+      try {
+        const result = await tools.list(options);
+        return {
+          success: true,
+          count: result.tools.length,
+          tools: result.tools,
+          discoveredAt: result.discoveredAt
+        };
+      } catch (error) {
+        stats.incrementErrors();
+        console.error('[✗] List tools error:', error.message);
+        throw error;
+      }
+    },
+
+    /**
+     * Call any MCP tool by name after validating its arguments
+     * @param {string} name - Tool name
+     * @param {object} toolArgs - Tool arguments
+     * @returns {object} Tool result
+     */
+    callTool: async (name, toolArgs = {}) => {
+      try {
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] 🛠️  Calling tool: ${name}`);
+
+        const result = await tools.call(name, toolArgs);
+
+        return {
+          success: !result.isError,
+          tool: name,
+          content: result.content || [],
+          timestamp: timestamp
+        };
+      } catch (error) {
+        stats.incrementErrors();
+        console.error('[✗] Call tool error:', error.message);
+        throw error;
+      }
+    },
+
+    /**
+     * Get the playback queue
+     * @returns {object} Current, queued and recently finished utterances
+     */
+    getQueue: () => {
+      return queue.list();
+    },
+
+    /**
+     * Cancel a queued utterance (or stop it if it is playing)
+     * @param {string} id - Queue item id
+     * @returns {object} Cancelled item
+     */
+    cancelQueued: (id) => {
+      const item = queue.cancel(id);
+      if (!item) {
+        const error = new Error(`Queue item not found: ${id}`);
+        error.code = 'NOT_FOUND';
+        throw error;
+      }
+      return { success: true, item };
+    },
+
+    /**
+     * Skip the utterance that is currently playing
+     * @returns {object} Skipped item, or null if idle
+     */
+    skipCurrent: () => {
+      const item = queue.skip();
+      return { success: true, skipped: item };
+    },
+
+    /**
+     * Cancel every queued utterance
+     * @returns {object} Number of cancelled items
+     */
+    clearQueue: () => {
+      return { success: true, cancelled: queue.clear() };
+    },
+
+    /**
+     * Delete every cached synthesis
+     * @returns {object} Number of removed entries and bytes freed
+     */
+    clearCache: async () => {
+      const result = await cache.clear();
+      console.log(`🧹 Cleared synthesis cache (${result.removed} entries)`);
+      return { success: true, ...result };
+    },
+
+    // listArtifacts, deleteArtifact, sweepArtifacts
+    ...createArtifactMethods(retention),
+
+    /**
+     * Get the effective configuration with secrets redacted
+     * @returns {object} Settings, their sources and the config file used
+     */
+    getConfig: () => {
+      return { success: true, ...describeConfig(config.settings) };
+    },
+
     /**
      * Get service statistics
      * @returns {object} Service stats
      */
     getStats: () => {
-      return stats.getStats();
+      return {
+        ...stats.getStats(),
+        cache: cache.getStats(),
+        artifacts: retention.getStats()
+      };
     },
 
     /**
@@ -0,0 +1,405 @@
+// metrics.js - Prometheus metrics in the text exposition format
+// Counters, histograms and scrape-time gauges; one registry per process,
+// shared by the utilities that time MCP calls, docker cp, playback and AI
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; covers fast MCP calls up to slow AI requests
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Seconds; for work measured in the length of the audio or the script
+const LONG_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+/**
+ * Escape a label value for the text format
+ * @param {any} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {name="value",...}
+ * @param {object} labels - Label values by name
+ * @returns {string} Label block, or '' when there are no labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Render a sample value (Prometheus spells infinities +Inf/-Inf)
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Key for a label set, in label name order
+ * @param {string[]} labelNames - Declared label names
+ * @param {object} labels - Label values
+ * @returns {string} Series key
+ */
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+/**
+ * Keep only the declared labels
+ * @param {string[]} labelNames - Declared label names
+ * @param {object} labels - Label values
+ * @returns {object} Declared labels with values
+ */
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+}
+
+/**
+ * Create a metrics registry
+ * @returns {object} Registry with counter/gauge/histogram/render methods
+ */
+function createMetricsRegistry() {
+  // name -> metric; a name registered again returns the existing metric
+  const metrics = new Map();
+
+  /**
+   * Register a metric once
+   * @param {string} name - Metric name
+   * @param {string} type - counter | gauge | histogram
+   * @param {Function} create - () => metric
+   * @param {Function} collect - Scrape-time callback; replaces the existing one
+   * @returns {object} Registered metric
+   */
+  function register(name, type, create, collect) {
+    const existing = metrics.get(name);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+      }
+      // Read from the most recently created source (e.g. a new methods object)
+      if (collect) existing.collect = collect;
+      return existing;
+    }
+
+    const metric = create();
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  /**
+   * Samples of a metric's collect callback as [{labels, value}]
+   * @param {Function} collect - () => number | Array<{labels, value}> (may be async)
+   * @returns {Promise<Array<{labels: object, value: number}>>} Samples
+   */
+  async function collected(collect) {
+    const result = await collect();
+    if (Array.isArray(result)) return result;
+    return typeof result === 'number' ? [{ labels: {}, value: result }] : [];
+  }
+
+  /**
+   * Create a counter or gauge: values set in code, or read at scrape time
+   * @param {string} type - counter | gauge
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {object} options - labelNames, collect
+   * @returns {object} Metric
+   */
+  function createValueMetric(type, name, help, options) {
+    const { labelNames = [] } = options;
+    const series = new Map();
+
+    const metric = {
+      type,
+      name,
+      help,
+      collect: options.collect,
+
+      /**
+       * Add to a series (counters only go up)
+       * @param {object} labels - Label values
+       * @param {number} amount - Amount to add
+       */
+      inc: (labels = {}, amount = 1) => {
+        if (type === 'counter' && amount < 0) {
+          throw new Error(`Counter ${name} cannot decrease`);
+        }
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      },
+
+      /**
+       * Set a series to a value (gauges)
+       * @param {object} labels - Label values
+       * @param {number} value - New value
+       */
+      set: (labels, value) => {
+        series.set(seriesKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+      },
+
+      /**
+       * Current samples
+       * @returns {Promise<Array<{labels: object, value: number}>>} Samples
+       */
+      samples: async () => (metric.collect ? collected(metric.collect) : [...series.values()]),
+
+      /**
+       * Forget every series (tests)
+       */
+      reset: () => series.clear()
+    };
+
+    return metric;
+  }
+
+  /**
+   * Create a histogram
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {object} options - labelNames, buckets (upper bounds in seconds)
+   * @returns {object} Histogram
+   */
+  function createHistogram(name, help, options) {
+    const { labelNames = [] } = options;
+    const buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    const series = new Map();
+
+    const histogram = {
+      type: 'histogram',
+      name,
+      help,
+
+      /**
+       * Record one observation
+       * @param {object} labels - Label values
+       * @param {number} value - Observed value (seconds)
+       */
+      observe: (labels, value) => {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+
+        buckets.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+
+      /**
+       * Start timing; call the returned function to observe the elapsed time
+       * @param {object} labels - Label values known now
+       * @returns {Function} (moreLabels) => elapsed seconds
+       */
+      startTimer: (labels = {}) => {
+        const start = process.hrtime.bigint();
+        return (moreLabels = {}) => {
+          const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+          histogram.observe({ ...labels, ...moreLabels }, seconds);
+          return seconds;
+        };
+      },
+
+      /**
+       * Time an async operation, labelling it with outcome="success" or "error"
+       * @param {object} labels - Label values
+       * @param {Function} fn - async () => result
+       * @returns {Promise<any>} The operation's result
+       */
+      time: async (labels, fn) => {
+        const end = histogram.startTimer(labels);
+        try {
+          const result = await fn();
+          end({ outcome: 'success' });
+          return result;
+        } catch (error) {
+          end({ outcome: 'error' });
+          throw error;
+        }
+      },
+
+      /**
+       * Current series, with cumulative bucket counts
+       * @returns {Promise<Array<object>>} Series
+       */
+      samples: async () => [...series.values()].map(entry => ({ ...entry, buckets })),
+
+      /**
+       * Forget every series (tests)
+       */
+      reset: () => series.clear()
+    };
+
+    return histogram;
+  }
+
+  /**
+   * Render one metric
+   * @param {object} metric - Registered metric
+   * @returns {Promise<string[]>} Exposition lines
+   */
+  async function renderMetric(metric) {
+    const lines = [
+      `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${metric.name} ${metric.type}`
+    ];
+    const samples = await metric.samples();
+
+    if (metric.type !== 'histogram') {
+      samples.forEach(({ labels, value }) => {
+        lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(value)}`);
+      });
+      return lines;
+    }
+
+    samples.forEach(({ labels, buckets, counts, sum, count }) => {
+      buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+
+  return {
+    /**
+     * Get or register a counter
+     * @param {string} name - Metric name (ending in _total)
+     * @param {string} help - Help text
+     * @param {object} options - labelNames, collect (read the value at scrape time)
+     * @returns {object} Counter with inc
+     */
+    counter: (name, help, options = {}) => {
+      return register(name, 'counter', () => createValueMetric('counter', name, help, options), options.collect);
+    },
+
+    /**
+     * Get or register a gauge
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {object} options - labelNames, collect (read the value at scrape time)
+     * @returns {object} Gauge with set/inc
+     */
+    gauge: (name, help, options = {}) => {
+      return register(name, 'gauge', () => createValueMetric('gauge', name, help, options), options.collect);
+    },
+
+    /**
+     * Get or register a histogram
+     * @param {string} name - Metric name (ending in _seconds for durations)
+     * @param {string} help - Help text
+     * @param {object} options - labelNames, buckets
+     * @returns {object} Histogram with observe/startTimer/time
+     */
+    histogram: (name, help, options = {}) => {
+      return register(name, 'histogram', () => createHistogram(name, help, options));
+    },
+
+    /**
+     * Render every metric in the text exposition format. A failing collect
+     * callback drops its metric from this scrape instead of failing it.
+     * @returns {Promise<string>} Exposition text
+     */
+    render: async () => {
+      const rendered = await Promise.all([...metrics.values()].map(metric => renderMetric(metric).catch((err) => {
+        console.warn(`[Metrics] Failed to collect ${metric.name}: ${err.message}`);
+        return [];
+      })));
+      return `${rendered.flat().join('\n')}\n`;
+    },
+
+    /**
+     * Forget every recorded value (tests)
+     */
+    reset: () => {
+      metrics.forEach(metric => metric.reset());
+    }
+  };
+}
+
+// Registry shared by everything in this process
+const metrics = createMetricsRegistry();
+
+/**
+ * Express middleware counting requests and timing them per route. The route
+ * label is the matched route pattern (e.g. /audio/:id), so ids in paths do not
+ * create new series; requests that match no route are labelled "unmatched".
+ * @param {object} registry - Metrics registry
+ * @returns {Function} Express middleware
+ */
+function createHttpMetrics(registry = metrics) {
+  const requests = registry.counter('http_requests_total', 'HTTP requests by route, method and status', {
+    labelNames: ['method', 'route', 'status']
+  });
+  const duration = registry.histogram('http_request_duration_seconds', 'HTTP request latency by route and method', {
+    labelNames: ['method', 'route']
+  });
+
+  return (req, res, next) => {
+    const end = duration.startTimer();
+
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      end({ method: req.method, route });
+      requests.inc({ method: req.method, route, status: res.statusCode });
+    });
+
+    next();
+  };
+}
+
+/**
+ * Register process gauges (uptime, memory, start time)
+ * @param {object} registry - Metrics registry
+ */
+function registerProcessMetrics(registry = metrics) {
+  const startTime = Math.floor(Date.now() / 1000 - process.uptime());
+
+  registry.gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch', {
+    collect: () => startTime
+  });
+  registry.gauge('process_resident_memory_bytes', 'Resident memory size', {
+    collect: () => process.memoryUsage().rss
+  });
+  registry.gauge('nodejs_heap_used_bytes', 'V8 heap in use', {
+    collect: () => process.memoryUsage().heapUsed
+  });
+}
+
+/**
+ * Mount GET /metrics
+ * @param {object} app - Express application
+ * @param {Array<Function>} middleware - Auth/rate limit chain from the route registry
+ * @param {object} registry - Metrics registry
+ */
+function setupMetricsEndpoint(app, middleware, registry = metrics) {
+  app.get('/metrics', middleware, async (req, res) => {
+    res.set('Content-Type', CONTENT_TYPE).send(await registry.render());
+  });
+}
+
+module.exports = {
+  metrics,
+  createMetricsRegistry,
+  createHttpMetrics,
+  registerProcessMetrics,
+  setupMetricsEndpoint,
+  DEFAULT_BUCKETS,
+  LONG_BUCKETS,
+  CONTENT_TYPE
+};
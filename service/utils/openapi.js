@@ -0,0 +1,258 @@
+// openapi.js - OpenAPI 3.1 document and docs page generated from the route registry
+// Routes and RPC methods are described once in request-schemas.js
+
+const { AUDIO_FORMATS } = require('./transcoder');
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: { type: 'string' },
+    details: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { field: { type: 'string' }, message: { type: 'string' } }
+      }
+    }
+  }
+};
+
+// Shared error responses, referenced by operations that can produce them
+const ERROR_RESPONSES = {
+  BadRequest: 'Invalid request; details lists each invalid field',
+  Unauthorized: 'Missing or unknown API key',
+  Forbidden: 'The API key lacks the required scope',
+  NotFound: 'Not found',
+  TooManyRequests: 'Rate limit exceeded; retry after the Retry-After header (seconds)'
+};
+
+const BINARY = { schema: { type: 'string', format: 'binary' } };
+const SUBTITLE_TYPES = ['text/vtt', 'application/x-subrip'];
+
+/**
+ * Convert an Express path to an OpenAPI path (/audio/:id -> /audio/{id})
+ * @param {string} routePath - Express path
+ * @returns {string} OpenAPI path
+ */
+function toOpenApiPath(routePath) {
+  return routePath.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Turn the properties of an object schema into operation parameters
+ * @param {object|undefined} schema - Object schema for params or query
+ * @param {string} location - 'path' or 'query'
+ * @returns {Array<object>} Parameter objects
+ */
+function toParameters(schema, location) {
+  if (!schema || !schema.properties) return [];
+
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...propertySchema } = property;
+    const parameter = {
+      name,
+      in: location,
+      required: location === 'path' || required.includes(name),
+      schema: propertySchema
+    };
+    if (description) parameter.description = description;
+    return parameter;
+  });
+}
+
+/**
+ * Success response for a route's response type
+ * @param {string} type - json | audio | subtitles | html | metrics | none
+ * @returns {object} Responses keyed by status code
+ */
+function successResponses(type) {
+  switch (type) {
+    case 'audio': {
+      const content = Object.fromEntries(Object.values(AUDIO_FORMATS).map(format => [format.contentType, BINARY]));
+      return {
+        200: { description: 'Audio bytes', content },
+        206: { description: 'Requested byte range of the audio', content }
+      };
+    }
+    case 'subtitles':
+      return { 200: { description: 'Subtitles', content: Object.fromEntries(SUBTITLE_TYPES.map(contentType => [contentType, { schema: { type: 'string' } }])) } };
+    case 'html':
+      return { 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } };
+    case 'metrics':
+      return { 200: { description: 'Prometheus text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } } };
+    case 'none':
+      return { 204: { description: 'Done' } };
+    default:
+      return { 200: { description: 'Success', content: { 'application/json': { schema: {} } } } };
+  }
+}
+
+/**
+ * Build the operation object for one route
+ * @param {object} route - Route definition from the registry
+ * @returns {object} OpenAPI operation
+ */
+function toOperation(route) {
+  const operation = { summary: route.summary };
+  if (route.description) operation.description = route.description;
+  if (route.tag) operation.tags = [route.tag];
+
+  const parameters = [...toParameters(route.params, 'path'), ...toParameters(route.query, 'query')];
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (route.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: route.body } }
+    };
+  }
+
+  const responses = successResponses(route.response);
+  const reference = name => ({ $ref: `#/components/responses/${name}` });
+  if (route.params || route.query || route.body) responses[400] = reference('BadRequest');
+  if (route.params) responses[404] = reference('NotFound');
+
+  if (route.scope) {
+    operation.security = [{ bearerAuth: [] }, { apiKeyHeader: [] }];
+    operation['x-required-scope'] = route.scope;
+    responses[401] = reference('Unauthorized');
+    responses[403] = reference('Forbidden');
+  } else {
+    operation.security = [];
+  }
+
+  if (route.routeClass) {
+    operation['x-rate-limit-class'] = route.routeClass;
+    responses[429] = reference('TooManyRequests');
+  }
+
+  operation.responses = responses;
+  return operation;
+}
+
+/**
+ * Describe RPC methods (for POST /rpc and /jsonrpc) as an extension, in call order
+ * @param {object} methodSchemas - Method schemas ({ description, scope?, routeClass?, params })
+ * @returns {object} Methods keyed by name
+ */
+function toRpcMethods(methodSchemas) {
+  return Object.fromEntries(Object.entries(methodSchemas).map(([name, method]) => [name, {
+    description: method.description,
+    scope: method.scope || 'read',
+    ...(method.routeClass ? { rateLimitClass: method.routeClass } : {}),
+    params: method.params.map(param => ({ name: param.name, required: Boolean(param.required), schema: param.schema }))
+  }]));
+}
+
+/**
+ * Generate an OpenAPI 3.1 document from a route registry
+ * @param {object} options - Document options
+ * @param {string} options.title - API title
+ * @param {string} options.version - API version
+ * @param {string} options.description - API description
+ * @param {object} options.routes - Routes keyed by "METHOD /path"
+ * @param {object} options.methods - RPC method schemas, if the service has an RPC endpoint
+ * @returns {object} OpenAPI document
+ */
+function buildOpenApiDocument(options) {
+  const { title, version, description, routes, methods } = options;
+  const paths = {};
+
+  for (const [key, route] of Object.entries(routes)) {
+    const [httpMethod, routePath] = key.split(' ');
+    const openApiPath = toOpenApiPath(routePath);
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][httpMethod.toLowerCase()] = toOperation(route);
+  }
+
+  const document = {
+    openapi: '3.1.0',
+    info: { title, version, description },
+    servers: [{ url: '/' }],
+    tags: [...new Set(Object.values(routes).map(route => route.tag).filter(Boolean))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key as a bearer token (only enforced when keys are configured)' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'API key header (only enforced when keys are configured)' }
+      },
+      schemas: { Error: ERROR_SCHEMA },
+      responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([name, text]) => [name, {
+        description: text,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      }]))
+    }
+  };
+
+  if (methods) {
+    document['x-rpc-methods'] = toRpcMethods(methods);
+  }
+
+  return document;
+}
+
+/**
+ * One-line endpoint list for the root documentation
+ * @param {object} routes - Routes keyed by "METHOD /path"
+ * @returns {object} Summaries keyed by "METHOD /path"
+ */
+function listEndpoints(routes) {
+  return Object.fromEntries(Object.entries(routes).map(([key, route]) => [key, route.summary]));
+}
+
+/**
+ * Routes that need no API key
+ * @param {object} routes - Routes keyed by "METHOD /path"
+ * @returns {Array<string>} Route keys
+ */
+function publicEndpoints(routes) {
+  return Object.keys(routes).filter(key => !routes[key].scope);
+}
+
+/**
+ * Interactive docs page (Swagger UI from a CDN) over /openapi.json
+ * @param {string} title - Page title
+ * @returns {string} HTML
+ */
+function docsPage(title) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"><p>Loading <a href="openapi.json">openapi.json</a>…</p></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: 'openapi.json', dom_id: '#docs', persistAuthorization: true });
+  </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Mount GET /openapi.json and GET /docs (both public)
+ * @param {object} app - Express application
+ * @param {object} document - OpenAPI document from buildOpenApiDocument
+ */
+function setupApiDocs(app, document) {
+  app.get('/openapi.json', (req, res) => {
+    res.json(document);
+  });
+
+  app.get('/docs', (req, res) => {
+    res.type('html').send(docsPage(`${document.info.title} ${document.info.version}`));
+  });
+}
+
+module.exports = {
+  buildOpenApiDocument,
+  listEndpoints,
+  publicEndpoints,
+  setupApiDocs
+};
@@ -0,0 +1,72 @@
+// prosody.js - Rate, pitch and volume option handling
+// Normalizes caller input into the signed strings edge-tts expects ("+10%", "-5Hz")
+
+// Accepted ranges per option, in the option's unit
+const PROSODY_LIMITS = {
+  rate: { unit: '%', min: -100, max: 200 },
+  volume: { unit: '%', min: -100, max: 100 },
+  pitch: { unit: 'Hz', min: -100, max: 100 }
+};
+
+/**
+ * Build an INVALID_ARGUMENTS error
+ * @param {string} message - Error message
+ * @returns {Error} Error with code set
+ */
+function invalid(message) {
+  const error = new Error(`Invalid prosody: ${message}`);
+  error.code = 'INVALID_ARGUMENTS';
+  return error;
+}
+
+/**
+ * Normalize a single prosody value
+ * @param {string} name - Option name (rate, pitch, volume)
+ * @param {string|number} value - Number (e.g. 10, -20) or signed string (e.g. "+10%", "-5Hz")
+ * @returns {string} Normalized signed string
+ */
+function normalizeValue(name, value) {
+  const { unit, min, max } = PROSODY_LIMITS[name];
+  let amount;
+
+  if (typeof value === 'number') {
+    amount = value;
+  } else if (typeof value === 'string') {
+    const match = value.trim().match(new RegExp(`^([+-]?\\d+(?:\\.\\d+)?)\\s*(${unit})?$`, 'i'));
+    if (!match) {
+      throw invalid(`${name} must be a number or a signed ${unit} value like "+10${unit}" (got "${value}")`);
+    }
+    amount = parseFloat(match[1]);
+  } else {
+    throw invalid(`${name} must be a number or string`);
+  }
+
+  if (!Number.isFinite(amount) || amount < min || amount > max) {
+    throw invalid(`${name} must be between ${min}${unit} and +${max}${unit}`);
+  }
+
+  const rounded = Math.round(amount);
+  return `${rounded >= 0 ? '+' : ''}${rounded}${unit}`;
+}
+
+/**
+ * Extract and validate prosody options
+ * @param {object} options - Speech options that may contain rate, pitch, volume
+ * @returns {object} Normalized prosody (only the options that were given)
+ */
+function normalizeProsody(options = {}) {
+  const prosody = {};
+
+  for (const name of Object.keys(PROSODY_LIMITS)) {
+    if (options[name] !== undefined && options[name] !== null) {
+      prosody[name] = normalizeValue(name, options[name]);
+    }
+  }
+
+  return prosody;
+}
+
+module.exports = {
+  normalizeProsody,
+  PROSODY_LIMITS
+};
@@ -0,0 +1,261 @@
+// queue.js - Speech playback queue
+// Plays one utterance at a time, ordered by priority then arrival
+
+const PRIORITIES = {
+  urgent: 0,
+  high: 1,
+  normal: 2,
+  low: 3
+};
+
+// Number of finished items kept for GET /queue
+const HISTORY_SIZE = 50;
+
+/**
+ * Create a playback queue
+ * @param {object} options - Queue options
+ * @param {function} options.play - async (filePath, { signal, player? }) => result, performs playback
+ * @returns {object} Queue with enqueue/cancel/skip/clear/list methods
+ */
+function createPlaybackQueue(options) {
+  const { play } = options;
+
+  const queued = [];
+  const history = [];
+  let current = null;
+  let sequence = 0;
+  let processing = false;
+
+  /**
+   * Public view of a queue item
+   * @param {object} item - Internal queue item
+   * @returns {object} Serializable item
+   */
+  function describe(item) {
+    return {
+      id: item.id,
+      priority: item.priority,
+      status: item.status,
+      label: item.label,
+      audioFile: item.audioFile || null,
+      player: item.player || null,
+      enqueuedAt: item.enqueuedAt,
+      startedAt: item.startedAt || null,
+      finishedAt: item.finishedAt || null,
+      error: item.error || null
+    };
+  }
+
+  /**
+   * Hand the item's audio to its discard hook once preparation settles
+   * (cancelled work may still be synthesizing)
+   * @param {object} item - Queue item
+   */
+  function discardAudio(item) {
+    if (!item.discard) return;
+    item.audio.then(file => item.discard(file)).catch((error) => {
+      console.error(`[✗] Could not discard audio of ${item.id}:`, error.message);
+    });
+  }
+
+  /**
+   * Move an item to history and settle its promise
+   * @param {object} item - Queue item
+   * @param {string} status - Final status
+   * @param {Error} error - Failure reason, if any
+   */
+  function finish(item, status, error) {
+    item.status = status;
+    item.finishedAt = new Date().toISOString();
+
+    // Audio that never started playing has no further use
+    if (status === 'cancelled' || (status === 'skipped' && !item.startedAt)) {
+      discardAudio(item);
+    }
+
+    history.unshift(item);
+    if (history.length > HISTORY_SIZE) {
+      history.pop();
+    }
+
+    if (error) {
+      item.error = error.message;
+      item.reject(error);
+    } else {
+      item.resolve(describe(item));
+    }
+  }
+
+  /**
+   * Play queued items until the queue is empty
+   */
+  async function processQueue() {
+    if (processing) return;
+    processing = true;
+
+    while (queued.length > 0) {
+      const item = queued.shift();
+      current = item;
+      item.status = 'preparing';
+
+      try {
+        // Audio may still be synthesizing; order is kept by waiting here
+        item.audioFile = await item.audio;
+
+        if (item.controller.signal.aborted) {
+          finish(item, 'skipped');
+        } else {
+          item.status = 'playing';
+          item.startedAt = new Date().toISOString();
+          const playOptions = { signal: item.controller.signal };
+          if (item.requestedPlayer) {
+            playOptions.player = item.requestedPlayer;
+          }
+          const result = await play(item.audioFile, playOptions);
+          item.player = result && result.player;
+          finish(item, item.controller.signal.aborted ? 'skipped' : 'played');
+        }
+      } catch (error) {
+        if (item.controller.signal.aborted) {
+          // Preparation gave up because the item was skipped
+          finish(item, 'skipped');
+        } else {
+          finish(item, 'failed', error);
+        }
+      }
+
+      current = null;
+    }
+
+    processing = false;
+  }
+
+  return {
+    /**
+     * Add an utterance to the queue
+     * @param {object} job - Job description
+     * @param {function} job.prepare - async (signal) => audio file path, started immediately;
+     *   the signal aborts when the item is cancelled or skipped
+     * @param {function} job.discard - async (filePath) => void, removes the audio of an item
+     *   that ends without playing (optional; files the caller owns are left alone)
+     * @param {string} job.priority - urgent | high | normal | low
+     * @param {string} job.label - Short description (e.g. text preview)
+     * @param {string} job.player - Audio player override for this item (default: the queue's)
+     * @returns {{id: string, done: Promise<object>}} Queue id and completion promise
+     */
+    enqueue: (job) => {
+      const priority = job.priority || 'normal';
+      if (PRIORITIES[priority] === undefined) {
+        const error = new Error(`Invalid priority: ${priority}. Use one of: ${Object.keys(PRIORITIES).join(', ')}`);
+        error.code = 'INVALID_ARGUMENTS';
+        throw error;
+      }
+
+      const item = {
+        id: `utt-${++sequence}`,
+        priority,
+        label: job.label || '',
+        requestedPlayer: job.player,
+        discard: job.discard,
+        controller: new AbortController(),
+        status: 'queued',
+        enqueuedAt: new Date().toISOString()
+      };
+      item.audio = Promise.resolve().then(() => job.prepare(item.controller.signal));
+
+      // Mark a rejected synthesis as handled; it surfaces through `done`
+      item.audio.catch(() => {});
+
+      const done = new Promise((resolve, reject) => {
+        item.resolve = resolve;
+        item.reject = reject;
+      });
+
+      // Insert after every item of the same or higher priority
+      const index = queued.findIndex(other => PRIORITIES[other.priority] > PRIORITIES[priority]);
+      if (index === -1) {
+        queued.push(item);
+      } else {
+        queued.splice(index, 0, item);
+      }
+
+      const position = queued.indexOf(item);
+      processQueue();
+      return { id: item.id, position, done };
+    },
+
+    /**
+     * Cancel a queued item, or skip it if it is already playing
+     * @param {string} id - Queue item id
+     * @returns {object|null} Cancelled item, or null if not found
+     */
+    cancel: (id) => {
+      if (current && current.id === id) {
+        current.controller.abort();
+        return describe(current);
+      }
+
+      const index = queued.findIndex(item => item.id === id);
+      if (index === -1) {
+        return null;
+      }
+
+      const [item] = queued.splice(index, 1);
+      item.controller.abort();
+      finish(item, 'cancelled');
+      return describe(item);
+    },
+
+    /**
+     * Stop the utterance that is currently playing
+     * @returns {object|null} Skipped item, or null if nothing is playing
+     */
+    skip: () => {
+      if (!current) {
+        return null;
+      }
+
+      current.controller.abort();
+      return describe(current);
+    },
+
+    /**
+     * Cancel every queued item (the current one keeps playing)
+     * @returns {number} Number of cancelled items
+     */
+    clear: () => {
+      const cancelled = queued.splice(0, queued.length);
+      cancelled.forEach((item) => {
+        item.controller.abort();
+        finish(item, 'cancelled');
+      });
+      return cancelled.length;
+    },
+
+    /**
+     * Snapshot of the queue
+     * @returns {object} Current, queued and recently finished items
+     */
+    list: () => {
+      return {
+        current: current ? describe(current) : null,
+        queued: queued.map(describe),
+        recent: history.map(describe),
+        depth: queued.length + (current ? 1 : 0)
+      };
+    },
+
+    /**
+     * Number of items queued or playing
+     * @returns {number} Queue depth
+     */
+    depth: () => {
+      return queued.length + (current ? 1 : 0);
+    }
+  };
+}
+
+module.exports = {
+  createPlaybackQueue,
+  PRIORITIES
+};
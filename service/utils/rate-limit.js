@@ -0,0 +1,183 @@
+// rate-limit.js - Token-bucket rate limiting per client and route class
+// Clients are identified by API key label when authenticated, otherwise by IP
+
+// Route classes with their default limits: `burst` requests at once,
+// refilled at `perMinute` (0 disables limiting for the class)
+const DEFAULT_LIMITS = {
+  speech: { burst: 20, perMinute: 60 },
+  ai: { burst: 5, perMinute: 10 },
+  execute: { burst: 10, perMinute: 30 }
+};
+
+// Throttled clients remembered for /stats (least recently throttled dropped
+// first) and how many of them getStats reports
+const MAX_THROTTLED_CLIENTS = 1000;
+const TOP_THROTTLED_CLIENTS = 20;
+
+/**
+ * Identify the client making a request
+ * @param {object} req - Express request (after auth.authenticate)
+ * @returns {string} Client id: key:<label> or ip:<address>
+ */
+function clientId(req) {
+  if (req.auth && req.auth.authenticated) {
+    return `key:${req.auth.label}`;
+  }
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Create a rate limiter
+ * @param {object} options - Limiter options
+ * @param {object} options.limits - Per-class overrides of { burst, perMinute }
+ * @param {number} options.pruneIntervalMs - How often idle buckets are dropped
+ * @returns {object} Limiter with limit/take/getStats/stop methods
+ */
+function createRateLimiter(options = {}) {
+  const { limits = {}, pruneIntervalMs = 60 * 1000 } = options;
+
+  const effectiveLimits = {};
+  for (const routeClass of Object.keys(DEFAULT_LIMITS)) {
+    effectiveLimits[routeClass] = { ...DEFAULT_LIMITS[routeClass], ...(limits[routeClass] || {}) };
+  }
+
+  // `${routeClass}|${client}` -> { tokens, updatedAt }
+  const buckets = new Map();
+  const counters = {};
+  for (const routeClass of Object.keys(effectiveLimits)) {
+    counters[routeClass] = { allowed: 0, throttled: 0 };
+  }
+  // Client id -> throttled request count, least recently throttled first
+  const throttledClients = new Map();
+
+  /**
+   * Try to take a token for a client
+   * @param {string} routeClass - Route class (speech, ai, execute)
+   * @param {string} client - Client id
+   * @returns {{allowed: boolean, remaining: number, retryAfterMs: number}} Outcome
+   */
+  function take(routeClass, client) {
+    const limit = effectiveLimits[routeClass];
+    if (!limit || !limit.perMinute) {
+      return { allowed: true, remaining: Infinity, retryAfterMs: 0 };
+    }
+
+    const now = Date.now();
+    const perMs = limit.perMinute / 60000;
+    const key = `${routeClass}|${client}`;
+    const bucket = buckets.get(key) || { tokens: limit.burst, updatedAt: now };
+
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) * perMs);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      counters[routeClass].allowed++;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+    }
+
+    counters[routeClass].throttled++;
+    const throttledCount = (throttledClients.get(client) || 0) + 1;
+    throttledClients.delete(client);
+    throttledClients.set(client, throttledCount);
+    if (throttledClients.size > MAX_THROTTLED_CLIENTS) {
+      throttledClients.delete(throttledClients.keys().next().value);
+    }
+    return { allowed: false, remaining: 0, retryAfterMs: Math.ceil((1 - bucket.tokens) / perMs) };
+  }
+
+  /**
+   * Drop buckets that have refilled completely (same as having no bucket)
+   */
+  function prune() {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      const limit = effectiveLimits[key.split('|')[0]];
+      if (bucket.tokens + (now - bucket.updatedAt) * (limit.perMinute / 60000) >= limit.burst) {
+        buckets.delete(key);
+      }
+    }
+  }
+
+  const timer = setInterval(prune, pruneIntervalMs);
+  // Never keep the process alive just for pruning
+  timer.unref();
+
+  return {
+    take,
+
+    /**
+     * Take a token for the client making a request (for callers that report
+     * throttling themselves, such as JSON-RPC batches)
+     * @param {object} req - Express request (after auth.authenticate)
+     * @param {string} routeClass - Route class (speech, ai, execute)
+     * @returns {{allowed: boolean, remaining: number, retryAfterMs: number}} Outcome
+     */
+    check: (req, routeClass) => take(routeClass, clientId(req)),
+
+    /**
+     * Middleware that applies a route class limit (429 with Retry-After when exhausted)
+     * @param {string} routeClass - Route class (speech, ai, execute)
+     * @returns {Function} Express middleware
+     */
+    limit: (routeClass) => (req, res, next) => {
+      const client = clientId(req);
+      const outcome = take(routeClass, client);
+      const limit = effectiveLimits[routeClass];
+
+      if (outcome.allowed) {
+        if (limit.perMinute) {
+          res.set('X-RateLimit-Limit', String(limit.burst));
+          res.set('X-RateLimit-Remaining', String(outcome.remaining));
+        }
+        return next();
+      }
+
+      const retryAfter = Math.ceil(outcome.retryAfterMs / 1000);
+      console.warn(`[RateLimit] Throttled ${client} on ${routeClass} (retry in ${retryAfter}s)`);
+
+      res.set('Retry-After', String(retryAfter));
+      res.set('X-RateLimit-Limit', String(limit.burst));
+      res.set('X-RateLimit-Remaining', '0');
+      res.status(429).json({
+        error: `Rate limit exceeded for ${routeClass} requests`,
+        routeClass,
+        limit,
+        retryAfter
+      });
+    },
+
+    /**
+     * Get rate limiting statistics
+     * @returns {object} Limits and counters per class, the most throttled clients, active bucket count
+     */
+    getStats: () => {
+      const classes = {};
+      for (const routeClass of Object.keys(effectiveLimits)) {
+        classes[routeClass] = { ...effectiveLimits[routeClass], ...counters[routeClass] };
+      }
+      const topThrottled = [...throttledClients]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_THROTTLED_CLIENTS);
+      return {
+        classes,
+        throttledClients: Object.fromEntries(topThrottled),
+        throttledClientCount: throttledClients.size,
+        activeBuckets: buckets.size
+      };
+    },
+
+    /**
+     * Stop the idle bucket pruner
+     */
+    stop: () => {
+      clearInterval(timer);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  createRateLimiter
+};
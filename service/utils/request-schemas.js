@@ -0,0 +1,448 @@
+// request-schemas.js - Route and RPC method registry: descriptions, scopes and request schemas
+// Validated by validation.js and published by openapi.js; query and path values always arrive as strings
+
+const { PRIORITIES } = require('./queue');
+
+// Longest text accepted for speech, synthesis and summarization
+const MAX_TEXT_LENGTH = 100000;
+
+const TEXT = { type: 'string', minLength: 1, maxLength: MAX_TEXT_LENGTH, description: 'Text to process' };
+const PROSODY_VALUE = { type: ['string', 'number'] };
+const AUDIO_FORMAT = { type: 'string', enum: ['mp3', 'wav', 'ogg', 'opus', 'pcm', 'raw'] };
+const AUDIO_ID = { type: 'string', pattern: '^[A-Za-z0-9_-]+$', maxLength: 200, description: 'Audio id returned by speak/synthesize' };
+const ARTIFACT_ID = { type: 'string', pattern: '^[\\w.-]+$', maxLength: 200, description: 'Artifact id (filename)' };
+const FILE_PATH = { type: 'string', minLength: 1, maxLength: 4096 };
+const FLAG = { type: 'string', enum: ['0', '1', 'true', 'false'] };
+const DIGITS = { type: 'string', pattern: '^\\d+$' };
+
+const SPEECH_OPTIONS = {
+  type: 'object',
+  properties: {
+    voice: { type: 'string', minLength: 1, maxLength: 100 },
+    fallback: { type: 'boolean' },
+    rate: PROSODY_VALUE,
+    pitch: PROSODY_VALUE,
+    volume: PROSODY_VALUE,
+    format: { type: 'string', enum: ['text', 'ssml', 'markup'] },
+    priority: { type: 'string', enum: Object.keys(PRIORITIES) },
+    wait: { type: 'boolean' },
+    cache: { type: 'boolean' },
+    chunkMode: { type: 'string', enum: ['stream', 'concat'] },
+    wordTimings: { type: 'boolean' },
+    audioFormat: AUDIO_FORMAT,
+    sampleRate: { type: ['integer', 'string'] }
+  },
+  additionalProperties: false
+};
+
+const AI_OPTIONS = {
+  type: 'object',
+  properties: {
+    maxLength: { type: 'integer', minimum: 1, maximum: 10000 },
+    style: { type: 'string', minLength: 1, maxLength: 100 },
+    model: { type: 'string', minLength: 1, maxLength: 200 }
+  },
+  additionalProperties: false
+};
+
+const PLAYBACK_OPTIONS = {
+  type: 'object',
+  properties: {
+    player: { type: 'string', minLength: 1 },
+    priority: { type: 'string', enum: Object.keys(PRIORITIES) }
+  },
+  additionalProperties: false
+};
+
+const VOICE_FILTERS = {
+  type: 'object',
+  properties: {
+    locale: { type: 'string', maxLength: 50 },
+    language: { type: 'string', maxLength: 50 },
+    gender: { type: 'string', maxLength: 20 },
+    q: { type: 'string', maxLength: 200 },
+    refresh: { type: ['boolean', 'string'] }
+  }
+};
+
+const SPEAK_BODY = {
+  type: 'object',
+  required: ['text'],
+  properties: { text: TEXT, options: SPEECH_OPTIONS }
+};
+
+const FILE_QUERY = {
+  type: 'object',
+  required: ['filePath'],
+  properties: { filePath: { ...FILE_PATH, description: 'Path of the input file' } }
+};
+
+const ARTIFACT_FILTERS = {
+  type: 'object',
+  properties: { type: { type: 'string', maxLength: 20, description: 'audio, stdout, stderr, code or script' } }
+};
+
+const JSONRPC_BODY = {
+  type: ['object', 'array'],
+  description: 'A JSON-RPC 2.0 request { jsonrpc: "2.0", method, params?, id? } or a batch of them'
+};
+
+// Edge TTS service routes, keyed by "METHOD /path". Besides the request
+// schemas each route names its auth scope (none = public), rate limit class
+// and response type ('json' unless set); openapi.js documents them from here.
+const EDGE_TTS_ROUTES = {
+  'POST /rpc': {
+    summary: 'Call a service method { method, args }',
+    description: 'Methods may need more than read and some are rate limited; see x-rpc-methods for each method\'s parameters, scope and rate limit class.',
+    tag: 'rpc',
+    scope: 'read',
+    body: {
+      type: 'object',
+      required: ['method'],
+      properties: {
+        method: { type: 'string', minLength: 1, maxLength: 100, description: 'Method name' },
+        args: { type: 'array', maxItems: 10, description: 'Positional arguments' }
+      }
+    }
+  },
+  'POST /jsonrpc': {
+    summary: 'JSON-RPC 2.0 calls, batches and notifications over the service methods',
+    description: 'Params may be positional (array) or named (object). Each call needs the scope of its method (see x-rpc-methods).',
+    tag: 'rpc',
+    scope: 'read',
+    body: JSONRPC_BODY
+  },
+  'POST /mcp': {
+    summary: 'MCP server (streamable HTTP) with tools speak, summarize, list_voices, play_mp3',
+    description: 'Also available over stdio with --mcp-stdio. Initialize returns an Mcp-Session-Id header.',
+    tag: 'mcp',
+    scope: 'read',
+    body: JSONRPC_BODY
+  },
+  'DELETE /mcp': { summary: 'End an MCP session (Mcp-Session-Id header)', tag: 'mcp', scope: 'read', response: 'none' },
+  'POST /speak': { summary: 'Speak text through the playback queue', tag: 'speech', scope: 'speak', routeClass: 'speech', body: SPEAK_BODY },
+  'POST /synthesize': {
+    summary: 'Synthesize without playing and return the audio bytes',
+    description: 'Supports Range requests; ?format= and ?sampleRate= convert the audio, ?download=1 sends an attachment.',
+    tag: 'speech',
+    scope: 'speak',
+    routeClass: 'speech',
+    response: 'audio',
+    query: {
+      type: 'object',
+      properties: { format: AUDIO_FORMAT, sampleRate: DIGITS, download: FLAG }
+    },
+    body: SPEAK_BODY
+  },
+  'GET /audio/:id': {
+    summary: 'Fetch previously generated audio by audioId',
+    description: 'Supports Range requests; ?format= and ?sampleRate= convert the audio, ?download=1 sends an attachment.',
+    tag: 'audio',
+    scope: 'read',
+    response: 'audio',
+    params: { type: 'object', properties: { id: AUDIO_ID } },
+    query: {
+      type: 'object',
+      properties: { format: AUDIO_FORMAT, sampleRate: DIGITS, download: FLAG }
+    }
+  },
+  'GET /audio/:id/subtitles': {
+    summary: 'Word timings of generated audio as WebVTT or SRT subtitles',
+    tag: 'audio',
+    scope: 'read',
+    response: 'subtitles',
+    params: { type: 'object', properties: { id: AUDIO_ID } },
+    query: {
+      type: 'object',
+      properties: { format: { type: 'string', enum: ['vtt', 'srt'] }, wordsPerCue: DIGITS, download: FLAG }
+    }
+  },
+  'POST /summarize': {
+    summary: 'Summarize text using Docker AI',
+    tag: 'ai',
+    scope: 'speak',
+    routeClass: 'ai',
+    body: {
+      type: 'object',
+      required: ['text'],
+      properties: { text: TEXT, options: AI_OPTIONS }
+    }
+  },
+  'GET /speak-from-file': {
+    summary: 'Speak the text in a file, then delete the file (for Copilot)',
+    tag: 'speech',
+    scope: 'speak',
+    routeClass: 'speech',
+    query: FILE_QUERY
+  },
+  'GET /speak-debug-output': {
+    summary: 'Speak the text in a file and keep a copy of the MP3 in the temp directory (for debugging)',
+    tag: 'speech',
+    scope: 'speak',
+    routeClass: 'speech',
+    query: FILE_QUERY
+  },
+  'GET /play-mp3': {
+    summary: 'Play an existing MP3 file from the host or the container',
+    tag: 'playback',
+    scope: 'speak',
+    routeClass: 'speech',
+    query: FILE_QUERY
+  },
+  'POST /play-mp3': {
+    summary: 'Play an existing MP3 file { filePath, options? }',
+    tag: 'playback',
+    scope: 'speak',
+    routeClass: 'speech',
+    body: {
+      type: 'object',
+      required: ['filePath'],
+      properties: { filePath: FILE_PATH, options: PLAYBACK_OPTIONS }
+    }
+  },
+  'GET /voices': {
+    summary: 'Voice catalog, filtered by locale prefix, gender or text search',
+    tag: 'voices',
+    scope: 'read',
+    query: VOICE_FILTERS
+  },
+  'GET /voices/:name': {
+    summary: 'Details for a single voice',
+    tag: 'voices',
+    scope: 'read',
+    params: { type: 'object', properties: { name: { type: 'string', minLength: 1, maxLength: 100 } } }
+  },
+  'GET /queue': { summary: 'Playback queue (current, queued, recent)', tag: 'queue', scope: 'read' },
+  'DELETE /queue/:id': {
+    summary: 'Cancel a queued utterance (stops it if playing)',
+    tag: 'queue',
+    scope: 'speak',
+    params: { type: 'object', properties: { id: { type: 'string', minLength: 1, maxLength: 100 } } }
+  },
+  'POST /queue/skip': { summary: 'Skip the utterance that is currently playing', tag: 'queue', scope: 'speak' },
+  'POST /queue/clear': { summary: 'Cancel every queued utterance', tag: 'queue', scope: 'speak' },
+  'DELETE /cache': { summary: 'Clear the synthesis cache', tag: 'admin', scope: 'admin' },
+  'GET /artifacts': {
+    summary: 'Generated files in the temp directory with sizes and retention policy',
+    tag: 'artifacts',
+    scope: 'read',
+    query: ARTIFACT_FILTERS
+  },
+  'DELETE /artifacts/:id': {
+    summary: 'Delete a generated file by id (filename)',
+    tag: 'artifacts',
+    scope: 'admin',
+    params: { type: 'object', properties: { id: ARTIFACT_ID } }
+  },
+  'POST /artifacts/sweep': { summary: 'Apply the retention policy now', tag: 'artifacts', scope: 'admin' },
+  'GET /tools': {
+    summary: 'List MCP tools discovered from the Edge TTS server',
+    tag: 'tools',
+    scope: 'read',
+    query: { type: 'object', properties: { refresh: FLAG } }
+  },
+  'POST /tools/:name': {
+    summary: 'Call an MCP tool by name (body is the tool arguments)',
+    tag: 'tools',
+    scope: 'speak',
+    routeClass: 'speech',
+    params: { type: 'object', properties: { name: { type: 'string', pattern: '^[\\w.-]+$', maxLength: 100 } } },
+    body: { type: 'object' }
+  },
+  'GET /config': { summary: 'Effective configuration with its sources (secrets redacted)', tag: 'admin', scope: 'admin' },
+  'GET /health': { summary: 'Health check and statistics', tag: 'service' },
+  'GET /stats': { summary: 'Service statistics', tag: 'service', scope: 'read' },
+  'GET /metrics': { summary: 'Prometheus metrics (text exposition format)', tag: 'service', scope: 'read', response: 'metrics' },
+  'GET /openapi.json': { summary: 'This API as an OpenAPI 3.1 document', tag: 'service' },
+  'GET /docs': { summary: 'Interactive API documentation', tag: 'service', response: 'html' },
+  'GET /': { summary: 'Service overview and endpoint list', tag: 'service' }
+};
+
+// Docker service routes, keyed by "METHOD /path" (same shape as EDGE_TTS_ROUTES)
+const DOCKER_ROUTES = {
+  'POST /execute': {
+    summary: 'Execute scripts { scripts: [{ type, path?, content?, params? }] }',
+    description: 'Types: bash, pws/powershell, code (AI-generated from an expectation), speak, speak-interpret, speak-summary.',
+    tag: 'execute',
+    scope: 'execute',
+    routeClass: 'execute',
+    body: {
+      type: 'object',
+      required: ['scripts'],
+      properties: {
+        scripts: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 50,
+          items: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+              type: { type: 'string', enum: ['bash', 'pws', 'powershell', 'code', 'speak', 'speak-interpret', 'speak-summary'] },
+              path: FILE_PATH,
+              content: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+              text: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+              params: { type: 'array', maxItems: 100, items: { type: 'string' } },
+              expectation: { type: 'string', maxLength: 10000 },
+              targetType: { type: 'string', enum: ['bash', 'pws'] },
+              options: SPEECH_OPTIONS,
+              speechOptions: SPEECH_OPTIONS,
+              aiOptions: AI_OPTIONS
+            }
+          }
+        }
+      }
+    }
+  },
+  'GET /execute-from-file': {
+    summary: 'Execute the scripts in a JSON file ({ scripts }), then delete the file',
+    tag: 'execute',
+    scope: 'execute',
+    routeClass: 'execute',
+    query: FILE_QUERY
+  },
+  'POST /mcp': {
+    summary: 'MCP server (streamable HTTP) with tool execute_scripts',
+    description: 'Also available over stdio with --mcp-stdio. Initialize returns an Mcp-Session-Id header.',
+    tag: 'mcp',
+    scope: 'read',
+    body: JSONRPC_BODY
+  },
+  'DELETE /mcp': { summary: 'End an MCP session (Mcp-Session-Id header)', tag: 'mcp', scope: 'read', response: 'none' },
+  'GET /artifacts': {
+    summary: 'Generated files in the temp directory with sizes and retention policies',
+    tag: 'artifacts',
+    scope: 'read',
+    query: ARTIFACT_FILTERS
+  },
+  'DELETE /artifacts/:id': {
+    summary: 'Delete a generated file by id (filename)',
+    tag: 'artifacts',
+    scope: 'admin',
+    params: { type: 'object', properties: { id: ARTIFACT_ID } }
+  },
+  'POST /artifacts/sweep': { summary: 'Apply the retention policies now', tag: 'artifacts', scope: 'admin' },
+  'GET /config': { summary: 'Effective configuration with its sources (secrets redacted)', tag: 'admin', scope: 'admin' },
+  'GET /health': { summary: 'Health check and statistics', tag: 'service' },
+  'GET /stats': { summary: 'Service statistics', tag: 'service', scope: 'read' },
+  'GET /metrics': { summary: 'Prometheus metrics (text exposition format)', tag: 'service', scope: 'read', response: 'metrics' },
+  'GET /openapi.json': { summary: 'This API as an OpenAPI 3.1 document', tag: 'service' },
+  'GET /docs': { summary: 'Interactive API documentation', tag: 'service', response: 'html' },
+  'GET /': { summary: 'Service overview, script types and examples', tag: 'service' }
+};
+
+// Edge TTS RPC methods: positional parameters in call order, the scope a
+// call needs (default read) and its rate limit class
+const METHOD_SCHEMAS = {
+  speak: {
+    description: 'Speak text through the playback queue',
+    scope: 'speak',
+    routeClass: 'speech',
+    params: [{ name: 'text', required: true, schema: TEXT }, { name: 'options', schema: SPEECH_OPTIONS }]
+  },
+  speakDebug: {
+    description: 'Speak text and copy the MP3 to the temp directory',
+    scope: 'speak',
+    routeClass: 'speech',
+    params: [{ name: 'text', required: true, schema: TEXT }, { name: 'options', schema: SPEECH_OPTIONS }]
+  },
+  synthesize: {
+    description: 'Synthesize text to a file without playing it',
+    scope: 'speak',
+    routeClass: 'speech',
+    params: [{ name: 'text', required: true, schema: TEXT }, { name: 'options', schema: SPEECH_OPTIONS }]
+  },
+  getAudio: {
+    description: 'Look up generated audio, converting it if needed',
+    params: [
+      { name: 'id', required: true, schema: AUDIO_ID },
+      { name: 'options', schema: { type: 'object', properties: { format: AUDIO_FORMAT, sampleRate: { type: ['integer', 'string'] } } } }
+    ]
+  },
+  getSubtitles: {
+    description: 'Export word timings of generated audio as subtitles',
+    params: [
+      { name: 'id', required: true, schema: AUDIO_ID },
+      {
+        name: 'options',
+        schema: {
+          type: 'object',
+          properties: {
+            format: { type: 'string', enum: ['vtt', 'srt'] },
+            wordsPerCue: { type: ['integer', 'string'] },
+            maxCueMs: { type: 'integer', minimum: 1 }
+          }
+        }
+      }
+    ]
+  },
+  listVoices: {
+    description: 'List voices from the catalog',
+    params: [{ name: 'options', schema: VOICE_FILTERS }]
+  },
+  getVoice: {
+    description: 'Get details for a single voice',
+    params: [{ name: 'name', required: true, schema: { type: 'string', minLength: 1, maxLength: 100 } }]
+  },
+  playMp3: {
+    description: 'Play an existing MP3 file',
+    scope: 'speak',
+    routeClass: 'speech',
+    params: [{ name: 'filePath', required: true, schema: FILE_PATH }, { name: 'options', schema: PLAYBACK_OPTIONS }]
+  },
+  listTools: {
+    description: 'List tools discovered from the MCP server',
+    params: [{ name: 'options', schema: { type: 'object', properties: { refresh: { type: 'boolean' } } } }]
+  },
+  callTool: {
+    description: 'Call an MCP tool by name',
+    scope: 'speak',
+    routeClass: 'speech',
+    params: [
+      { name: 'name', required: true, schema: { type: 'string', minLength: 1, maxLength: 100 } },
+      { name: 'toolArgs', schema: { type: 'object' } }
+    ]
+  },
+  getQueue: { description: 'Playback queue snapshot', params: [] },
+  cancelQueued: {
+    description: 'Cancel a queued utterance',
+    scope: 'speak',
+    params: [{ name: 'id', required: true, schema: { type: 'string', minLength: 1, maxLength: 100 } }]
+  },
+  skipCurrent: { description: 'Skip the utterance that is playing', scope: 'speak', params: [] },
+  clearQueue: { description: 'Cancel every queued utterance', scope: 'speak', params: [] },
+  clearCache: { description: 'Clear the synthesis cache', scope: 'admin', params: [] },
+  listArtifacts: {
+    description: 'List generated files',
+    params: [{ name: 'filters', schema: { type: 'object', properties: { type: { type: 'string' } } } }]
+  },
+  deleteArtifact: {
+    description: 'Delete a generated file',
+    scope: 'admin',
+    params: [{ name: 'id', required: true, schema: ARTIFACT_ID }]
+  },
+  sweepArtifacts: { description: 'Apply the retention policy now', scope: 'admin', params: [] },
+  getConfig: { description: 'Effective configuration (secrets redacted)', scope: 'admin', params: [] },
+  getStats: { description: 'Service statistics', params: [] },
+  ping: { description: 'Health check', params: [] },
+  summarize: {
+    description: 'Summarize text using Docker AI',
+    scope: 'speak',
+    routeClass: 'ai',
+    params: [{ name: 'text', required: true, schema: TEXT }, { name: 'options', schema: AI_OPTIONS }]
+  },
+  echo: {
+    description: 'Echo the input back',
+    params: [{ name: 'data', schema: {} }]
+  }
+};
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  SPEECH_OPTIONS,
+  AI_OPTIONS,
+  VOICE_FILTERS,
+  EDGE_TTS_ROUTES,
+  DOCKER_ROUTES,
+  METHOD_SCHEMAS
+};
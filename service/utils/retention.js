@@ -0,0 +1,374 @@
+// retention.js - Lifecycle management for generated files in the temp directory
+// Applies max age / max bytes / max file count per artifact type and sweeps periodically,
+// and provides the artifact methods and routes both services expose
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Artifact types by filename. Audio includes converted variants and word timing sidecars.
+const ARTIFACT_TYPES = {
+  audio: /^(edge-tts|playback)-[\w-]+(\.words\.json|\.(mp3|wav|ogg|pcm))$/,
+  stdout: /^stdout-[\w-]+\.txt$/,
+  stderr: /^stderr-[\w-]+\.txt$/,
+  code: /^generated-code-[\w-]+\.(sh|ps1)$/,
+  script: /^script-[\w-]+\.sh$/
+};
+
+const HOUR = 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+const DEFAULT_POLICIES = {
+  audio: { maxAgeMs: 24 * HOUR, maxBytes: 500 * MB, maxFiles: 1000 },
+  stdout: { maxAgeMs: 7 * 24 * HOUR, maxBytes: 50 * MB, maxFiles: 500 },
+  stderr: { maxAgeMs: 7 * 24 * HOUR, maxBytes: 50 * MB, maxFiles: 500 },
+  code: { maxAgeMs: 7 * 24 * HOUR, maxBytes: 10 * MB, maxFiles: 500 },
+  script: { maxAgeMs: HOUR, maxBytes: 10 * MB, maxFiles: 100 }
+};
+
+/**
+ * Classify a filename
+ * @param {string} filename - File name (no directory)
+ * @returns {string|null} Artifact type, or null for unmanaged files
+ */
+function artifactType(filename) {
+  return Object.keys(ARTIFACT_TYPES).find(type => ARTIFACT_TYPES[type].test(filename)) || null;
+}
+
+/**
+ * Create a retention manager for a directory
+ * @param {object} options - Retention options
+ * @param {string} options.dir - Directory holding generated files
+ * @param {string[]} options.types - Artifact types this service manages
+ * @param {object} options.policies - Per-type overrides of { maxAgeMs, maxBytes, maxFiles }
+ * @param {number} options.sweepIntervalMs - Sweep period (0 disables the sweeper)
+ * @param {number} options.graceMs - Files younger than this are never swept (may still be in use)
+ * @returns {object} Manager with list/remove/sweep/start/stop/getStats methods
+ */
+function createRetentionManager(options) {
+  const {
+    dir,
+    types = Object.keys(ARTIFACT_TYPES),
+    policies = {},
+    sweepIntervalMs = 10 * 60 * 1000,
+    graceMs = 60 * 1000
+  } = options;
+
+  const effectivePolicies = {};
+  for (const type of types) {
+    effectivePolicies[type] = { ...DEFAULT_POLICIES[type], ...(policies[type] || {}) };
+  }
+
+  const counters = { sweeps: 0, removed: 0, bytesFreed: 0 };
+  let lastSweep = null;
+  let timer = null;
+  let sweeping = null;
+
+  /**
+   * Read the managed artifacts currently on disk
+   * @returns {Promise<Array<{id: string, type: string, size: number, modifiedAt: number}>>} Artifacts, newest first
+   */
+  async function scan() {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const artifacts = [];
+    for (const file of files) {
+      const type = artifactType(file);
+      if (!type || !effectivePolicies[type]) continue;
+
+      try {
+        const fileStats = await fs.stat(path.join(dir, file));
+        if (!fileStats.isFile()) continue;
+        artifacts.push({ id: file, type, size: fileStats.size, modifiedAt: fileStats.mtimeMs });
+      } catch (err) {
+        // Removed while scanning
+      }
+    }
+
+    return artifacts.sort((a, b) => b.modifiedAt - a.modifiedAt);
+  }
+
+  /**
+   * Delete one artifact file
+   * @param {object} artifact - Artifact from scan()
+   * @returns {Promise<boolean>} True if the file was removed
+   */
+  async function unlinkArtifact(artifact) {
+    try {
+      await fs.unlink(path.join(dir, artifact.id));
+      counters.removed++;
+      counters.bytesFreed += artifact.size;
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Apply every policy once
+   * @returns {Promise<{removed: number, bytes: number}>} What was removed
+   */
+  async function runSweep() {
+    const now = Date.now();
+    const artifacts = await scan();
+    let removed = 0;
+    let bytes = 0;
+
+    for (const type of Object.keys(effectivePolicies)) {
+      const policy = effectivePolicies[type];
+      let keptFiles = 0;
+      let keptBytes = 0;
+
+      // Newest first, so the count and size caps keep the most recent files
+      for (const artifact of artifacts.filter(item => item.type === type)) {
+        const age = now - artifact.modifiedAt;
+        const expired = age > policy.maxAgeMs
+          || keptFiles + 1 > policy.maxFiles
+          || keptBytes + artifact.size > policy.maxBytes;
+
+        if (expired && age > graceMs && await unlinkArtifact(artifact)) {
+          removed++;
+          bytes += artifact.size;
+        } else {
+          keptFiles++;
+          keptBytes += artifact.size;
+        }
+      }
+    }
+
+    counters.sweeps++;
+    lastSweep = new Date(now).toISOString();
+
+    if (removed > 0) {
+      console.log(`🧹 Retention sweep removed ${removed} file(s), ${bytes} bytes from ${dir}`);
+    }
+
+    return { removed, bytes };
+  }
+
+  /**
+   * Run a sweep now (concurrent calls share one sweep)
+   * @returns {Promise<{removed: number, bytes: number}>} What was removed
+   */
+  function sweep() {
+    if (!sweeping) {
+      sweeping = runSweep().finally(() => {
+        sweeping = null;
+      });
+    }
+    return sweeping;
+  }
+
+  return {
+    sweep,
+
+    /**
+     * List managed artifacts with sizes
+     * @param {object} filters - Filters (type)
+     * @returns {Promise<object>} Artifacts, per-type totals and policies
+     */
+    list: async (filters = {}) => {
+      if (filters.type && !effectivePolicies[filters.type]) {
+        const error = new Error(`Invalid artifact type: ${filters.type}. Use one of: ${Object.keys(effectivePolicies).join(', ')}`);
+        error.code = 'INVALID_ARGUMENTS';
+        throw error;
+      }
+
+      const artifacts = (await scan()).filter(artifact => !filters.type || artifact.type === filters.type);
+      const byType = {};
+
+      for (const type of Object.keys(effectivePolicies)) {
+        if (filters.type && type !== filters.type) continue;
+        const ofType = artifacts.filter(artifact => artifact.type === type);
+        byType[type] = {
+          count: ofType.length,
+          bytes: ofType.reduce((sum, artifact) => sum + artifact.size, 0),
+          policy: effectivePolicies[type]
+        };
+      }
+
+      return {
+        dir,
+        count: artifacts.length,
+        totalBytes: artifacts.reduce((sum, artifact) => sum + artifact.size, 0),
+        byType,
+        lastSweep,
+        artifacts: artifacts.map(artifact => ({
+          id: artifact.id,
+          type: artifact.type,
+          size: artifact.size,
+          modifiedAt: new Date(artifact.modifiedAt).toISOString()
+        }))
+      };
+    },
+
+    /**
+     * Delete an artifact by id (its filename)
+     * @param {string} id - Artifact id
+     * @returns {Promise<{id: string, type: string, size: number}>} Removed artifact
+     */
+    remove: async (id) => {
+      // Only bare filenames of managed types; never a path outside dir
+      const type = artifactType(id || '');
+      if (!type || !effectivePolicies[type] || path.basename(id) !== id) {
+        const error = new Error(`Invalid artifact id: ${id}`);
+        error.code = 'INVALID_ARGUMENTS';
+        throw error;
+      }
+
+      let size = null;
+      try {
+        size = (await fs.stat(path.join(dir, id))).size;
+      } catch (err) {
+        // Reported below
+      }
+
+      if (size === null || !await unlinkArtifact({ id, size })) {
+        const error = new Error(`Artifact not found: ${id}`);
+        error.code = 'NOT_FOUND';
+        throw error;
+      }
+
+      console.log(`🗑️  Deleted artifact: ${id}`);
+      return { id, type, size };
+    },
+
+    /**
+     * Start the periodic sweeper
+     */
+    start: () => {
+      if (timer || !sweepIntervalMs) return;
+
+      timer = setInterval(() => {
+        sweep().catch(err => console.warn('[Retention] Sweep failed:', err.message));
+      }, sweepIntervalMs);
+      // Never keep the process alive just for sweeping
+      timer.unref();
+    },
+
+    /**
+     * Stop the periodic sweeper
+     */
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    /**
+     * Get retention statistics
+     * @returns {object} Sweep counters and policies
+     */
+    getStats: () => {
+      return {
+        ...counters,
+        lastSweep,
+        sweepIntervalMs,
+        policies: effectivePolicies
+      };
+    }
+  };
+}
+
+/**
+ * Service methods over a retention manager (listArtifacts, deleteArtifact, sweepArtifacts)
+ * @param {object} retention - Manager from createRetentionManager
+ * @returns {object} Artifact methods
+ */
+function createArtifactMethods(retention) {
+  return {
+    /**
+     * List generated files in the temp directory with sizes
+     * @param {object} filters - Filters (type)
+     * @returns {object} Artifacts and per-type totals
+     */
+    listArtifacts: async (filters = {}) => {
+      return { success: true, ...await retention.list(filters) };
+    },
+
+    /**
+     * Delete a generated file
+     * @param {string} id - Artifact id (filename)
+     * @returns {object} Removed artifact
+     */
+    deleteArtifact: async (id) => {
+      return { success: true, removed: await retention.remove(id) };
+    },
+
+    /**
+     * Apply the retention policy now instead of waiting for the sweeper
+     * @returns {object} Number of files and bytes removed
+     */
+    sweepArtifacts: async () => {
+      return { success: true, ...await retention.sweep() };
+    }
+  };
+}
+
+/**
+ * Mount GET /artifacts, POST /artifacts/sweep and DELETE /artifacts/:id
+ * @param {object} app - Express application
+ * @param {object} methods - Service methods including those from createArtifactMethods
+ * @param {object} stats - Statistics tracker
+ * @param {Function} guarded - (routeKey) => middleware chain from the service's route registry
+ */
+function setupArtifactRoutes(app, methods, stats, guarded) {
+  // Generated files in the temp directory (?type=audio|stdout|stderr|code|script)
+  app.get('/artifacts', guarded('GET /artifacts'), async (req, res) => {
+    stats.incrementRequests();
+
+    try {
+      res.json(await methods.listArtifacts({ type: req.query.type }));
+    } catch (err) {
+      if (err.code === 'INVALID_ARGUMENTS') {
+        return res.status(400).json({ error: err.message });
+      }
+
+      stats.incrementErrors();
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Apply the retention policy now
+  app.post('/artifacts/sweep', guarded('POST /artifacts/sweep'), async (req, res) => {
+    stats.incrementRequests();
+
+    try {
+      res.json(await methods.sweepArtifacts());
+    } catch (err) {
+      stats.incrementErrors();
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Delete a generated file by id (its filename)
+  app.delete('/artifacts/:id', guarded('DELETE /artifacts/:id'), async (req, res) => {
+    stats.incrementRequests();
+
+    try {
+      res.json(await methods.deleteArtifact(req.params.id));
+    } catch (err) {
+      if (err.code === 'INVALID_ARGUMENTS') {
+        return res.status(400).json({ error: err.message, id: req.params.id });
+      }
+
+      if (err.code === 'NOT_FOUND') {
+        return res.status(404).json({ error: err.message, id: req.params.id });
+      }
+
+      stats.incrementErrors();
+      res.status(500).json({ error: err.message });
+    }
+  });
+}
+
+module.exports = {
+  ARTIFACT_TYPES,
+  createRetentionManager,
+  createArtifactMethods,
+  setupArtifactRoutes
+};
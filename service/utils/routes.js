@@ -1,16 +1,117 @@
 // routes.js - Express route handlers
 
+const path = require('path');
 const { readAndOptionallyDelete } = require('./file-ops');
+const { validateRequest, routeMiddleware, validateArgs, errorBody, errorHandler } = require('./validation');
+const { EDGE_TTS_ROUTES, METHOD_SCHEMAS } = require('./request-schemas');
+const { createCallGuard, createJsonRpcHandler, jsonRpcParseErrorHandler } = require('./jsonrpc');
+const { createMcpServer, setupMcpHttp } = require('./mcp-server');
+const { createEdgeTtsTools } = require('./mcp-tools');
+const { buildOpenApiDocument, listEndpoints, publicEndpoints, setupApiDocs } = require('./openapi');
+const { createHttpMetrics, registerProcessMetrics, setupMetricsEndpoint } = require('./metrics');
+const { setupArtifactRoutes } = require('./retention');
+
+/**
+ * Look up a method name in a table, ignoring inherited keys such as "constructor"
+ * @param {object} table - Table keyed by method name
+ * @param {string} method - Method name from the request
+ * @returns {any} Own value, or undefined
+ */
+function lookup(table, method) {
+  return typeof method === 'string' && Object.prototype.hasOwnProperty.call(table, method) ? table[method] : undefined;
+}
+
+/**
+ * Scope an RPC method requires (methods without one need 'read')
+ * @param {string} method - Method name from the request
+ * @returns {string} Scope
+ */
+function methodScope(method) {
+  const schema = lookup(METHOD_SCHEMAS, method);
+  return (schema && schema.scope) || 'read';
+}
+
+/**
+ * Rate limit class of an RPC method that reaches an expensive backend
+ * @param {string} method - Method name from the request
+ * @returns {string|undefined} Route class
+ */
+function methodClass(method) {
+  const schema = lookup(METHOD_SCHEMAS, method);
+  return schema && schema.routeClass;
+}
+
+/**
+ * Send generated audio with Content-Type, Content-Length and Range support
+ * @param {object} req - Express request (?download=1 sends it as an attachment)
+ * @param {object} res - Express response
+ * @param {string} file - Absolute path of the audio file
+ * @param {string} id - Audio id
+ * @param {string} contentType - Content type of the audio format
+ * @param {object} headers - Extra response headers
+ */
+function sendAudio(req, res, file, id, contentType, headers = {}) {
+  const download = req.query.download === '1' || req.query.download === 'true';
+
+  if (download) {
+    res.attachment(path.basename(file));
+  }
+
+  // Set explicitly: raw PCM and Opus have no useful extension mapping
+  res.set('Content-Type', contentType);
+
+  res.sendFile(file, {
+    headers: { 'X-Audio-Id': id, ...headers },
+    acceptRanges: true
+  }, (err) => {
+    if (err && !res.headersSent) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+}
 
 /**
  * Setup Express routes
  * @param {object} app - Express application
  * @param {object} methods - Service methods
  * @param {object} stats - Statistics tracker
+ * @param {object} auth - Authentication (from createAuth)
+ * @param {object} limiter - Rate limiter (from createRateLimiter)
  */
-function setupRoutes(app, methods, stats) {
-  // RPC endpoint - accepts method calls
-  app.post('/rpc', async (req, res) => {
+function setupRoutes(app, methods, stats, auth, limiter) {
+  // Count and time every request, including ones rejected by auth
+  app.use(createHttpMetrics());
+  registerProcessMetrics();
+
+  app.use(auth.authenticate);
+
+  // Scope, rate limit and validation of each route come from its registry entry
+  const guarded = key => routeMiddleware(EDGE_TTS_ROUTES[key], auth, limiter);
+
+  // RPC endpoint - accepts method calls (scope and rate limit depend on the method)
+  const rpcScope = (req, res, next) => auth.require(methodScope((req.body || {}).method))(req, res, next);
+  const rpcLimit = (req, res, next) => {
+    const routeClass = methodClass((req.body || {}).method);
+    return routeClass ? limiter.limit(routeClass)(req, res, next) : next();
+  };
+
+  // JSON-RPC 2.0 and MCP calls are authorized and rate limited one call at a time
+  const guard = createCallGuard(auth, limiter, stats);
+
+  // JSON-RPC 2.0 over the same methods
+  app.use('/jsonrpc', jsonRpcParseErrorHandler);
+  app.post('/jsonrpc', guarded('POST /jsonrpc'), createJsonRpcHandler({
+    methods,
+    schemas: METHOD_SCHEMAS,
+    stats,
+    beforeCall: (req, method) => guard(req, methodScope(method), methodClass(method))
+  }));
+
+  // MCP server (streamable HTTP transport) publishing speak, summarize, list_voices and play_mp3
+  const mcpServer = createMcpServer({ name: 'edge-tts-service', version: '2.0.0', tools: createEdgeTtsTools(methods) });
+  setupMcpHttp(app, mcpServer, auth, (req, tool) => guard(req, tool.scope, tool.routeClass));
+
+  app.post('/rpc', rpcScope, rpcLimit, validateRequest(EDGE_TTS_ROUTES['POST /rpc']), async (req, res) => {
     stats.incrementRequests();
 
     const { method, args = [] } = req.body;
@@ -18,17 +119,27 @@ function setupRoutes(app, methods, stats) {
     const argsPreview = JSON.stringify(args).substring(0, 100);
     console.log(`[RPC] Method: ${method}, Args: ${argsPreview}${args.length > 100 ? '...' : ''}`);
 
-    if (!method) {
-      return res.status(400).json({ error: 'Method name required' });
-    }
+    if (lookup(methods, method)) {
+      const errors = lookup(METHOD_SCHEMAS, method) ? validateArgs(METHOD_SCHEMAS[method], args) : [];
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: `Invalid arguments for ${method}: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`,
+          method,
+          details: errors
+        });
+      }
 
-    if (methods[method]) {
       try {
         const result = await methods[method](...args);
         res.json({ result });
       } catch (err) {
         stats.incrementErrors();
-        res.status(500).json({ error: err.message, stack: err.stack });
+
+        if (err.code === 'INVALID_ARGUMENTS') {
+          return res.status(400).json({ error: err.message, details: err.details });
+        }
+
+        res.status(500).json(errorBody(err, req.app.get('debug')));
       }
     } else {
       res.status(404).json({
@@ -40,33 +151,122 @@ function setupRoutes(app, methods, stats) {
   });
 
   // Convenience endpoint for direct speak requests
-  app.post('/speak', async (req, res) => {
+  app.post('/speak', guarded('POST /speak'), async (req, res) => {
     stats.incrementRequests();
 
     const { text, options } = req.body;
 
-    if (!text) {
-      return res.status(400).json({ error: 'Text required' });
-    }
-
     try {
       const result = await methods.speak(text, options);
       res.json(result);
     } catch (err) {
       stats.incrementErrors();
+
+      if (err.code === 'INVALID_ARGUMENTS') {
+        return res.status(400).json({ error: err.message, details: err.details });
+      }
+
       res.status(500).json({ error: err.message });
     }
   });
 
-  // Convenience endpoint for summarize requests
-  app.post('/summarize', async (req, res) => {
+  // Synthesize without playing and return the audio bytes
+  // (?format=wav&sampleRate=8000 to convert, ?download=1 for an attachment)
+  app.post('/synthesize', guarded('POST /synthesize'), async (req, res) => {
     stats.incrementRequests();
 
-    const { text, options } = req.body;
+    const { text, options = {} } = req.body;
 
-    if (!text) {
-      return res.status(400).json({ error: 'Text required' });
+    try {
+      const result = await methods.synthesize(text, {
+        ...options,
+        audioFormat: options.audioFormat || req.query.format,
+        sampleRate: options.sampleRate || req.query.sampleRate
+      });
+      sendAudio(req, res, result.audioFile, result.audioId, result.contentType, {
+        Location: `/audio/${result.audioId}`,
+        'X-Voice': result.voice,
+        'X-Cached': String(result.cached)
+      });
+    } catch (err) {
+      stats.incrementErrors();
+
+      if (err.code === 'INVALID_ARGUMENTS') {
+        return res.status(400).json({ error: err.message, details: err.details });
+      }
+
+      if (err.code === 'TRANSCODER_UNAVAILABLE') {
+        return res.status(503).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: err.message });
     }
+  });
+
+  // Fetch previously generated audio by id
+  // (supports Range, ?format=&sampleRate= conversion and ?download=1)
+  app.get('/audio/:id', guarded('GET /audio/:id'), async (req, res) => {
+    stats.incrementRequests();
+
+    try {
+      const audio = await methods.getAudio(req.params.id, {
+        format: req.query.format,
+        sampleRate: req.query.sampleRate
+      });
+      sendAudio(req, res, audio.file, audio.id, audio.contentType);
+    } catch (err) {
+      if (err.code === 'INVALID_ARGUMENTS') {
+        return res.status(400).json({ error: err.message, id: req.params.id });
+      }
+
+      if (err.code === 'TRANSCODER_UNAVAILABLE') {
+        return res.status(503).json({ error: err.message, id: req.params.id });
+      }
+
+      if (err.code === 'NOT_FOUND') {
+        return res.status(404).json({ error: err.message, id: req.params.id });
+      }
+
+      stats.incrementErrors();
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Word timings of generated audio as WebVTT or SRT (?format=vtt|srt&wordsPerCue=1)
+  app.get('/audio/:id/subtitles', guarded('GET /audio/:id/subtitles'), async (req, res) => {
+    stats.incrementRequests();
+
+    try {
+      const subtitles = await methods.getSubtitles(req.params.id, {
+        format: req.query.format,
+        wordsPerCue: req.query.wordsPerCue
+      });
+
+      if (req.query.download === '1' || req.query.download === 'true') {
+        res.attachment(`${subtitles.id}${subtitles.extension}`);
+      }
+
+      res.set('Content-Type', subtitles.contentType);
+      res.send(subtitles.body);
+    } catch (err) {
+      if (err.code === 'INVALID_ARGUMENTS') {
+        return res.status(400).json({ error: err.message, id: req.params.id });
+      }
+
+      if (err.code === 'NOT_FOUND') {
+        return res.status(404).json({ error: err.message, id: req.params.id });
+      }
+
+      stats.incrementErrors();
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Convenience endpoint for summarize requests
+  app.post('/summarize', guarded('POST /summarize'), async (req, res) => {
+    stats.incrementRequests();
+
+    const { text, options } = req.body;
 
     try {
       const result = await methods.summarize(text, options);
@@ -78,15 +278,11 @@ function setupRoutes(app, methods, stats) {
   });
 
   // GET endpoint - reads text from file and speaks it
-  app.get('/speak-from-file', async (req, res) => {
+  app.get('/speak-from-file', guarded('GET /speak-from-file'), async (req, res) => {
     stats.incrementRequests();
 
     const { filePath } = req.query;
 
-    if (!filePath) {
-      return res.status(400).json({ error: 'filePath query parameter required' });
-    }
-
     try {
       const text = await readAndOptionallyDelete(filePath, true);
 
@@ -113,15 +309,11 @@ function setupRoutes(app, methods, stats) {
   });
 
   // GET endpoint - speaks and copies output to host
-  app.get('/speak-debug-output', async (req, res) => {
+  app.get('/speak-debug-output', guarded('GET /speak-debug-output'), async (req, res) => {
     stats.incrementRequests();
 
     const { filePath } = req.query;
 
-    if (!filePath) {
-      return res.status(400).json({ error: 'filePath query parameter required' });
-    }
-
     try {
       const text = await readAndOptionallyDelete(filePath, true);
 
@@ -148,22 +340,18 @@ function setupRoutes(app, methods, stats) {
   });
 
   // GET endpoint for playing MP3 files
-  app.get('/play-mp3', async (req, res) => {
+  app.get('/play-mp3', guarded('GET /play-mp3'), async (req, res) => {
     stats.incrementRequests();
 
     const { filePath } = req.query;
 
-    if (!filePath) {
-      return res.status(400).json({ error: 'filePath query parameter required' });
-    }
-
     try {
       const result = await methods.playMp3(filePath);
       res.json(result);
     } catch (err) {
       stats.incrementErrors();
 
-      if (err.message.includes('not found')) {
+      if (err.code === 'NOT_FOUND') {
         return res.status(404).json({ error: err.message, filePath });
       }
 
@@ -172,22 +360,18 @@ function setupRoutes(app, methods, stats) {
   });
 
   // POST endpoint for playing MP3 files
-  app.post('/play-mp3', async (req, res) => {
+  app.post('/play-mp3', guarded('POST /play-mp3'), async (req, res) => {
     stats.incrementRequests();
 
     const { filePath, options } = req.body;
 
-    if (!filePath) {
-      return res.status(400).json({ error: 'filePath required' });
-    }
-
     try {
       const result = await methods.playMp3(filePath, options);
       res.json(result);
     } catch (err) {
       stats.incrementErrors();
 
-      if (err.message.includes('not found')) {
+      if (err.code === 'NOT_FOUND') {
         return res.status(404).json({ error: err.message, filePath });
       }
 
@@ -195,38 +379,173 @@ function setupRoutes(app, methods, stats) {
     }
   });
 
+  // Structured voice catalog with filters (?locale=en-US&gender=Female&q=aria)
+  app.get('/voices', guarded('GET /voices'), async (req, res) => {
+    stats.incrementRequests();
+
+    try {
+      res.json(await methods.listVoices(req.query));
+    } catch (err) {
+      stats.incrementErrors();
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Details for a single voice
+  app.get('/voices/:name', guarded('GET /voices/:name'), async (req, res) => {
+    stats.incrementRequests();
+
+    try {
+      res.json(await methods.getVoice(req.params.name));
+    } catch (err) {
+      if (err.code === 'NOT_FOUND') {
+        return res.status(404).json({ error: err.message, name: req.params.name });
+      }
+
+      stats.incrementErrors();
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  setupArtifactRoutes(app, methods, stats, guarded);
+
+  // Playback queue snapshot
+  app.get('/queue', guarded('GET /queue'), (req, res) => {
+    res.json(methods.getQueue());
+  });
+
+  // Cancel a queued utterance
+  app.delete('/queue/:id', guarded('DELETE /queue/:id'), (req, res) => {
+    stats.incrementRequests();
+
+    try {
+      res.json(methods.cancelQueued(req.params.id));
+    } catch (err) {
+      if (err.code === 'NOT_FOUND') {
+        return res.status(404).json({ error: err.message, id: req.params.id });
+      }
+
+      stats.incrementErrors();
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Skip the utterance that is currently playing
+  app.post('/queue/skip', guarded('POST /queue/skip'), (req, res) => {
+    stats.incrementRequests();
+    res.json(methods.skipCurrent());
+  });
+
+  // Cancel every queued utterance
+  app.post('/queue/clear', guarded('POST /queue/clear'), (req, res) => {
+    stats.incrementRequests();
+    res.json(methods.clearQueue());
+  });
+
+  // Clear the synthesis cache
+  app.delete('/cache', guarded('DELETE /cache'), async (req, res) => {
+    stats.incrementRequests();
+
+    try {
+      res.json(await methods.clearCache());
+    } catch (err) {
+      stats.incrementErrors();
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // List tools discovered from the MCP server
+  app.get('/tools', guarded('GET /tools'), async (req, res) => {
+    stats.incrementRequests();
+
+    try {
+      const result = await methods.listTools({ refresh: req.query.refresh === 'true' });
+      res.json(result);
+    } catch (err) {
+      stats.incrementErrors();
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Generic MCP tool invocation - request body is the tool arguments
+  app.post('/tools/:name', guarded('POST /tools/:name'), async (req, res) => {
+    stats.incrementRequests();
+
+    const { name } = req.params;
+
+    try {
+      const result = await methods.callTool(name, req.body || {});
+      res.json(result);
+    } catch (err) {
+      stats.incrementErrors();
+
+      if (err.code === 'TOOL_NOT_FOUND') {
+        return res.status(404).json({ error: err.message, tool: name });
+      }
+
+      if (err.code === 'INVALID_ARGUMENTS') {
+        return res.status(400).json({ error: err.message, tool: name, details: err.details });
+      }
+
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Effective configuration (secrets redacted)
+  app.get('/config', guarded('GET /config'), (req, res) => {
+    res.json(methods.getConfig());
+  });
+
   // Health check endpoint
   app.get('/health', (req, res) => {
     res.json(methods.getStats());
   });
 
   // Stats endpoint
-  app.get('/stats', (req, res) => {
-    res.json(methods.getStats());
+  app.get('/stats', guarded('GET /stats'), (req, res) => {
+    res.json({ ...methods.getStats(), rateLimits: limiter.getStats() });
   });
 
+  // Prometheus metrics: requests per route, backend latency histograms, queue, container and cache gauges
+  setupMetricsEndpoint(app, guarded('GET /metrics'));
+
+  // OpenAPI document and interactive docs, generated from the route registry
+  const openApi = buildOpenApiDocument({
+    title: 'Edge TTS Service - MCP Proxy',
+    version: '2.0.0',
+    description: 'HTTP proxy for Edge TTS MCP server in Docker with AI summarization',
+    routes: EDGE_TTS_ROUTES,
+    methods: METHOD_SCHEMAS
+  });
+  setupApiDocs(app, openApi);
+
   // Root endpoint
   app.get('/', (req, res) => {
     res.json({
-      service: 'Edge TTS Service - MCP Proxy',
-      version: '2.0.0',
-      description: 'HTTP proxy for Edge TTS MCP server in Docker with AI summarization',
-      endpoints: {
-        'POST /rpc': 'RPC method invocation { method: string, args: array }',
-        'POST /speak': 'Direct speech synthesis { text: string, options?: object }',
-        'POST /summarize': 'Summarize text using Docker AI { text: string, options?: object }',
-        'GET /speak-from-file?filePath=<path>': 'Speak text from file (for Copilot)',
-        'GET /speak-debug-output?filePath=<path>': 'Speak and copy MP3 to C:/temp (for debugging)',
-        'GET /play-mp3?filePath=<path>': 'Play an existing MP3 file from host or container',
-        'POST /play-mp3': 'Play MP3 file { filePath: string, options?: object }',
-        'GET /health': 'Health check and statistics',
-        'GET /stats': 'Service statistics',
-        'GET /': 'This documentation'
+      service: openApi.info.title,
+      version: openApi.info.version,
+      description: openApi.info.description,
+      documentation: { openapi: '/openapi.json', interactive: '/docs' },
+      endpoints: listEndpoints(EDGE_TTS_ROUTES),
+      authentication: {
+        enabled: auth.enabled,
+        usage: 'Authorization: Bearer <key> or X-API-Key: <key>',
+        scopes: {
+          read: 'Voices, audio, subtitles, queue, tools, artifacts, stats and metrics',
+          speak: 'Speak, synthesize, summarize, play and manage the queue (includes read)',
+          admin: 'Clear the cache, delete or sweep artifacts and view the configuration (includes read)',
+          '*': 'Everything'
+        },
+        public: publicEndpoints(EDGE_TTS_ROUTES)
       },
+      rateLimits: 'Token buckets per API key (or IP) for speech and ai requests; 429 with Retry-After when exhausted',
       availableMethods: Object.keys(methods),
       stats: methods.getStats()
     });
   });
+
+  // JSON errors for malformed bodies and anything thrown outside a handler (must be last)
+  app.use(errorHandler);
 }
 
 module.exports = {
@@ -0,0 +1,180 @@
+// schema.js - Minimal JSON Schema validation
+// Covers the subset of JSON Schema used by MCP tool inputSchema definitions
+
+// Schema object -> compiled pattern, or null when the pattern does not compile
+const compiledPatterns = new WeakMap();
+
+/**
+ * Compile a schema's pattern once; patterns that are not valid JavaScript
+ * regular expressions (schemas come from MCP servers) compile to null
+ * @param {object} schema - Schema with a pattern
+ * @returns {RegExp|null} Compiled pattern, or null if it is invalid
+ */
+function compilePattern(schema) {
+  if (!compiledPatterns.has(schema)) {
+    let pattern = null;
+    try {
+      pattern = new RegExp(schema.pattern);
+    } catch (err) {
+      // Invalid pattern: the check is skipped
+    }
+    compiledPatterns.set(schema, pattern);
+  }
+  return compiledPatterns.get(schema);
+}
+
+/**
+ * Compile every pattern in a schema ahead of validation
+ * @param {object} schema - JSON Schema
+ * @param {string} field - Field path used in the result
+ * @returns {Array<{field: string, pattern: string}>} Patterns that do not compile (their checks are skipped)
+ */
+function compilePatterns(schema, field = '') {
+  const invalid = [];
+  if (!schema || typeof schema !== 'object') {
+    return invalid;
+  }
+
+  if (typeof schema.pattern === 'string' && !compilePattern(schema)) {
+    invalid.push({ field: field || 'value', pattern: schema.pattern });
+  }
+  if (schema.items) {
+    invalid.push(...compilePatterns(schema.items, `${field || 'value'}[]`));
+  }
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    invalid.push(...compilePatterns(property, field ? `${field}.${key}` : key));
+  }
+  if (typeof schema.additionalProperties === 'object') {
+    invalid.push(...compilePatterns(schema.additionalProperties, field ? `${field}.*` : '*'));
+  }
+  return invalid;
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {any} value - Value to inspect
+ * @returns {string} JSON Schema type
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check whether a value matches a JSON Schema type
+ * @param {any} value - Value to check
+ * @param {string} type - Expected type
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {object} schema - JSON Schema
+ * @param {any} value - Value to validate
+ * @param {string} field - Field path used in error messages
+ * @returns {Array<{field: string, message: string}>} Validation errors (empty if valid)
+ */
+function validate(schema, value, field = '') {
+  const errors = [];
+  const name = field || 'value';
+
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ field: name, message: `must be of type ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field: name, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field: name, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field: name, message: `must be at most ${schema.maxLength} characters` });
+    }
+    const pattern = schema.pattern ? compilePattern(schema) : null;
+    if (pattern && !pattern.test(value)) {
+      errors.push({ field: name, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field: name, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field: name, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field: name, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field: name, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, `${name}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: field ? `${field}.${key}` : key, message: 'is required' });
+      }
+    }
+
+    for (const [key, propValue] of Object.entries(value)) {
+      const propField = field ? `${field}.${key}` : key;
+
+      if (properties[key]) {
+        if (propValue !== undefined) {
+          errors.push(...validate(properties[key], propValue, propField));
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: propField, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, propValue, propField));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Format validation errors into a single message
+ * @param {Array<{field: string, message: string}>} errors - Validation errors
+ * @returns {string} Human-readable message
+ */
+function formatErrors(errors) {
+  return errors.map(err => `${err.field} ${err.message}`).join('; ');
+}
+
+module.exports = {
+  compilePatterns,
+  validate,
+  formatErrors
+};
@@ -5,14 +5,34 @@ const { spawn } = require('child_process');
 const { generateCode } = require('./code-generator');
 const { speak } = require('./speech');
 const { summarizeText, interpretText } = require('./docker-ai');
+const { metrics, LONG_BUCKETS } = require('./metrics');
+
+const scriptDuration = metrics.histogram('script_execution_duration_seconds', 'Script run time by type (failure = non-zero exit)', {
+  labelNames: ['type', 'outcome'],
+  buckets: LONG_BUCKETS
+});
+
+/**
+ * Add context to a failure, keeping its code and details (e.g. INVALID_ARGUMENTS)
+ * @param {string} context - What failed, e.g. 'Speech failed'
+ * @param {Error} error - Original error
+ * @returns {Error} Wrapped error with the original as its cause
+ */
+function wrapError(context, error) {
+  const wrapped = new Error(`${context}: ${error.message}`, { cause: error });
+  if (error.code) wrapped.code = error.code;
+  if (error.details) wrapped.details = error.details;
+  return wrapped;
+}
 
 /**
  * Execute a script (bash or PowerShell) and capture output
  * @param {object} scriptObj - Script object with type, path/content, params
  * @param {string} tempDir - Temporary directory for output files
+ * @param {object} speechDefaults - Defaults for speak types (containerName, voice, audioPlayer)
  * @returns {object} Execution result with stdout/stderr file paths
  */
-async function executeScript(scriptObj, tempDir) {
+async function executeScript(scriptObj, tempDir, speechDefaults = {}) {
   let { type, path: scriptPath, content, params = [] } = scriptObj;
   const timestamp = Date.now();
 
@@ -26,7 +46,7 @@ async function executeScript(scriptObj, tempDir) {
     console.log(`[Speak] Speaking verbatim: "${textToSpeak.substring(0, 60)}${textToSpeak.length > 60 ? '...' : ''}"`);
 
     try {
-      const result = await speak(textToSpeak, scriptObj.options || {});
+      const result = await speak(textToSpeak, { tempDir, ...speechDefaults, ...scriptObj.options });
       console.log(`[Speak] ✅ Spoken successfully (${result.length} chars)`);
 
       return {
@@ -35,11 +55,12 @@ async function executeScript(scriptObj, tempDir) {
         spokenText: textToSpeak,
         audioFile: result.audioFile,
         voice: result.voice,
+        prosody: result.prosody,
         length: result.length,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Speech failed: ${error.message}`);
+      throw wrapError('Speech failed', error);
     }
   }
 
@@ -56,7 +77,7 @@ async function executeScript(scriptObj, tempDir) {
       const interpretation = await interpretText(textToInterpret, scriptObj.aiOptions || {});
       console.log(`[Speak-Interpret] ✅ Interpretation: "${interpretation.substring(0, 100)}${interpretation.length > 100 ? '...' : ''}"`);
 
-      const result = await speak(interpretation, scriptObj.speechOptions || {});
+      const result = await speak(interpretation, { tempDir, ...speechDefaults, ...scriptObj.speechOptions });
       console.log(`[Speak-Interpret] ✅ Spoken interpretation (${result.length} chars)`);
 
       return {
@@ -67,12 +88,13 @@ async function executeScript(scriptObj, tempDir) {
         spokenText: interpretation,
         audioFile: result.audioFile,
         voice: result.voice,
+        prosody: result.prosody,
         originalLength: textToInterpret.length,
         interpretationLength: interpretation.length,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Interpretation/speech failed: ${error.message}`);
+      throw wrapError('Interpretation/speech failed', error);
     }
   }
 
@@ -89,7 +111,7 @@ async function executeScript(scriptObj, tempDir) {
       const summary = await summarizeText(textToSummarize, scriptObj.aiOptions || {});
       console.log(`[Speak-Summary] ✅ Summary: "${summary.substring(0, 100)}${summary.length > 100 ? '...' : ''}"`);
 
-      const result = await speak(summary, scriptObj.speechOptions || {});
+      const result = await speak(summary, { tempDir, ...speechDefaults, ...scriptObj.speechOptions });
       console.log(`[Speak-Summary] ✅ Spoken summary (${result.length} chars)`);
 
       return {
@@ -100,13 +122,14 @@ async function executeScript(scriptObj, tempDir) {
         spokenText: summary,
         audioFile: result.audioFile,
         voice: result.voice,
+        prosody: result.prosody,
         originalLength: textToSummarize.length,
         summaryLength: summary.length,
         compression: Math.round((1 - summary.length / textToSummarize.length) * 100),
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Summarization/speech failed: ${error.message}`);
+      throw wrapError('Summarization/speech failed', error);
     }
   }
 
@@ -250,21 +273,27 @@ async function executeScript(scriptObj, tempDir) {
  * @param {array} scripts - Array of script objects
  * @param {string} tempDir - Temporary directory for output files
  * @param {object} stats - Statistics tracker
+ * @param {object} speechDefaults - Defaults for speak types (containerName, voice, audioPlayer)
  * @returns {array} Array of execution results
  */
-async function executeScripts(scripts, tempDir, stats) {
+async function executeScripts(scripts, tempDir, stats, speechDefaults = {}) {
   const results = [];
 
   for (const script of scripts) {
+    const end = scriptDuration.startTimer({ type: script.type });
     try {
-      const result = await executeScript(script, tempDir);
+      const result = await executeScript(script, tempDir, speechDefaults);
+      end({ outcome: result.success === false ? 'failure' : 'success' });
       results.push(result);
       stats.incrementExecuted();
     } catch (err) {
+      end({ outcome: 'error' });
       stats.incrementErrors();
       results.push({
         success: false,
         error: err.message,
+        code: err.code,
+        details: err.details,
         timestamp: new Date().toISOString()
       });
     }
@@ -2,50 +2,72 @@
 // Calls Edge TTS MCP server directly (not via HTTP service)
 
 const path = require('path');
-const { callEdgeTts } = require('./mcp');
+const { callEdgeTts, getToolError } = require('./mcp');
 const { playAudio } = require('./audio');
-const { copyFromContainer, generateUniqueFilename } = require('./file-ops');
+const {
+  copyFromContainer,
+  removeFromContainer,
+  generateContainerPath,
+  generateUniqueFilename
+} = require('./file-ops');
+const { normalizeProsody } = require('./prosody');
+const { DEFAULT_TEMP_DIR } = require('./config');
 
 /**
  * Speak text using Edge TTS MCP server
  * @param {string} text - Text to speak
- * @param {object} options - Speech options
+ * @param {object} options - Speech options (containerName, voice, rate, pitch, volume, tempDir, playAudioFile)
  * @returns {Promise<object>} Speech result
  */
 async function speak(text, options = {}) {
   const {
     containerName = 'edge-tts',
     voice = 'en-US-AriaNeural',
-    tempDir = 'C:\\temp',
-    playAudioFile = true
+    tempDir = DEFAULT_TEMP_DIR,
+    playAudioFile = true,
+    audioPlayer
   } = options;
 
+  // Validate before the try so callers see the INVALID_ARGUMENTS code
+  const prosody = normalizeProsody(options);
+
   try {
     const timestamp = new Date().toISOString();
     console.log(`[Speech] Speaking: "${text.substring(0, 60)}${text.length > 60 ? '...' : ''}"`);
 
-    const containerOutputFile = '/tmp/output.mp3';
+    // Unique per request so concurrent calls never copy each other's audio
+    const containerOutputFile = generateContainerPath('edge-tts', '.mp3');
 
     // Generate unique filename for host
     const hostFilename = generateUniqueFilename('edge-tts', '.mp3');
     const hostOutputPath = path.join(tempDir, hostFilename);
 
-    // Call Edge TTS MCP server to generate audio
-    const result = await callEdgeTts(containerName, 'speak', {
-      text,
-      voice,
-      output_file: containerOutputFile
-    });
+    try {
+      // Call Edge TTS MCP server to generate audio
+      const result = await callEdgeTts(containerName, 'speak', {
+        text,
+        voice,
+        ...prosody,
+        output_file: containerOutputFile
+      });
+
+      const toolError = getToolError(result);
+      if (toolError) {
+        throw new Error(toolError);
+      }
 
-    // Copy MP3 from persistent container to host
-    await copyFromContainer(containerName, containerOutputFile, hostOutputPath);
-    console.log(`[Speech] 📁 Copied to: ${hostOutputPath}`);
+      // Copy MP3 from persistent container to host
+      await copyFromContainer(containerName, containerOutputFile, hostOutputPath);
+      console.log(`[Speech] 📁 Copied to: ${hostOutputPath}`);
+    } finally {
+      await removeFromContainer(containerName, containerOutputFile);
+    }
 
     // Play the audio file if requested
     if (playAudioFile) {
       console.log('[Speech] 🔊 Playing audio...');
-      await playAudio(hostOutputPath);
-      console.log('[Speech] ✅ Playback complete');
+      const playback = await playAudio(hostOutputPath, { player: audioPlayer });
+      console.log(`[Speech] ✅ Playback complete (${playback.player})`);
     }
 
     return {
@@ -54,6 +76,7 @@ async function speak(text, options = {}) {
       length: text.length,
       audioFile: hostOutputPath,
       voice: voice,
+      prosody: prosody,
       timestamp: timestamp,
       played: playAudioFile
     };
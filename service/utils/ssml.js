@@ -0,0 +1,238 @@
+// ssml.js - SSML validation and a lightweight markup helper
+// Validates the SSML subset the Edge TTS MCP server can render
+
+const { formatErrors } = require('./schema');
+
+const INPUT_FORMATS = ['text', 'ssml', 'markup'];
+
+// Allowed elements and the attributes each one accepts
+const ELEMENTS = {
+  speak: ['version', 'xmlns', 'xml:lang', 'xmlns:mstts'],
+  voice: ['name'],
+  prosody: ['rate', 'pitch', 'volume'],
+  break: ['time', 'strength'],
+  emphasis: ['level'],
+  'say-as': ['interpret-as', 'format'],
+  sub: ['alias'],
+  p: [],
+  s: []
+};
+
+// Attribute value checks, keyed by "element.attribute". Numeric prosody
+// values go to edge-tts unchanged, and it only accepts signed integers
+const ATTRIBUTE_VALUES = {
+  'break.time': /^\d+(\.\d+)?(ms|s)$/,
+  'break.strength': /^(none|x-weak|weak|medium|strong|x-strong)$/,
+  'prosody.rate': /^([+-]\d+%|x-slow|slow|medium|fast|x-fast|default)$/,
+  'prosody.volume': /^([+-]\d+%|silent|x-soft|soft|medium|loud|x-loud|default)$/,
+  'prosody.pitch': /^([+-]\d+Hz|x-low|low|medium|high|x-high|default)$/,
+  'emphasis.level': /^(strong|moderate|none|reduced)$/
+};
+
+// Format hints appended to invalid value messages
+const ATTRIBUTE_HINTS = {
+  'prosody.rate': 'use a signed integer percentage like "+10%" or a keyword',
+  'prosody.volume': 'use a signed integer percentage like "-20%" or a keyword',
+  'prosody.pitch': 'use signed integer hertz like "+5Hz" or a keyword'
+};
+
+const TAG_PATTERN = /<(\/?)([A-Za-z][\w:.-]*)((?:\s+[\w:.-]+\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>/y;
+const ATTRIBUTE_PATTERN = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITY_PATTERN = /&(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);/y;
+
+/**
+ * Check the attributes of an element
+ * @param {string} name - Element name
+ * @param {string} source - Raw attribute source
+ * @param {number} position - Offset of the tag, for messages
+ * @returns {Array<{field: string, message: string}>} Attribute errors
+ */
+function checkAttributes(name, source, position) {
+  const errors = [];
+  const seen = new Set();
+
+  for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const attribute = match[1];
+    const value = match[2] !== undefined ? match[2] : match[3];
+
+    if (seen.has(attribute)) {
+      errors.push({ field: 'ssml', message: `duplicate attribute "${attribute}" on <${name}> at position ${position}` });
+    }
+    seen.add(attribute);
+
+    if (!ELEMENTS[name].includes(attribute)) {
+      errors.push({ field: 'ssml', message: `attribute "${attribute}" is not allowed on <${name}> at position ${position}` });
+      continue;
+    }
+
+    const key = `${name}.${attribute}`;
+    const pattern = ATTRIBUTE_VALUES[key];
+    if (pattern && !pattern.test(value)) {
+      const hint = ATTRIBUTE_HINTS[key] ? ` (${ATTRIBUTE_HINTS[key]})` : '';
+      errors.push({ field: 'ssml', message: `invalid ${attribute}="${value}" on <${name}> at position ${position}${hint}` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an SSML document
+ * @param {string} ssml - SSML markup
+ * @returns {Array<{field: string, message: string}>} Validation errors (empty if valid)
+ */
+function validateSsml(ssml) {
+  const errors = [];
+  const stack = [];
+  let sawRoot = false;
+  let i = 0;
+
+  if (typeof ssml !== 'string' || !ssml.trim()) {
+    return [{ field: 'ssml', message: 'must be a non-empty string' }];
+  }
+
+  while (i < ssml.length && errors.length === 0) {
+    const char = ssml[i];
+
+    if (char === '<') {
+      if (ssml.startsWith('<!--', i) || ssml.startsWith('<?', i)) {
+        const terminator = ssml.startsWith('<!--', i) ? '-->' : '?>';
+        const end = ssml.indexOf(terminator, i);
+        if (end === -1) {
+          errors.push({ field: 'ssml', message: `unterminated ${terminator === '-->' ? 'comment' : 'declaration'} at position ${i}` });
+          break;
+        }
+        i = end + terminator.length;
+        continue;
+      }
+
+      TAG_PATTERN.lastIndex = i;
+      const match = TAG_PATTERN.exec(ssml);
+      if (!match) {
+        errors.push({ field: 'ssml', message: `malformed tag at position ${i}` });
+        break;
+      }
+
+      const [tag, closing, name, attributes, selfClosing] = match;
+
+      if (!ELEMENTS[name]) {
+        errors.push({ field: 'ssml', message: `unsupported element <${name}> at position ${i}` });
+      } else if (closing) {
+        const open = stack.pop();
+        if (open !== name) {
+          errors.push({ field: 'ssml', message: `unexpected </${name}> at position ${i}${open ? ` (expected </${open}>)` : ''}` });
+        }
+      } else {
+        if (stack.length === 0) {
+          if (sawRoot || name !== 'speak') {
+            errors.push({ field: 'ssml', message: `document must have a single <speak> root element (found <${name}> at position ${i})` });
+          }
+          sawRoot = true;
+        }
+
+        errors.push(...checkAttributes(name, attributes, i));
+
+        if (!selfClosing) {
+          stack.push(name);
+        }
+      }
+
+      i += tag.length;
+    } else if (char === '&') {
+      ENTITY_PATTERN.lastIndex = i;
+      if (!ENTITY_PATTERN.test(ssml)) {
+        errors.push({ field: 'ssml', message: `unescaped "&" at position ${i}` });
+        break;
+      }
+      i = ENTITY_PATTERN.lastIndex;
+    } else {
+      if (stack.length === 0 && !/\s/.test(char)) {
+        errors.push({ field: 'ssml', message: `text outside <speak> at position ${i}` });
+      }
+      i++;
+    }
+  }
+
+  if (errors.length === 0) {
+    if (!sawRoot) {
+      errors.push({ field: 'ssml', message: 'missing <speak> root element' });
+    } else if (stack.length > 0) {
+      errors.push({ field: 'ssml', message: `unclosed <${stack[stack.length - 1]}>` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Escape text for inclusion in SSML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Compile the markup helper syntax to SSML
+ *   [pause 500ms] / [pause 2s] / [pause]  -> <break time="..."/>
+ *   {spell:ABC}                           -> <say-as interpret-as="characters">ABC</say-as>
+ *   {emphasis:text}                       -> <emphasis level="strong">text</emphasis>
+ * @param {string} text - Text with markup
+ * @returns {string} SSML document
+ */
+function compileMarkup(text) {
+  const body = escapeXml(text)
+    .replace(/\[pause(?:\s+(\d+(?:\.\d+)?)\s*(ms|s))?\]/gi, (match, amount, unit) => {
+      return `<break time="${amount ? `${amount}${unit.toLowerCase()}` : '500ms'}"/>`;
+    })
+    .replace(/\{spell:([^{}]+)\}/gi, (match, value) => {
+      return `<say-as interpret-as="characters">${value.trim()}</say-as>`;
+    })
+    .replace(/\{emphasis:([^{}]+)\}/gi, (match, value) => {
+      return `<emphasis level="strong">${value.trim()}</emphasis>`;
+    });
+
+  return `<speak>${body}</speak>`;
+}
+
+/**
+ * Turn request text into synthesis input according to its format
+ * @param {string} text - Request text
+ * @param {string} format - text | ssml | markup
+ * @returns {{text: string, ssml: boolean}} Synthesis input
+ */
+function resolveInput(text, format = 'text') {
+  if (!INPUT_FORMATS.includes(format)) {
+    const error = new Error(`Invalid format: ${format}. Use one of: ${INPUT_FORMATS.join(', ')}`);
+    error.code = 'INVALID_ARGUMENTS';
+    throw error;
+  }
+
+  if (format === 'text') {
+    return { text, ssml: false };
+  }
+
+  const ssml = format === 'markup' ? compileMarkup(text) : text.trim();
+  const errors = validateSsml(ssml);
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid SSML: ${formatErrors(errors)}`);
+    error.code = 'INVALID_ARGUMENTS';
+    error.details = errors;
+    throw error;
+  }
+
+  return { text: ssml, ssml: true };
+}
+
+module.exports = {
+  resolveInput,
+  validateSsml,
+  compileMarkup,
+  escapeXml
+};
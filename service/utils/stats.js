@@ -11,9 +11,22 @@ function createStats() {
     totalSpoken: 0,
     lastSpoken: null,
     lastMessage: null,
-    errors: 0
+    errors: 0,
+    clients: {}
   };
 
+  /**
+   * Get (creating if needed) the counters for an API key label
+   * @param {string} label - Key label
+   * @returns {object} Client counters
+   */
+  function client(label) {
+    if (!stats.clients[label]) {
+      stats.clients[label] = { requests: 0, denied: 0, lastSeen: null };
+    }
+    return stats.clients[label];
+  }
+
   return {
     /**
      * Increment request counter
@@ -39,6 +52,24 @@ function createStats() {
       stats.errors++;
     },
 
+    /**
+     * Record a request made with an API key
+     * @param {string} label - Key label
+     */
+    recordClient(label) {
+      const counters = client(label);
+      counters.requests++;
+      counters.lastSeen = new Date().toISOString();
+    },
+
+    /**
+     * Record a request rejected for a missing scope
+     * @param {string} label - Key label
+     */
+    recordDenied(label) {
+      client(label).denied++;
+    },
+
     /**
      * Get current statistics
      * @returns {object} Current stats with uptime
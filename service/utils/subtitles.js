@@ -0,0 +1,144 @@
+// subtitles.js - Word timing metadata and subtitle export
+// Word boundaries come from the Edge TTS MCP server as { text, offset, duration } in ms
+
+// Edge TTS MP3 output is 48 kbit/s constant bitrate
+const MP3_BYTES_PER_MS = 6;
+
+const SUBTITLE_FORMATS = {
+  vtt: { extension: '.vtt', contentType: 'text/vtt; charset=utf-8' },
+  srt: { extension: '.srt', contentType: 'application/x-subrip; charset=utf-8' }
+};
+
+/**
+ * Pull word boundaries out of an MCP speak result
+ * @param {object} result - MCP tool result
+ * @returns {Array<{text: string, offset: number, duration: number}>|null} Word timings, or null if the server sent none
+ */
+function extractWordBoundaries(result) {
+  const content = (result && result.content) || [];
+
+  for (const item of content) {
+    if (typeof item.text !== 'string' || !item.text.startsWith('{')) continue;
+
+    try {
+      const parsed = JSON.parse(item.text);
+      if (Array.isArray(parsed.wordBoundaries)) {
+        return parsed.wordBoundaries;
+      }
+    } catch (err) {
+      // Not a metadata block
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Estimate the playing time of an Edge TTS MP3 from its size
+ * @param {number} bytes - File size
+ * @returns {number} Duration in ms
+ */
+function estimateDurationMs(bytes) {
+  return Math.round(bytes / MP3_BYTES_PER_MS);
+}
+
+/**
+ * Join the word timings of consecutive audio parts onto one timeline
+ * @param {Array<{words: Array<object>|null, durationMs: number}>} parts - Parts in playback order
+ * @returns {Array<object>|null} Merged timings, or null if any part has none
+ */
+function mergeWordTimings(parts) {
+  if (parts.some(part => !part.words)) {
+    return null;
+  }
+
+  const merged = [];
+  let offset = 0;
+
+  for (const part of parts) {
+    merged.push(...part.words.map(word => ({ ...word, offset: word.offset + offset })));
+    offset += part.durationMs;
+  }
+
+  return merged;
+}
+
+/**
+ * Group words into subtitle cues
+ * @param {Array<object>} words - Word timings
+ * @param {object} options - Grouping options (wordsPerCue, maxCueMs)
+ * @returns {Array<{start: number, end: number, text: string}>} Cues
+ */
+function buildCues(words, options = {}) {
+  const { wordsPerCue = 8, maxCueMs = 4000 } = options;
+  const cues = [];
+  let current = null;
+
+  for (const word of words) {
+    const end = word.offset + word.duration;
+
+    if (current && current.count < wordsPerCue && end - current.start <= maxCueMs) {
+      current.text += ` ${word.text}`;
+      current.end = end;
+      current.count++;
+    } else {
+      current = { start: word.offset, end, text: word.text, count: 1 };
+      cues.push(current);
+    }
+  }
+
+  return cues.map(({ start, end, text }) => ({ start, end, text }));
+}
+
+/**
+ * Format a timestamp as HH:MM:SS.mmm
+ * @param {number} ms - Time in milliseconds
+ * @param {string} separator - Separator before milliseconds ('.' for WebVTT, ',' for SRT)
+ * @returns {string} Timestamp
+ */
+function formatTimestamp(ms, separator) {
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Render word timings as subtitles
+ * @param {Array<object>} words - Word timings
+ * @param {string} format - vtt | srt
+ * @param {object} options - Grouping options (wordsPerCue, maxCueMs)
+ * @returns {{body: string, contentType: string, extension: string}} Subtitle document
+ */
+function renderSubtitles(words, format = 'vtt', options = {}) {
+  const spec = SUBTITLE_FORMATS[format];
+  if (!spec) {
+    const error = new Error(`Invalid subtitle format: ${format}. Use one of: ${Object.keys(SUBTITLE_FORMATS).join(', ')}`);
+    error.code = 'INVALID_ARGUMENTS';
+    throw error;
+  }
+
+  const cues = buildCues(words, options);
+  let body;
+
+  if (format === 'vtt') {
+    body = 'WEBVTT\n\n' + cues.map(cue => (
+      `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}\n`
+    )).join('\n');
+  } else {
+    body = cues.map((cue, index) => (
+      `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`
+    )).join('\n');
+  }
+
+  return { body, contentType: spec.contentType, extension: spec.extension };
+}
+
+module.exports = {
+  extractWordBoundaries,
+  estimateDurationMs,
+  mergeWordTimings,
+  renderSubtitles
+};
@@ -0,0 +1,151 @@
+// tools.js - MCP tool discovery and generic invocation
+// Discovers tools via tools/list and validates arguments against their inputSchema
+
+const { getMcpClient } = require('./mcp');
+const { compilePatterns, validate, formatErrors } = require('./schema');
+
+// Shortest gap between the re-discoveries triggered by unknown tool names,
+// so clients probing bad names cannot hammer the container with tools/list
+const UNKNOWN_TOOL_REFRESH_MS = 30 * 1000;
+
+/**
+ * Create a registry of tools exposed by the MCP server in a container
+ * @param {string} containerName - Name of the container
+ * @param {object} options - Registry options
+ * @param {number} options.unknownToolRefreshMs - Minimum time between refreshes for unknown tool names
+ * @returns {object} Tool registry with refresh/list/get/call methods
+ */
+function createToolRegistry(containerName, options = {}) {
+  const { unknownToolRefreshMs = UNKNOWN_TOOL_REFRESH_MS } = options;
+
+  let tools = new Map();
+  let discoveredAt = null;
+  let refreshedAt = 0;
+  let refreshing = null;
+
+  /**
+   * Fetch the tool list from the MCP server, following pagination cursors
+   * (concurrent calls share one discovery)
+   * @returns {Promise<Array<object>>} Discovered tools
+   */
+  function refresh() {
+    if (!refreshing) {
+      refreshing = discover().finally(() => {
+        refreshedAt = Date.now();
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  }
+
+  /**
+   * Run one discovery against the MCP server
+   * @returns {Promise<Array<object>>} Discovered tools
+   */
+  async function discover() {
+    const client = getMcpClient(containerName);
+    const discovered = new Map();
+    let cursor;
+
+    do {
+      const result = await client.request('tools/list', cursor ? { cursor } : {});
+      for (const tool of result.tools || []) {
+        const inputSchema = tool.inputSchema || { type: 'object' };
+        for (const { field, pattern } of compilePatterns(inputSchema)) {
+          console.warn(`[Tools] ⚠️  ${tool.name}: ${field} has an invalid pattern ${pattern}, not checked`);
+        }
+
+        discovered.set(tool.name, {
+          name: tool.name,
+          description: tool.description || '',
+          inputSchema
+        });
+      }
+      cursor = result.nextCursor;
+    } while (cursor);
+
+    tools = discovered;
+    discoveredAt = new Date().toISOString();
+    console.log(`[Tools] Discovered ${tools.size} tool(s): ${[...tools.keys()].join(', ')}`);
+
+    return [...tools.values()];
+  }
+
+  /**
+   * Run discovery if it has not happened yet
+   * @returns {Promise<void>}
+   */
+  async function ensureDiscovered() {
+    if (!discoveredAt) {
+      await refresh();
+    }
+  }
+
+  return {
+    refresh,
+
+    /**
+     * List discovered tools
+     * @param {object} options - List options (refresh)
+     * @returns {Promise<object>} Tools and discovery timestamp
+     */
+    list: async (options = {}) => {
+      if (options.refresh) {
+        await refresh();
+      } else {
+        await ensureDiscovered();
+      }
+
+      return {
+        tools: [...tools.values()],
+        discoveredAt
+      };
+    },
+
+    /**
+     * Get a single tool definition
+     * @param {string} name - Tool name
+     * @returns {Promise<object|null>} Tool definition or null if unknown
+     */
+    get: async (name) => {
+      await ensureDiscovered();
+      return tools.get(name) || null;
+    },
+
+    /**
+     * Validate arguments and call a discovered tool
+     * @param {string} name - Tool name
+     * @param {object} toolArgs - Tool arguments
+     * @returns {Promise<object>} MCP tool result
+     */
+    call: async (name, toolArgs = {}) => {
+      await ensureDiscovered();
+
+      if (!tools.has(name) && Date.now() - refreshedAt >= unknownToolRefreshMs) {
+        // The server may have gained tools since discovery; otherwise answer from the cached list
+        await refresh();
+      }
+
+      const tool = tools.get(name);
+      if (!tool) {
+        const error = new Error(`Tool not found: ${name}`);
+        error.code = 'TOOL_NOT_FOUND';
+        throw error;
+      }
+
+      const errors = validate(tool.inputSchema, toolArgs, '');
+      if (errors.length > 0) {
+        const error = new Error(`Invalid arguments for ${name}: ${formatErrors(errors)}`);
+        error.code = 'INVALID_ARGUMENTS';
+        error.details = errors;
+        throw error;
+      }
+
+      return getMcpClient(containerName).callTool(name, toolArgs);
+    }
+  };
+}
+
+module.exports = {
+  createToolRegistry
+};
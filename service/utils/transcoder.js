@@ -0,0 +1,135 @@
+// transcoder.js - Audio format conversion
+// Edge TTS only produces MP3, other formats are converted locally with ffmpeg
+
+const { spawn } = require('child_process');
+
+// Output formats. `codec` holds the ffmpeg output arguments; `sampleRates`
+// lists the rates the encoder accepts.
+const AUDIO_FORMATS = {
+  mp3: {
+    extension: '.mp3',
+    contentType: 'audio/mpeg',
+    codec: ['-codec:a', 'libmp3lame', '-f', 'mp3'],
+    sampleRates: [8000, 16000, 22050, 24000, 44100, 48000]
+  },
+  wav: {
+    extension: '.wav',
+    contentType: 'audio/wav',
+    codec: ['-codec:a', 'pcm_s16le', '-f', 'wav'],
+    sampleRates: [8000, 16000, 22050, 24000, 44100, 48000]
+  },
+  ogg: {
+    extension: '.ogg',
+    contentType: 'audio/ogg; codecs=opus',
+    codec: ['-codec:a', 'libopus', '-f', 'ogg'],
+    sampleRates: [8000, 12000, 16000, 24000, 48000]
+  },
+  pcm: {
+    extension: '.pcm',
+    contentType: 'audio/L16',
+    codec: ['-codec:a', 'pcm_s16le', '-f', 's16le'],
+    sampleRates: [8000, 16000, 22050, 24000, 44100, 48000]
+  }
+};
+
+const FORMAT_ALIASES = {
+  opus: 'ogg',
+  raw: 'pcm'
+};
+
+// Edge TTS neural voices are rendered at 24kHz mono
+const NATIVE_SAMPLE_RATE = 24000;
+
+/**
+ * Validate and normalize a requested output format
+ * @param {string} format - mp3 | wav | ogg (opus) | pcm (raw)
+ * @param {number|string} sampleRate - Output sample rate in Hz (optional)
+ * @returns {{format: string, sampleRate: number|null, extension: string, contentType: string}} Output format
+ */
+function normalizeAudioFormat(format = 'mp3', sampleRate) {
+  const name = FORMAT_ALIASES[String(format).toLowerCase()] || String(format).toLowerCase();
+  const spec = AUDIO_FORMATS[name];
+
+  if (!spec) {
+    const error = new Error(`Invalid audio format: ${format}. Use one of: ${[...Object.keys(AUDIO_FORMATS), ...Object.keys(FORMAT_ALIASES)].join(', ')}`);
+    error.code = 'INVALID_ARGUMENTS';
+    throw error;
+  }
+
+  let rate = null;
+  if (sampleRate !== undefined && sampleRate !== null && sampleRate !== '') {
+    rate = Number(sampleRate);
+    if (!spec.sampleRates.includes(rate)) {
+      const error = new Error(`Invalid sampleRate for ${name}: ${sampleRate}. Use one of: ${spec.sampleRates.join(', ')}`);
+      error.code = 'INVALID_ARGUMENTS';
+      throw error;
+    }
+  }
+
+  // Raw PCM has no header, so the rate must travel in the content type
+  const contentType = name === 'pcm'
+    ? `${spec.contentType};rate=${rate || NATIVE_SAMPLE_RATE};channels=1`
+    : spec.contentType;
+
+  return { format: name, sampleRate: rate, extension: spec.extension, contentType };
+}
+
+/**
+ * Whether the MP3 produced by the backend can be served as-is
+ * @param {object} target - Normalized output format
+ * @returns {boolean} True if no conversion is needed
+ */
+function isNative(target) {
+  return target.format === 'mp3' && !target.sampleRate;
+}
+
+/**
+ * Convert an audio file with ffmpeg
+ * @param {string} inputPath - Source file
+ * @param {string} outputPath - Destination file
+ * @param {object} target - Normalized output format
+ * @param {object} options - Transcoder options (ffmpegPath)
+ * @returns {Promise<string>} Output path
+ */
+function transcode(inputPath, outputPath, target, options = {}) {
+  const ffmpegPath = options.ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg';
+  const args = [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-i', inputPath,
+    '-ac', '1',
+    ...(target.sampleRate ? ['-ar', String(target.sampleRate)] : []),
+    ...AUDIO_FORMATS[target.format].codec,
+    outputPath
+  ];
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, args);
+    let stderr = '';
+
+    child.stderr.on('data', (data) => {
+      stderr = (stderr + data.toString()).slice(-500);
+    });
+
+    child.on('error', (err) => {
+      const error = new Error(`Transcoder unavailable (${ffmpegPath}): ${err.message}. Install ffmpeg or set FFMPEG_PATH`);
+      error.code = 'TRANSCODER_UNAVAILABLE';
+      reject(error);
+    });
+
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        console.log(`🎚️  Transcoded to ${target.format}${target.sampleRate ? ` @ ${target.sampleRate}Hz` : ''}: ${outputPath}`);
+        resolve(outputPath);
+      } else if (code !== null || signal) {
+        reject(new Error(`ffmpeg exited with ${code !== null ? `code ${code}` : signal}: ${stderr.trim()}`));
+      }
+    });
+  });
+}
+
+module.exports = {
+  AUDIO_FORMATS,
+  normalizeAudioFormat,
+  isNative,
+  transcode
+};
@@ -0,0 +1,163 @@
+// validation.js - Request validation middleware and error responses
+// Validates route input and RPC arguments against request-schemas.js
+
+const { validate, formatErrors } = require('./schema');
+
+/**
+ * Prefix validation error fields
+ * @param {Array<{field: string, message: string}>} errors - Validation errors
+ * @param {string} prefix - Prefix such as "query" or "params"
+ * @returns {Array<{field: string, message: string}>} Prefixed errors
+ */
+function prefixed(errors, prefix) {
+  return errors.map(error => ({ ...error, field: `${prefix}.${error.field}` }));
+}
+
+/**
+ * Validate the parts of a request against a route schema
+ * @param {object} schemas - Route schema ({ params?, query?, body? })
+ * @param {object} req - Express request
+ * @returns {Array<{field: string, message: string}>} Validation errors
+ */
+function validateRequestParts(schemas, req) {
+  const errors = [];
+
+  if (schemas.params) {
+    errors.push(...prefixed(validate(schemas.params, req.params || {}, ''), 'params'));
+  }
+  if (schemas.query) {
+    errors.push(...prefixed(validate(schemas.query, req.query || {}, ''), 'query'));
+  }
+  if (schemas.body) {
+    // Body fields are reported unprefixed (text, options.voice)
+    errors.push(...validate(schemas.body, req.body === undefined ? {} : req.body, ''));
+  }
+
+  return errors;
+}
+
+/**
+ * Middleware that rejects requests not matching a route schema with a 400
+ * listing each invalid field
+ * @param {object} schemas - Route schema ({ params?, query?, body? })
+ * @returns {Function} Express middleware
+ */
+function validateRequest(schemas = {}) {
+  return (req, res, next) => {
+    const errors = validateRequestParts(schemas, req);
+    if (errors.length === 0) {
+      return next();
+    }
+
+    res.status(400).json({ error: `Invalid request: ${formatErrors(errors)}`, details: errors });
+  };
+}
+
+/**
+ * Middleware chain for a registered route: its auth scope, rate limit class
+ * and request schemas, in that order
+ * @param {object} route - Route definition ({ scope?, routeClass?, params?, query?, body? })
+ * @param {object} auth - Authentication (from createAuth)
+ * @param {object} limiter - Rate limiter (from createRateLimiter)
+ * @returns {Array<Function>} Express middleware
+ */
+function routeMiddleware(route, auth, limiter) {
+  const chain = [];
+
+  if (route.scope) {
+    chain.push(auth.require(route.scope));
+  }
+  if (route.routeClass) {
+    chain.push(limiter.limit(route.routeClass));
+  }
+  if (route.params || route.query || route.body) {
+    chain.push(validateRequest(route));
+  }
+
+  return chain;
+}
+
+/**
+ * Validate positional arguments for a method
+ * @param {object} methodSchema - Method schema ({ params: [{ name, required?, schema }] })
+ * @param {Array} args - Positional arguments
+ * @returns {Array<{field: string, message: string}>} Validation errors (fields are parameter names)
+ */
+function validateArgs(methodSchema, args) {
+  const params = methodSchema.params || [];
+  const errors = [];
+
+  if (args.length > params.length) {
+    errors.push({ field: 'args', message: `must contain at most ${params.length} items (${params.map(param => param.name).join(', ') || 'none'})` });
+  }
+
+  params.forEach((param, index) => {
+    const value = args[index];
+    if (value === undefined || value === null) {
+      if (param.required) {
+        errors.push({ field: param.name, message: 'is required' });
+      }
+      return;
+    }
+    errors.push(...validate(param.schema, value, param.name));
+  });
+
+  return errors;
+}
+
+/**
+ * Build a JSON error response body; stack traces only in debug mode
+ * @param {Error} err - Error
+ * @param {boolean} debug - Whether debug mode is on
+ * @param {object} extra - Extra fields
+ * @returns {object} Response body
+ */
+function errorBody(err, debug, extra = {}) {
+  const body = { error: err.message, ...extra };
+  if (err.details) {
+    body.details = err.details;
+  }
+  if (debug) {
+    body.stack = err.stack;
+  }
+  return body;
+}
+
+/**
+ * Final Express error handler: malformed or oversized JSON bodies and errors
+ * thrown outside route handlers get JSON responses instead of HTML stack traces
+ * @param {Error} err - Error
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const debug = Boolean(req.app.get('debug'));
+
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON body', details: [{ field: 'body', message: err.message }] });
+  }
+
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body too large', limit: err.limit });
+  }
+
+  if (err.code === 'INVALID_ARGUMENTS') {
+    return res.status(400).json(errorBody(err, debug));
+  }
+
+  console.error('[✗] Unhandled route error:', err.message);
+  res.status(err.status || 500).json(errorBody(err, debug));
+}
+
+module.exports = {
+  validateRequest,
+  routeMiddleware,
+  validateArgs,
+  errorBody,
+  errorHandler
+};
@@ -0,0 +1,179 @@
+// voices.js - Structured Edge TTS voice catalog
+// Fetches the full catalog from the MCP server and caches it with a TTL
+
+const { callEdgeTts, getToolError } = require('./mcp');
+
+// Locale prefix of a voice short name, e.g. "en-US" from "en-US-AriaNeural"
+const LOCALE_PATTERN = /^([a-z]{2,3}-[a-z]{2,4}(?:-[a-z]+)?)-/i;
+
+/**
+ * Find a voice by short name (case-insensitive)
+ * @param {Array<object>} voices - Catalog
+ * @param {string} name - Voice short name
+ * @returns {object|null} Voice or null if unknown
+ */
+function findVoice(voices, name) {
+  const wanted = (name || '').toLowerCase();
+  return voices.find(voice => (voice.shortName || '').toLowerCase() === wanted) || null;
+}
+
+/**
+ * Create a cached voice catalog
+ * @param {object} options - Catalog options
+ * @param {string} options.containerName - Name of the container running the MCP server
+ * @param {number} options.ttlMs - How long a fetched catalog stays fresh
+ * @returns {object} Catalog with list/get/refresh methods
+ */
+function createVoiceCatalog(options) {
+  const { containerName, ttlMs = 60 * 60 * 1000 } = options;
+
+  let voices = null;
+  let fetchedAt = 0;
+  let fetching = null;
+
+  /**
+   * Fetch the catalog from the MCP server
+   * @returns {Promise<Array<object>>} Voices
+   */
+  async function refresh() {
+    if (!fetching) {
+      fetching = (async () => {
+        const result = await callEdgeTts(containerName, 'list_voices', { format: 'json' });
+        const toolError = getToolError(result);
+        if (toolError) {
+          throw new Error(`Failed to list voices: ${toolError}`);
+        }
+
+        const text = result.content && result.content[0] && result.content[0].text;
+
+        let parsed;
+        try {
+          parsed = JSON.parse(text);
+        } catch (err) {
+          throw new Error(`Unexpected voice catalog response: ${(text || '').substring(0, 200)}`);
+        }
+
+        voices = parsed;
+        fetchedAt = Date.now();
+        console.log(`[Voices] Catalog loaded (${voices.length} voices)`);
+        return voices;
+      })().finally(() => {
+        fetching = null;
+      });
+    }
+    return fetching;
+  }
+
+  /**
+   * Get the catalog, refreshing it when stale
+   * @param {boolean} force - Refresh even if fresh
+   * @returns {Promise<Array<object>>} Voices
+   */
+  async function getAll(force = false) {
+    if (force || !voices || Date.now() - fetchedAt > ttlMs) {
+      return refresh();
+    }
+    return voices;
+  }
+
+  return {
+    getAll,
+
+    /**
+     * List voices matching filters
+     * @param {object} filters - locale (prefix), gender, q (text search), refresh
+     * @returns {Promise<{voices: Array<object>, total: number, fetchedAt: string}>} Matching voices
+     */
+    list: async (filters = {}) => {
+      const all = await getAll(filters.refresh === true || filters.refresh === 'true');
+      const locale = (filters.locale || filters.language || '').toLowerCase();
+      const gender = (filters.gender || '').toLowerCase();
+      const query = (filters.q || '').toLowerCase();
+
+      const matches = all.filter((voice) => {
+        if (locale && !(voice.locale || '').toLowerCase().startsWith(locale)) return false;
+        if (gender && (voice.gender || '').toLowerCase() !== gender) return false;
+        if (query) {
+          const haystack = [voice.shortName, voice.friendlyName, voice.locale, ...(voice.personalities || [])]
+            .join(' ')
+            .toLowerCase();
+          if (!haystack.includes(query)) return false;
+        }
+        return true;
+      });
+
+      return {
+        voices: matches,
+        total: all.length,
+        fetchedAt: new Date(fetchedAt).toISOString()
+      };
+    },
+
+    /**
+     * Find a voice by short name (case-insensitive)
+     * @param {string} name - Voice short name, e.g. en-US-AriaNeural
+     * @returns {Promise<object|null>} Voice or null if unknown
+     */
+    get: async (name) => {
+      const all = await getAll();
+      return findVoice(all, name);
+    },
+
+    /**
+     * Resolve the voice to synthesize with, walking the fallback chain
+     * when the requested voice is not in the catalog
+     * @param {string} requested - Requested voice short name
+     * @param {object} chainOptions - Fallback options
+     * @param {string} chainOptions.defaultVoice - Service default voice
+     * @param {string[]} chainOptions.chain - Fallback steps in order: 'locale', 'default'
+     * @param {object} chainOptions.localeDefaults - Preferred voice per locale, e.g. { 'en-GB': 'en-GB-SoniaNeural' }
+     * @returns {Promise<{voice: string, requested: string, fallback: string|null, validated: boolean}>} Resolution
+     */
+    resolve: async (requested, chainOptions) => {
+      const { defaultVoice, chain = ['locale', 'default'], localeDefaults = {} } = chainOptions;
+
+      let all;
+      try {
+        all = await getAll();
+      } catch (err) {
+        // Without a catalog, synthesis itself is the only check
+        console.warn(`[Voices] Catalog unavailable, skipping voice validation: ${err.message}`);
+        return { voice: requested, requested, fallback: null, validated: false };
+      }
+
+      const exact = findVoice(all, requested);
+      if (exact) {
+        return { voice: exact.shortName, requested, fallback: null, validated: true };
+      }
+
+      for (const step of chain) {
+        let candidate = null;
+
+        if (step === 'locale') {
+          const match = (requested || '').match(LOCALE_PATTERN);
+          if (match) {
+            const locale = match[1].toLowerCase();
+            const preferred = Object.keys(localeDefaults).find(key => key.toLowerCase() === locale);
+            candidate = (preferred && findVoice(all, localeDefaults[preferred]))
+              || all.find(voice => (voice.locale || '').toLowerCase() === locale);
+          }
+        } else if (step === 'default') {
+          candidate = findVoice(all, defaultVoice);
+        }
+
+        if (candidate) {
+          console.warn(`[Voices] Unknown voice "${requested}", falling back to ${candidate.shortName} (${step})`);
+          return { voice: candidate.shortName, requested, fallback: step, validated: true };
+        }
+      }
+
+      const error = new Error(`Unknown voice: ${requested}. See GET /voices for available voices`);
+      error.code = 'INVALID_ARGUMENTS';
+      throw error;
+    }
+  };
+}
+
+module.exports = {
+  createVoiceCatalog
+};
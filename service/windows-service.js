@@ -4,6 +4,10 @@
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
+const { errorBody } = require('./utils/validation');
+
+// Include stack traces in error responses (same switch as the modular services)
+const DEBUG = ['true', '1', 'yes'].includes((process.env.SERVICE_DEBUG || '').toLowerCase());
 
 const app = express();
 app.use(express.json());
@@ -128,7 +132,7 @@ app.post('/rpc', async (req, res) => {
       res.json({ result });
     } catch (err) {
       stats.errors++;
-      res.status(500).json({ error: err.message, stack: err.stack });
+      res.status(500).json(errorBody(err, DEBUG));
     }
   } else {
     res.status(404).json({